@@ -1,96 +1,502 @@
-import { getPhotoUrlsForAlbum, getPhotoUrlsFromPost, getSinglePhotoHighestResUrl } from '../lib/facebook-api.js';
-import { sanitizeFilename, applyTokenToFilename, getOriginalNameFromUrl } from '../lib/utils.js';
+import { getPhotoUrlsForAlbum, getPhotoUrlsFromPost, getSinglePhotoHighestResUrl, resolveFullResolutionPhotos, capturePageMetadata, getPhotoViewerUrl, refreshPhotoUrl, openPageInBackground, getMarketplaceListingPhotos, getConversationMedia, getAllAlbumsOnTab } from '../lib/facebook-api.js';
+import { sanitizeFilename, applyTokenToFilename, getOriginalNameFromUrl, sha256Hex, getUrlExpiry } from '../lib/utils.js';
+import { createBlobUrl, revokeBlobUrl } from '../lib/blob-urls.js';
+import { isJpeg, embedJpegMetadata } from '../lib/exif-writer.js';
+import { IMAGE_FORMATS, convertImage, needsConversion, replaceExtension, extensionForMimeType } from '../lib/image-converter.js';
+import { createZipWriter, MAX_ZIP_ENTRIES } from '../lib/zip-writer.js';
+import { classifyInterruptReason, classifyHttpStatus, classifyDownloadApiError, createDownloadError, describeError, isRetryable, backoffDelay, ERROR_CATEGORIES } from '../lib/download-errors.js';
+import { putHistoryEntries, getDownloadedPhotoIds, findSavedContent, importLegacyHistory, importLegacyContentHashes, queryHistory, HISTORY_STATUS } from '../lib/history-store.js';
+import { parseDownloadWindows, getDownloadWindowState } from '../lib/download-windows.js';
+import { getSubscriptions, getSubscription, addSubscription, updateSubscription, removeSubscription, isSyncDue, SYNC_STATES } from '../lib/subscriptions.js';
+import { createJob, updateJob, getJobs, getUnfinishedItems, getItemsWithStatus, deleteItemsWithStatus, setItemStatus, deleteJob, ITEM_STATUS } from '../lib/job-store.js';
+import { resolvePhotoKey, migrateDownloadedIds, PHOTO_KEY_VERSION } from '../lib/photo-id.js';
+import { configureRateLimiter, acquireRequestSlot, reportThrottleSignal, reportRequestSuccess, getRateLimiterState, onRateLimiterChange, THROTTLE_SIGNALS } from '../lib/rate-limiter.js';
 
 const defaultOptions = {
     folderNameRule: "{album_name}",
+    profileFolderRule: "{profile_name}", // Parent folder for albums downloaded from a profile's albums tab; empty for none
     fileNameRule: "{index}_{original_name}",
     fileNameIndexPadding: 3,
-    imageFormat: "original", // 'jpg', 'png' in future
+    posterSubfolders: false, // Put each photo in a subfolder named after whoever posted it, e.g. in group media
+    imageFormat: "original", // 'original', 'jpg', 'png' or 'webp'
+    imageQuality: 0.92, // Encoder quality for converted JPG/WebP files
+    maxLongEdge: 0, // Resize so the longest side is at most this many pixels; 0 keeps the original size
     skipDownloaded: true,
     concurrentDownloads: 3,
-    delayBetweenDownloads: 500
+    delayBetweenDownloads: 500,
+    requestsPerMinute: 120, // Ceiling for the adaptive rate limiter shared by scraping and downloads
+    maxRetries: 3, // Further attempts for a file after a transient failure
+    retryBaseDelay: 2000, // Wait before the first retry; doubles for each further one
+    autoScrollAlbums: true,
+    albumScrollDelay: 1200,
+    useGraphQLAlbumApi: true,
+    graphqlAlbumDocId: "", // Empty uses the built-in default
+    maximumQuality: false,
+    saveMetadataSidecars: false,
+    embedMetadata: false,
+    outputMode: "files", // 'files' saves each photo separately, 'archive' saves one ZIP per collection
+    archiveDeflate: false, // Deflate archive entries; rarely helps for photos and videos
+    archivePartSizeMb: 200, // Archives are split into parts of at most this size
+    dedupeByContent: false, // Skip photos whose bytes were already saved under another ID
+    duplicateAction: "skip", // 'skip', or 'link' to also list skipped duplicates in a duplicates.json
+    parallelJobs: 1, // How many download jobs run at once; further jobs wait their turn
+    subscriptionSyncHours: 24, // How often subscribed albums are checked for new photos
+    downloadWindowsEnabled: false, // Only transfer files during the windows below
+    downloadWindows: "Mon-Fri 22:00-06:00\nSat,Sun 00:00-24:00" // One window per line, see lib/download-windows.js
 };
 
-let downloadedFileIds = new Set();
-let downloadQueue = [];
-let activeDownloads = 0;
-let currentCollectionName = "";
-let currentTabId = null;
-let isCancelled = false;
-let totalPhotosForCurrentJob = 0;
-let processedPhotosForCurrentJob = 0;
-let isDownloading = false; // Add missing declaration
-
-// Load downloaded file IDs on startup
-chrome.storage.local.get(['downloadedFileIds'], (result) => {
-    if (result.downloadedFileIds && Array.isArray(result.downloadedFileIds)) {
-        downloadedFileIds = new Set(result.downloadedFileIds);
-        console.log(`Loaded ${downloadedFileIds.size} previously downloaded file IDs.`);
+// Resolved media-viewer URLs are kept this long so an interrupted "maximum quality" walk can resume.
+// fbcdn URLs are signed and expire, so older entries are resolved again.
+const MAX_QUALITY_RESUME_TTL = 6 * 60 * 60 * 1000;
+
+// fbcdn links are signed with an expiry (`oe`). Photos whose link expires within this margin get a
+// fresh one from the media viewer before they are downloaded.
+const URL_REFRESH_MARGIN = 15 * 60 * 1000;
+
+// Wakes a suspended service worker while a job is stored, so the job picks up where it stopped.
+const RESUME_ALARM = "resumeDownloadJob";
+const RESUME_ALARM_PERIOD_MINUTES = 1;
+
+// Checks subscribed albums for due syncs. Only exists while there are subscriptions.
+const SUBSCRIPTION_ALARM = "albumSubscriptionSync";
+const SUBSCRIPTION_ALARM_PERIOD_MINUTES = 30;
+
+// Fires at the next download window boundary, to start or stop transfers.
+const WINDOW_ALARM = "downloadWindowBoundary";
+
+const pendingContentHashes = new Map(); // SHA-256 of photo bytes being saved right now -> { photoId, path, savedAt: null }
+let resumePromise = null;
+let downloadWindows = []; // Parsed from the options; empty when transfers are not restricted
+let transferWindow = { open: true, nextChange: null };
+const windowWaiters = new Set(); // Wake-up callbacks of jobs waiting for a download window
+
+// Every download request becomes a job with its own queue, counters and cancel flag, so jobs
+// started from different tabs or collections never share state. Jobs wait in a FIFO queue and
+// up to `options.parallelJobs` of them run at once. A paused job keeps its place: a running one
+// still holds its slot (pausing is for freeing bandwidth), a waiting one is passed over until resumed.
+const jobs = new Map(); // job ID -> job, for queued and running jobs
+const waitingJobIds = [];
+// Browser downloads whose outcome a queue item is waiting for: chrome download ID -> { jobId, resolve, reject, stallTimer }
+const trackedDownloads = new Map();
+// A tracked download that receives no bytes for this long (and isn't paused) is cancelled as timed out
+const DOWNLOAD_STALL_TIMEOUT = 2 * 60 * 1000;
+
+// The download history used to be one downloadedFileIds array in chrome.storage.local, and content hashes
+// a contentHashIndex object next to it. Both are moved to lib/history-store.js once (the IDs migrated to
+// the current photo key scheme first if needed) and then removed.
+const historyReady = chrome.storage.local.get(['downloadedFileIds', 'downloadedFileIdsVersion', 'contentHashIndex']).then(async (result) => {
+    if (Array.isArray(result.downloadedFileIds)) {
+        let ids = result.downloadedFileIds;
+        if (result.downloadedFileIdsVersion !== PHOTO_KEY_VERSION) {
+            const migrated = migrateDownloadedIds(ids);
+            ids = migrated.ids;
+            console.log(`Migrated downloaded file IDs to key scheme v${PHOTO_KEY_VERSION}: kept ${ids.length}, dropped ${migrated.dropped} unstable IDs.`);
+        }
+        await importLegacyHistory(ids);
+        await chrome.storage.local.remove(['downloadedFileIds', 'downloadedFileIdsVersion']);
+        console.log(`Moved ${ids.length} previously downloaded file IDs to the download history.`);
+    }
+    if (result.contentHashIndex) {
+        const imported = await importLegacyContentHashes(result.contentHashIndex);
+        await chrome.storage.local.remove('contentHashIndex');
+        console.log(`Moved ${imported} content hashes to the download history.`);
+    }
+}).catch(error => console.error("Could not move the old download records to the download history:", error));
+
+function applyRateLimitOptions(options) {
+    configureRateLimiter({
+        requestsPerMinute: options.requestsPerMinute || defaultOptions.requestsPerMinute,
+        burst: options.concurrentDownloads || defaultOptions.concurrentDownloads
+    });
+}
+
+function applyDownloadWindowOptions(options) {
+    const { windows, errors } = options.downloadWindowsEnabled
+        ? parseDownloadWindows(options.downloadWindows || defaultOptions.downloadWindows)
+        : { windows: [], errors: [] };
+    if (errors.length > 0) console.warn(`Ignoring unreadable download windows: ${errors.join('; ')}`);
+    downloadWindows = windows;
+    refreshTransferWindow();
+}
+
+getOptions().then(applyRateLimitOptions);
+const downloadWindowsLoaded = getOptions().then(applyDownloadWindowOptions);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.options && changes.options.newValue) {
+        applyRateLimitOptions(changes.options.newValue);
+        applyDownloadWindowOptions(changes.options.newValue);
     }
 });
 
-function saveDownloadedFileIds() {
-    chrome.storage.local.set({ downloadedFileIds: Array.from(downloadedFileIds) });
+// Recomputes whether files may be transferred now, wakes jobs waiting for a window when one opens,
+// and sets the alarm for the next boundary. Jobs outside a window keep their slot, like paused ones.
+function refreshTransferWindow() {
+    const state = getDownloadWindowState(downloadWindows);
+    const changed = state.open !== transferWindow.open || state.nextChange !== transferWindow.nextChange;
+    transferWindow = state;
+    if (changed) {
+        if (state.nextChange) chrome.alarms.create(WINDOW_ALARM, { when: state.nextChange });
+        else chrome.alarms.clear(WINDOW_ALARM);
+        console.log(state.open
+            ? `Download window open${state.nextChange ? ` until ${new Date(state.nextChange).toLocaleString()}` : ''}.`
+            : `Download window closed${state.nextChange ? ` until ${new Date(state.nextChange).toLocaleString()}` : ''}.`);
+        chrome.runtime.sendMessage({ action: "transferWindowState", data: summarizeTransferWindow(), to: "popup", from: "background" })
+            .catch(() => {}); // No popup open
+    }
+    if (state.open) [...windowWaiters].forEach(wake => wake());
+    return state.open;
+}
+
+function summarizeTransferWindow() {
+    return { restricted: downloadWindows.length > 0, ...transferWindow };
+}
+
+// Resolves once a download window is open, or when the job is cancelled.
+function waitForTransferWindow(job) {
+    if (transferWindow.open || job.isCancelled) return Promise.resolve();
+    console.log(`${job.collectionName} waits for the next download window.`);
+    notifyPopup(job, "waitingForWindow", { albumName: job.collectionName, processed: job.processed, total: job.total, opensAt: transferWindow.nextChange });
+    return new Promise((resolve) => {
+        const wake = () => {
+            windowWaiters.delete(wake);
+            job.stopWaitingForWindow = null;
+            resolve();
+        };
+        job.stopWaitingForWindow = wake;
+        windowWaiters.add(wake);
+    });
+}
+
+// The limiter isn't tied to a job, so its state goes to every open popup
+onRateLimiterChange((state) => {
+    chrome.runtime.sendMessage({ action: "rateLimiterState", data: state, to: "popup", from: "background" })
+        .catch(() => {}); // No popup open
+});
+
+// One history record per media item and job; see lib/history-store.js.
+function historyEntry(item, status, details) {
+    return {
+        photoId: item.id,
+        jobId: item.jobId || 'unsaved',
+        status,
+        savedAt: Date.now(),
+        url: item.url,
+        path: null,
+        album: item.albumName || '',
+        albumId: item.albumId || null,
+        mediaType: item.mediaType,
+        ...details
+    };
+}
+
+function recordHistory(entries) {
+    return putHistoryEntries(entries).catch(error => console.warn("Could not update the download history:", error));
+}
+
+// Every message carries the job ID and tab, so a popup only follows the job it belongs to.
+function notifyPopup(job, action, data) {
+    chrome.runtime.sendMessage({ action, data: { ...data, jobId: job.id, tabId: job.tabId }, to: "popup", from: "background" })
+        .catch(err => console.warn("Popup not open or error sending message:", err.message));
+}
+
+function createDownloadJob({ id, tabId, collectionName, run }) {
+    const job = {
+        id: id || `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        tabId,
+        collectionName,
+        run,
+        state: 'queued', // 'queued', 'running', 'completed', 'cancelled' or 'failed'
+        isCancelled: false,
+        isPaused: false,
+        resumed: null, // While paused, a promise that resolves on resume or cancel
+        isStored: false, // Whether the queue is persisted in lib/job-store.js
+        queue: [],
+        activeDownloads: 0,
+        total: 0,
+        processed: 0,
+        duplicates: [],
+        savedEntries: [], // album.json entries of the media saved so far: { seq, entry }
+        failed: [], // Items that still failed after their retries: { seq, name, category, reason, message }
+        subscriptionId: null, // Album ID when the job syncs an album subscription
+        notice: null, // Added to the completion message, e.g. when only part of an album could be listed
+        stopWaitingForWindow: null, // Set while the job waits for a download window
+        createdAt: Date.now()
+    };
+    // Resolved once the job's download queue has drained (or was abandoned after cancelling)
+    job.drained = new Promise(resolve => { job.resolveDrained = resolve; });
+    return job;
+}
+
+function enqueueJob(job) {
+    jobs.set(job.id, job);
+    waitingJobIds.push(job.id);
+    console.log(`Queued job ${job.id}: ${job.collectionName}`);
+    scheduleJobs();
+    return job;
+}
+
+async function scheduleJobs() {
+    const options = await getOptions();
+    const maxParallel = Math.max(1, options.parallelJobs || defaultOptions.parallelJobs);
+    let runningCount = Array.from(jobs.values()).filter(job => job.state === 'running').length;
+    for (const jobId of [...waitingJobIds]) {
+        if (runningCount >= maxParallel) break;
+        const job = jobs.get(jobId);
+        if (job && job.isPaused) continue;
+        waitingJobIds.splice(waitingJobIds.indexOf(jobId), 1);
+        if (!job || job.state !== 'queued') continue;
+        runningCount++;
+        runJob(job);
+    }
+    waitingJobIds.forEach((jobId, position) => {
+        const job = jobs.get(jobId);
+        if (job && !job.isPaused) notifyPopup(job, "jobQueued", { position: position + 1, albumName: job.collectionName });
+    });
 }
 
-function notifyPopup(action, data) {
-    if (currentTabId) {
-        chrome.runtime.sendMessage({ action, data, to: "popup", from: "background" })
-            .catch(err => console.warn("Popup not open or error sending message:", err.message));
+async function runJob(job) {
+    job.state = 'running';
+    try {
+        await job.run(job);
+        if (job.state === 'running') job.state = job.isCancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+        if (!job.isCancelled) {
+            job.state = 'failed';
+            console.error(`Job ${job.id} (${job.collectionName}) failed:`, error);
+            notifyPopup(job, "downloadError", { error: error.message });
+        }
+        job.error = error.message;
+        discardStoredJob(job); // Not an interruption, so don't resume into the same error
+    } finally {
+        jobs.delete(job.id);
+        if (job.subscriptionId) finishSubscriptionSync(job);
+        scheduleJobs();
     }
 }
 
+function cancelJob(job) {
+    console.log(`Cancelling job ${job.id} (${job.collectionName}).`);
+    job.isCancelled = true;
+    if (job.isPaused) {
+        job.isPaused = false;
+        job.resolveResumed(); // Lets a paused queue or archive loop run into the cancellation
+    }
+    if (job.stopWaitingForWindow) job.stopWaitingForWindow();
+    job.queue = []; // Clear pending queue; active downloads check isCancelled
+    for (const [downloadId, tracked] of trackedDownloads) {
+        if (tracked.jobId === job.id) chrome.downloads.cancel(downloadId).catch(() => {});
+    }
+    discardStoredJob(job);
+    if (job.state === 'queued') {
+        job.state = 'cancelled';
+        jobs.delete(job.id);
+        const position = waitingJobIds.indexOf(job.id);
+        if (position !== -1) waitingJobIds.splice(position, 1);
+        if (job.subscriptionId) finishSubscriptionSync(job);
+    }
+    notifyPopup(job, "downloadCancelled", { albumName: job.collectionName });
+}
+
+// Stops the job from starting new files; downloads already in progress finish.
+function pauseJob(job) {
+    if (job.isPaused || job.isCancelled) return;
+    console.log(`Pausing job ${job.id} (${job.collectionName}).`);
+    job.isPaused = true;
+    job.resumed = new Promise(resolve => { job.resolveResumed = resolve; });
+    if (job.isStored) {
+        updateJob(job.id, { state: 'paused' }).catch(error => console.warn(`Could not update stored job ${job.id}:`, error));
+    }
+    notifyPopup(job, "downloadPaused", { albumName: job.collectionName, processed: job.processed, total: job.total });
+}
+
+function resumeJob(job) {
+    if (!job.isPaused) return;
+    console.log(`Resuming job ${job.id} (${job.collectionName}).`);
+    job.isPaused = false;
+    if (job.isStored) {
+        updateJob(job.id, { state: 'running' }).catch(error => console.warn(`Could not update stored job ${job.id}:`, error));
+    }
+    notifyPopup(job, "downloadResumed", { albumName: job.collectionName, processed: job.processed, total: job.total });
+    job.resolveResumed();
+    if (job.state === 'queued') scheduleJobs();
+}
+
+function waitWhilePaused(job) {
+    return job.isPaused ? job.resumed : Promise.resolve();
+}
+
+// Looks up a job by ID, first rehydrating stored jobs in case the worker has only just started.
+async function findJob(jobId) {
+    if (!jobs.has(jobId)) await resumeInterruptedJobs();
+    return jobs.get(jobId) || null;
+}
+
+function summarizeJob(job) {
+    return {
+        jobId: job.id,
+        tabId: job.tabId,
+        albumName: job.collectionName,
+        state: job.state,
+        paused: job.isPaused,
+        waitingForWindow: !!job.stopWaitingForWindow,
+        opensAt: job.stopWaitingForWindow ? transferWindow.nextChange : null,
+        processed: job.processed,
+        total: job.total,
+        queuePosition: waitingJobIds.indexOf(job.id) + 1 // 0 when not waiting
+    };
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "downloadAlbum") {
-        const { albumId, tabId, albumName: nameFromPopup } = request;
-        currentTabId = tabId;
-        isCancelled = false;
-        currentCollectionName = nameFromPopup || `album_${albumId}`;
-        console.log(`Received request to download album: ${currentCollectionName} (ID: ${albumId})`);
-        processAlbumDownload(albumId, nameFromPopup, tabId)
-            .then(() => sendResponse({ success: true }))
-            .catch(error => {
-                console.error("Album download initiation error:", error);
-                sendResponse({ success: false, error: error.message });
-                notifyPopup("downloadError", { error: error.message });
-            });
-        return true;
+        const { albumId, tabId, albumName: nameFromPopup, photoCount, groupName, specialAlbum } = request;
+        const job = enqueueJob(createDownloadJob({
+            tabId,
+            collectionName: nameFromPopup || `album_${albumId}`,
+            run: job => processAlbumDownload(job, albumId, nameFromPopup, photoCount, { groupName, specialAlbum })
+        }));
+        console.log(`Received request to download album: ${job.collectionName} (ID: ${albumId})`);
+        sendResponse({ success: true, jobId: job.id });
+    } else if (request.action === "downloadAlbums") {
+        // Albums picked from a profile's or Page's albums tab, one job each
+        const { albums, profileName, groupName, tabId } = request;
+        const albumJobs = (albums || []).map(album => enqueueJob(createDownloadJob({
+            tabId,
+            collectionName: album.albumName || `album_${album.albumId}`,
+            run: job => processAlbumDownload(job, album.albumId, album.albumName, album.photoCount, { albumUrl: album.albumUrl, profileName, groupName, specialAlbum: album.specialAlbum })
+        })));
+        console.log(`Received request to download ${albumJobs.length} albums of ${profileName || "a profile"}.`);
+        sendResponse({ success: albumJobs.length > 0, jobIds: albumJobs.map(job => job.id) });
+    } else if (request.action === "listAllAlbums") {
+        // An albums tab only shows the albums loaded so far; scrolls it to the end and lists them all
+        const { tabId } = request;
+        getOptions()
+            .then(options => getAllAlbumsOnTab(tabId, {
+                scrollDelay: options.albumScrollDelay || defaultOptions.albumScrollDelay,
+                onProgress: found => chrome.runtime.sendMessage({ action: "albumListProgress", data: { tabId, found }, to: "popup", from: "background" })
+                    .catch(() => {}) // No popup open
+            }))
+            .then(
+                albums => sendResponse({ success: true, albums }),
+                error => sendResponse({ success: false, error: error.message })
+            );
+        return true; // Responds asynchronously
     } else if (request.action === "downloadPhotosFromPost") {
         const { photoIds, postId, tabId } = request;
-        currentTabId = tabId;
-        isCancelled = false;
-        currentCollectionName = `post_${postId || Date.now()}`;
-        console.log(`Received request to download photos from post: ${currentCollectionName}`);
-        processPhotosDownload(photoIds, currentCollectionName, tabId)
-            .then(() => sendResponse({ success: true }))
-            .catch(error => {
-                console.error("Post photos download initiation error:", error);
-                sendResponse({ success: false, error: error.message });
-                notifyPopup("downloadError", { error: error.message });
-            });
-        return true;
+        const job = enqueueJob(createDownloadJob({
+            tabId,
+            collectionName: `post_${postId || Date.now()}`,
+            run: async job => processPhotosDownload(job, await withPageMetadata(photoIds, tabId))
+        }));
+        console.log(`Received request to download photos from post: ${job.collectionName}`);
+        sendResponse({ success: true, jobId: job.id });
     } else if (request.action === "downloadSinglePhoto") {
         const { photoUrl, photoId, tabId } = request;
-        currentTabId = tabId;
-        isCancelled = false;
-        currentCollectionName = `photo_${photoId || Date.now()}`;
-        console.log(`Received request to download single photo: ${currentCollectionName}`);
         const photoObject = { id: photoId, url: photoUrl, originalName: getOriginalNameFromUrl(photoUrl) };
-        processPhotosDownload([photoObject], currentCollectionName, tabId)
-            .then(() => sendResponse({ success: true }))
-            .catch(error => {
-                console.error("Single photo download initiation error:", error);
-                sendResponse({ success: false, error: error.message });
-                notifyPopup("downloadError", { error: error.message });
-            });
-        return true;
+        const job = enqueueJob(createDownloadJob({
+            tabId,
+            collectionName: `photo_${photoId || Date.now()}`,
+            run: async job => processPhotosDownload(job, await withPageMetadata([photoObject], tabId))
+        }));
+        console.log(`Received request to download single photo: ${job.collectionName}`);
+        sendResponse({ success: true, jobId: job.id });
+    } else if (request.action === "downloadVideos") {
+        const { videos, postId, tabId } = request;
+        const job = enqueueJob(createDownloadJob({
+            tabId,
+            collectionName: `video_${postId || Date.now()}`,
+            run: job => processPhotosDownload(job, videos)
+        }));
+        console.log(`Received request to download videos: ${job.collectionName}`);
+        sendResponse({ success: true, jobId: job.id });
+    } else if (request.action === "downloadListing") {
+        const { listing, photos, tabId } = request;
+        const job = enqueueJob(createDownloadJob({
+            tabId,
+            collectionName: listing.title || `listing_${listing.listingId}`,
+            run: async (job) => {
+                const options = await getOptions();
+                const listingPhotos = await getMarketplaceListingPhotos(tabId, listing, photos || [], options.albumScrollDelay || defaultOptions.albumScrollDelay);
+                await processPhotosDownload(job, listingPhotos, options, { listing });
+            }
+        }));
+        console.log(`Received request to download Marketplace listing: ${job.collectionName} (ID: ${listing.listingId})`);
+        sendResponse({ success: true, jobId: job.id });
+    } else if (request.action === "downloadConversation") {
+        const { threadId, conversationName, tabId } = request;
+        const job = enqueueJob(createDownloadJob({
+            tabId,
+            collectionName: conversationName || `conversation_${threadId}`,
+            run: job => processConversationDownload(job, threadId)
+        }));
+        console.log(`Received request to download shared media of conversation: ${job.collectionName} (ID: ${threadId})`);
+        sendResponse({ success: true, jobId: job.id });
     } else if (request.action === "cancelDownload") {
-        console.log("Download cancellation requested.");
-        isCancelled = true;
-        downloadQueue = []; // Clear pending queue
-        // Active downloads will check isCancelled flag
-        notifyPopup("downloadCancelled", { albumName: currentCollectionName });
-        sendResponse({ success: true });
+        // Without a job ID (e.g. an older popup), every job started from the tab is cancelled
+        const targets = request.jobId
+            ? [jobs.get(request.jobId)].filter(Boolean)
+            : Array.from(jobs.values()).filter(job => job.tabId === request.tabId);
+        console.log(`Download cancellation requested for ${targets.length} job(s).`);
+        targets.forEach(cancelJob);
+        sendResponse({ success: targets.length > 0 });
+    } else if (request.action === "pauseDownload" || request.action === "resumeDownload") {
+        findJob(request.jobId).then(job => {
+            if (job) (request.action === "pauseDownload" ? pauseJob : resumeJob)(job);
+            sendResponse({ success: !!job });
+        });
+        return true; // Responds asynchronously
+    } else if (request.action === "getJobs") {
+        // A paused job may only be in the job store right after a browser restart
+        resumeInterruptedJobs().then(() => {
+            const tabJobs = Array.from(jobs.values())
+                .filter(job => request.tabId === undefined || job.tabId === request.tabId)
+                .map(summarizeJob);
+            sendResponse({ jobs: tabJobs });
+        });
+        return true;
+    } else if (request.action === "retryFailed") {
+        retryFailedItems(request.jobId).then(
+            job => sendResponse({ success: !!job, jobId: job ? job.id : null }),
+            error => sendResponse({ success: false, error: error.message })
+        );
+        return true; // Responds asynchronously
+    } else if (request.action === "getFailedJobs") {
+        getFailedJobs(request.tabId).then(
+            failedJobs => sendResponse({ jobs: failedJobs }),
+            error => sendResponse({ jobs: [], error: error.message })
+        );
+        return true;
+    } else if (request.action === "subscribeAlbum") {
+        subscribeToAlbum(request).then(
+            subscription => sendResponse({ success: true, subscription }),
+            error => sendResponse({ success: false, error: error.message })
+        );
+        return true;
+    } else if (request.action === "unsubscribeAlbum") {
+        unsubscribeFromAlbum(request.albumId).then(
+            removed => sendResponse({ success: removed }),
+            error => sendResponse({ success: false, error: error.message })
+        );
+        return true;
+    } else if (request.action === "getSubscriptions") {
+        getSubscriptions().then(
+            subscriptions => sendResponse({ subscriptions: subscriptions.map(summarizeSubscription) }),
+            error => sendResponse({ subscriptions: [], error: error.message })
+        );
+        return true;
+    } else if (request.action === "syncSubscription") {
+        getSubscription(request.albumId).then(async (subscription) => {
+            const job = subscription && !isSyncRunning(subscription.albumId) ? await startSubscriptionSync(subscription) : null;
+            sendResponse({ success: !!job, jobId: job ? job.id : null });
+        }, error => sendResponse({ success: false, error: error.message }));
+        return true;
+    } else if (request.action === "getTransferWindowState") {
+        downloadWindowsLoaded.then(() => {
+            refreshTransferWindow();
+            sendResponse({ state: summarizeTransferWindow() });
+        });
+        return true;
+    } else if (request.action === "getRateLimiterState") {
+        sendResponse({ state: getRateLimiterState() });
     }
     return false;
 });
@@ -103,42 +509,181 @@ async function getOptions() {
     });
 }
 
-async function processAlbumDownload(albumId, nameFromPopup, tabId) {
+// Doesn't know the album, so any date placeholder counts (see wantsPhotoDates).
+function wantsMetadata(options) {
+    return !!(options.saveMetadataSidecars || options.embedMetadata || wantsPosterNames(options) || /{(sent|set)_(date|time)}/.test(options.fileNameRule || ''));
+}
+
+// Poster names come from the photo metadata (the uploader), so they need it captured too.
+function wantsPosterNames(options) {
+    return !!options.posterSubfolders || /{(poster|sender)_name}/.test(options.fileNameRule || '');
+}
+
+// So do the per-photo dates of {sent_date} and {set_date}. {set_date} stays empty outside SET_DATE_ALBUMS,
+// so it only counts when `specialAlbum` is known to be one of them.
+function wantsPhotoDates(options, specialAlbum) {
+    const rule = options.fileNameRule || '';
+    return /{sent_(date|time)}/.test(rule) || (SET_DATE_ALBUMS.includes(specialAlbum) && /{set_(date|time)}/.test(rule));
+}
+
+// Scraped grids (e.g. a group's Media tab) don't say who posted a photo or when; its viewer page does.
+function lacksWantedDetails(photo, options, specialAlbum) {
+    const metadata = photo.metadata || {};
+    return (wantsPosterNames(options) && !metadata.uploader) || (wantsPhotoDates(options, specialAlbum) && !metadata.uploadDate);
+}
+
+// Post and single-photo pages describe one post, so its metadata is shared by every photo in it.
+async function withPageMetadata(photos, tabId) {
     const options = await getOptions();
-    totalPhotosForCurrentJob = 0; // Reset for new job
-    processedPhotosForCurrentJob = 0; // Reset for new job
+    if (!wantsMetadata(options)) return photos;
+    const pageMetadata = await capturePageMetadata(tabId);
+    if (!pageMetadata) return photos;
+    return photos.map(photo => ({
+        ...photo,
+        metadata: {
+            ...pageMetadata,
+            permalink: photo.permalink || pageMetadata.permalink,
+            altText: photo.altText || pageMetadata.altText
+        }
+    }));
+}
+
+/**
+ * Opens photos in the media viewer for their full-size URL and, where wanted, their metadata.
+ * With `detailsOnly` only the metadata is read and the URLs stay as they are.
+ */
+async function upgradeToMaximumQuality(job, photos, options, { detailsOnly = false } = {}) {
+    const stored = await chrome.storage.local.get({ maxQualityResolved: {} });
+    const now = Date.now();
+    const resolved = {};
+    for (const [photoId, record] of Object.entries(stored.maxQualityResolved)) {
+        if (now - record.resolvedAt < MAX_QUALITY_RESUME_TTL && !isUrlExpiring(record.url)) resolved[photoId] = record;
+    }
+    const resumedCount = photos.filter(photo => resolved[photo.id]).length;
+    if (resumedCount > 0) console.log(`Resuming maximum quality walk: ${resumedCount} photos already resolved.`);
+
+    return resolveFullResolutionPhotos(photos, job.tabId, {
+        delay: options.delayBetweenDownloads,
+        resolved,
+        onResolved: (photoId, record) => {
+            resolved[photoId] = { ...record, resolvedAt: Date.now() };
+            chrome.storage.local.set({ maxQualityResolved: resolved });
+        },
+        onProgress: (done, total) => notifyPopup(job, "fullResolutionProgress", { done, total, albumName: job.collectionName, detailsOnly }),
+        isCancelled: () => job.isCancelled,
+        captureMetadata: wantsMetadata(options),
+        keepUrls: detailsOnly
+    });
+}
+
+/**
+ * @param {object} job
+ * @param {string} albumId
+ * @param {string} nameFromPopup
+ * @param {number} expectedCount
+ * @param {object} [source] - For albums listed on a profile's albums tab: the album is scraped in a
+ *   background tab opened at `albumUrl`, and `profileName` fills the profile folder rule. `groupName`
+ *   is set for group albums and a group's Media tab, `specialAlbum` for albums Facebook keeps itself
+ *   (e.g. 'profile_pictures'; see SET_DATE_ALBUMS).
+ */
+async function processAlbumDownload(job, albumId, nameFromPopup, expectedCount, { albumUrl = null, profileName = null, groupName = null, specialAlbum = null } = {}) {
+    const options = await getOptions();
+    let albumTabId = null;
 
     try {
-        const albumInfo = await getPhotoUrlsForAlbum(albumId, tabId, nameFromPopup);
-        if (isCancelled) { console.log("Album download cancelled during info fetch."); return; }
+        if (albumUrl) {
+            albumTabId = await openPageInBackground(albumUrl);
+            if (job.isCancelled) return;
+        }
+        const albumInfo = await getPhotoUrlsForAlbum(albumId, albumTabId === null ? job.tabId : albumTabId, nameFromPopup, {
+            useGraphQL: options.useGraphQLAlbumApi !== false,
+            graphqlDocId: options.graphqlAlbumDocId,
+            pageDelay: options.delayBetweenDownloads,
+            autoScroll: options.autoScrollAlbums !== false,
+            expectedCount: expectedCount || 0,
+            scrollDelay: options.albumScrollDelay || defaultOptions.albumScrollDelay,
+            onProgress: (collected, expected) => notifyPopup(job, "albumHarvestProgress", { collected, expected, albumName: nameFromPopup }),
+            isCancelled: () => job.isCancelled
+        });
+        if (albumTabId !== null) {
+            chrome.tabs.remove(albumTabId).catch(() => {});
+            albumTabId = null;
+        }
+        if (job.isCancelled) { console.log("Album download cancelled during info fetch."); return; }
 
         if (!albumInfo || !albumInfo.photos || albumInfo.photos.length === 0) {
-            notifyPopup("downloadError", { error: "No photos found in the album or unable to retrieve album details." });
+            job.state = 'failed';
+            notifyPopup(job, "downloadError", { error: "No photos found in the album or unable to retrieve album details." });
             return;
         }
 
-        currentCollectionName = albumInfo.albumName; // Update with actual name if fetched
-        await processPhotosDownload(albumInfo.photos, currentCollectionName, tabId, options);
+        job.collectionName = albumInfo.albumName; // Update with actual name if fetched
+        job.notice = albumInfo.incomplete || null;
+        await processPhotosDownload(job, albumInfo.photos, options, { albumId, profileName, groupName, specialAlbum });
 
     } catch (error) {
-        if (isCancelled) return;
+        if (job.isCancelled) return;
         console.error(`Error processing album ${albumId}:`, error);
-        notifyPopup("downloadError", { error: `Failed to fetch album: ${error.message}` });
+        job.state = 'failed';
+        notifyPopup(job, "downloadError", { error: `Failed to fetch album: ${error.message}` });
+    } finally {
+        if (albumTabId !== null) chrome.tabs.remove(albumTabId).catch(() => {});
+    }
+}
+
+// Photos shared in a Messenger conversation, queued oldest first so {index} follows the conversation.
+async function processConversationDownload(job, threadId) {
+    const options = await getOptions();
+    const { conversationName, photos, thumbnailCount } = await getConversationMedia(threadId, job.tabId, {
+        scrollDelay: options.albumScrollDelay || defaultOptions.albumScrollDelay,
+        delay: options.delayBetweenDownloads,
+        onHarvestProgress: (collected, expected) => notifyPopup(job, "albumHarvestProgress", { collected, expected, albumName: job.collectionName }),
+        onProgress: (done, total) => notifyPopup(job, "fullResolutionProgress", { done, total, albumName: job.collectionName }),
+        isCancelled: () => job.isCancelled
+    });
+    if (job.isCancelled) return;
+    if (photos.length === 0) throw new Error("No shared photos found in this conversation.");
+
+    if (!job.collectionName || job.collectionName === `conversation_${threadId}`) job.collectionName = conversationName;
+    if (thumbnailCount > 0) {
+        job.notice = `${thumbnailCount} photo${thumbnailCount === 1 ? ' was' : 's were'} saved as low-resolution thumbnails; their full size could not be opened.`;
     }
+    await processPhotosDownload(job, photos, options);
 }
 
-async function processPhotosDownload(photosArray, collectionName, tabId, customOptions) {
-    if (isCancelled) { console.log("Photo download cancelled before queuing."); return; }
+/**
+ * Queues photos for download and waits until the queue has drained.
+ * @param {object} job
+ * @param {Array<object>} photosArray
+ * @param {object} [customOptions] - Used instead of the stored options.
+ * @param {object} [target] - Where the files go when not decided by the options: `folderName` replaces
+ *   the folder rules, `indexOffset` continues {index} after the files already in that folder,
+ *   `profileName` puts the folder inside the profile folder (see buildBaseFolderName), `groupName`
+ *   fills {group_name}, `specialAlbum` decides whether {set_date} applies, and a Marketplace `listing`
+ *   fills {listing_title}/{listing_id} and is saved next to the photos as listing.json. `albumId` is kept in
+ *   the history, so a later subscription to the album finds its folder.
+ */
+async function processPhotosDownload(job, photosArray, customOptions, { folderName = null, indexOffset = 0, albumId = null, profileName = null, groupName = null, specialAlbum = null, listing = null } = {}) {
+    if (job.isCancelled) { console.log("Photo download cancelled before queuing."); return; }
     const options = customOptions || await getOptions();
+    const collectionName = job.collectionName;
 
-    totalPhotosForCurrentJob = photosArray.length;
-    processedPhotosForCurrentJob = 0;
-    notifyPopup("downloadProgress", { processed: 0, total: totalPhotosForCurrentJob, albumName: collectionName });
+    job.total = photosArray.length;
+    job.processed = 0;
+    notifyPopup(job, "downloadProgress", { processed: 0, total: job.total, albumName: collectionName });
 
-    let photosToQueue = photosArray;
+    // Every path normalises to the same stable key, so skipDownloaded matches across runs.
+    // Copies of a photo under another ID are caught after fetching, by content hash (dedupeByContent).
+    let photosToQueue = photosArray.map(photo => ({ ...photo, id: resolvePhotoKey(photo) }));
     if (options.skipDownloaded) {
         const initialCount = photosToQueue.length;
-        photosToQueue = photosToQueue.filter(photo => !downloadedFileIds.has(photo.id));
+        await historyReady;
+        const downloadedIds = await getDownloadedPhotoIds(photosToQueue.map(photo => photo.id))
+            .catch((error) => {
+                console.warn("Could not read the download history; nothing is skipped:", error);
+                return new Set();
+            });
+        photosToQueue = photosToQueue.filter(photo => !downloadedIds.has(photo.id));
         const skippedCount = initialCount - photosToQueue.length;
         if (skippedCount > 0) {
             console.log(`Skipped ${skippedCount} already downloaded photos.`);
@@ -146,31 +691,100 @@ async function processPhotosDownload(photosArray, collectionName, tabId, customO
     }
 
     if (photosToQueue.length === 0) {
-        notifyPopup("downloadComplete", { albumName: collectionName, message: "All photos already downloaded or collection is empty." });
+        completeJob(job, "All photos already downloaded or collection is empty.");
         return;
     }
 
-    totalPhotosForCurrentJob = photosToQueue.length; // Update total based on skippable
-    if (totalPhotosForCurrentJob === 0 ) { // All were skipped
-        notifyPopup("downloadComplete", { albumName: collectionName, message: "All photos already downloaded." });
+    if (options.maximumQuality) {
+        photosToQueue = await upgradeToMaximumQuality(job, photosToQueue, options);
+        if (job.isCancelled) { console.log("Photo download cancelled during maximum quality walk."); return; }
+    } else {
+        // Only the photos missing a wanted poster name or date are opened, for their metadata alone
+        const lacking = photosToQueue.filter(photo => lacksWantedDetails(photo, options, specialAlbum));
+        if (lacking.length > 0) {
+            console.log(`Reading poster names/dates of ${lacking.length} photos from their viewer pages.`);
+            const detailed = new Map((await upgradeToMaximumQuality(job, lacking, options, { detailsOnly: true })).map(photo => [photo.id, photo]));
+            if (job.isCancelled) { console.log("Photo download cancelled while reading photo details."); return; }
+            photosToQueue = photosToQueue.map(photo => detailed.get(photo.id) || photo);
+        }
+    }
+
+    const date = new Date();
+    const { formattedDate, formattedTime } = formatJobDate(date);
+    const baseFolderName = folderName || buildBaseFolderName(options, collectionName, date, { profileName, groupName, listing });
+
+    const mediaItems = photosToQueue.map((photo, index) => ({
+        kind: 'media',
+        url: photo.url,
+        id: photo.id,
+        originalName: photo.originalName || `${photo.id || `photo_${index}`}${photo.mediaType === 'video' ? '.mp4' : '.jpg'}`,
+        mediaType: photo.mediaType || 'photo',
+        duration: photo.duration || 0,
+        metadata: photo.metadata || null,
+        // Converted photos get their new extension up front; a failed conversion falls back to the original
+        targetExtension: (photo.mediaType || 'photo') === 'photo' && IMAGE_FORMATS[options.imageFormat] ? IMAGE_FORMATS[options.imageFormat].extension : null,
+        albumName: collectionName,
+        albumId,
+        groupName,
+        specialAlbum,
+        listingId: listing ? listing.listingId : null,
+        listingTitle: listing ? listing.title : null,
+        posterName: photo.metadata && photo.metadata.uploader ? photo.metadata.uploader.name : null,
+        baseFolderName,
+        index: indexOffset + index + 1,
+        tabId: job.tabId,
+        options: options,
+        date, // Pass the date object for file naming
+        formattedDate,
+        formattedTime
+    }));
+
+    const queue = options.saveMetadataSidecars
+        ? withMetadataFiles(mediaItems, collectionName)
+        : mediaItems;
+    if (listing) queue.push(listingFile(mediaItems[0], listing, mediaItems.length));
+
+    job.total = queue.length; // Update total based on skippable, counting the manifest files
+    notifyPopup(job, "downloadProgress", { processed: 0, total: job.total, albumName: collectionName });
+    await persistNewJob(job, options, queue);
+
+    if (options.outputMode === 'archive') {
+        // The archive is built here, not by the download queue
+        console.log(`Archiving ${queue.length} files from ${collectionName}.`);
+        await processArchiveDownload(job, queue, options);
         return;
     }
-    notifyPopup("downloadProgress", { processed: 0, total: totalPhotosForCurrentJob, albumName: collectionName });
 
+    job.queue = queue;
+    console.log(`Queued ${queue.length} files for download from ${collectionName}.`);
+    startProcessingQueue(job);
+    await job.drained;
+}
 
-    const date = new Date();
-    const formattedDate = {
-        'YYYY-MM-DD': `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
-        'MM-DD-YYYY': `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}-${date.getFullYear()}`,
-        'DD-MM-YYYY': `${String(date.getDate()).padStart(2, '0')}-${String(date.getMonth() + 1).padStart(2, '0')}-${date.getFullYear()}`,
-    };
-    const formattedTime = {
-        'HH-MM-SS': `${String(date.getHours()).padStart(2, '0')}-${String(date.getMinutes()).padStart(2, '0')}-${String(date.getSeconds()).padStart(2, '0')}`
+function formatJobDate(date) {
+    return {
+        formattedDate: {
+            'YYYY-MM-DD': `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+            'MM-DD-YYYY': `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}-${date.getFullYear()}`,
+            'DD-MM-YYYY': `${String(date.getDate()).padStart(2, '0')}-${String(date.getMonth() + 1).padStart(2, '0')}-${date.getFullYear()}`,
+        },
+        formattedTime: {
+            'HH-MM-SS': `${String(date.getHours()).padStart(2, '0')}-${String(date.getMinutes()).padStart(2, '0')}-${String(date.getSeconds()).padStart(2, '0')}`
+        }
     };
+}
 
-    const baseFolderName = applyTokenToFilename(options.folderNameRule, {
+// The sanitised folder for a collection. Albums downloaded from a profile's albums tab (with `profileName`)
+// go into a parent folder named by the profile folder rule, e.g. "Jane_Doe/Holidays".
+function buildBaseFolderName(options, collectionName, date, { profileName = null, groupName = null, listing = null } = {}) {
+    const { formattedDate } = formatJobDate(date);
+    const tokens = {
         album_name: collectionName,
-        owner_name: "FacebookUser", // Placeholder - real extraction needed
+        owner_name: profileName || "FacebookUser", // Placeholder unless the profile is known - real extraction needed
+        profile_name: profileName,
+        group_name: groupName,
+        listing_title: listing ? listing.title : null,
+        listing_id: listing ? listing.listingId : null,
         'date_YYYY-MM-DD': formattedDate['YYYY-MM-DD'],
         'date_MM-DD-YYYY': formattedDate['MM-DD-YYYY'],
         'date_DD-MM-YYYY': formattedDate['DD-MM-YYYY'],
@@ -178,79 +792,605 @@ async function processPhotosDownload(photosArray, collectionName, tabId, customO
         year: date.getFullYear(),
         month: String(date.getMonth() + 1).padStart(2, '0'),
         day: String(date.getDate()).padStart(2, '0')
+    };
+    const folderName = sanitizeFilename(applyTokenToFilename(options.folderNameRule, tokens));
+    const profileFolderRule = options.profileFolderRule === undefined ? defaultOptions.profileFolderRule : options.profileFolderRule;
+    const profileFolder = profileName && profileFolderRule ? applyTokenToFilename(profileFolderRule, tokens) : '';
+    return profileFolder ? `${sanitizeFilename(profileFolder)}/${folderName}` : folderName;
+}
+
+// Stores the queue so the job can resume if Chrome suspends the worker before it finishes.
+// Options are stored once on the job instead of on every item.
+async function persistNewJob(job, options, queue) {
+    queue.forEach((item, seq) => {
+        item.jobId = job.id;
+        item.seq = seq;
     });
+    try {
+        await createJob({
+            id: job.id,
+            collectionName: job.collectionName,
+            tabId: job.tabId,
+            options,
+            state: job.isPaused ? 'paused' : 'running',
+            total: queue.length,
+            archivePartsSaved: 0,
+            subscriptionId: job.subscriptionId,
+            createdAt: job.createdAt
+        }, queue.map(({ options: _options, ...item }) => item));
+        job.isStored = true;
+        chrome.alarms.create(RESUME_ALARM, { periodInMinutes: RESUME_ALARM_PERIOD_MINUTES });
+    } catch (error) {
+        console.warn("Could not store the job; it will not resume if the service worker is suspended:", error);
+    }
+}
 
-    downloadQueue = photosToQueue.map((photo, index) => ({
-        url: photo.url,
-        id: photo.id,
-        originalName: photo.originalName || `${photo.id || `photo_${index}`}.jpg`,
-        albumName: collectionName,
-        baseFolderName: sanitizeFilename(baseFolderName),
-        index: index + 1,
-        tabId: tabId,
-        options: options,
-        date, // Pass the date object for file naming
-        formattedDate,
-        formattedTime
-    }));
+function markItems(items, status, changes) {
+    const jobId = items.length > 0 && items[0].jobId;
+    if (!jobId) return Promise.resolve();
+    return setItemStatus(jobId, items.map(item => item.seq), status, changes)
+        .catch(error => console.warn(`Could not update stored job ${jobId}:`, error));
+}
 
-    console.log(`Queued ${downloadQueue.length} photos for download from ${collectionName}.`);
-    startProcessingQueue();
+// Removes the stored job once it has completed or was cancelled.
+function discardStoredJob(job) {
+    if (!job.isStored) return;
+    job.isStored = false;
+    deleteJob(job.id).catch(error => console.warn(`Could not remove stored job ${job.id}:`, error));
+    clearResumeAlarmIfIdle(job);
 }
 
-function startProcessingQueue() {
-    if (isCancelled) {
-        console.log("Queue processing cancelled.");
-        isDownloading = false;
-        downloadQueue = [];
-        activeDownloads = 0;
+// A job that finished with failed items stays stored, without its saved items, so "Retry failed" can re-queue them.
+function finishStoredJob(job) {
+    if (job.failed.length === 0) {
+        discardStoredJob(job);
         return;
     }
-    if (downloadQueue.length === 0 && activeDownloads === 0) {
-        isDownloading = false;
-        console.log("Download queue empty and no active downloads.");
-        if (totalPhotosForCurrentJob > 0) { // Only send complete if a job was actually started
-            notifyPopup("downloadComplete", { albumName: currentCollectionName, message: "All downloads processed." });
+    if (!job.isStored) return;
+    job.isStored = false;
+    updateJob(job.id, { state: 'completed', failedCount: job.failed.length, completedAt: Date.now() })
+        .then(() => deleteItemsWithStatus(job.id, ITEM_STATUS.DONE))
+        .catch(error => console.warn(`Could not update stored job ${job.id}:`, error));
+    clearResumeAlarmIfIdle(job);
+}
+
+function clearResumeAlarmIfIdle(job) {
+    if (!Array.from(jobs.values()).some(other => other !== job && other.isStored)) {
+        chrome.alarms.clear(RESUME_ALARM);
+    }
+}
+
+function enqueueStoredJob(storedJob) {
+    const job = createDownloadJob({
+        id: storedJob.id,
+        tabId: storedJob.tabId,
+        collectionName: storedJob.collectionName,
+        run: job => resumeStoredJob(job, storedJob)
+    });
+    job.isStored = true;
+    job.createdAt = storedJob.createdAt;
+    job.subscriptionId = storedJob.subscriptionId || null;
+    if (storedJob.state === 'paused') {
+        // Waits in line until the user resumes it, even across browser restarts
+        job.isPaused = true;
+        job.resumed = new Promise(resolve => { job.resolveResumed = resolve; });
+        job.total = storedJob.total;
+    }
+    return enqueueJob(job);
+}
+
+// Rehydrates jobs that were interrupted when Chrome suspended the worker; each continues at its first unfinished item.
+// Paused jobs come back paused. The album scan and maximum quality walk are not part of a stored job; only the download queue is.
+function resumeInterruptedJobs() {
+    if (resumePromise) return resumePromise;
+    resumePromise = (async () => {
+        await historyReady;
+        const storedJobs = (await getJobs())
+            .filter(storedJob => (storedJob.state === 'running' || storedJob.state === 'paused') && !jobs.has(storedJob.id));
+        if (storedJobs.length === 0) {
+            if (jobs.size === 0) chrome.alarms.clear(RESUME_ALARM);
+            return;
         }
+        storedJobs.forEach(enqueueStoredJob);
+    })()
+        .catch(error => console.error("Could not resume interrupted jobs:", error))
+        .finally(() => { resumePromise = null; });
+    return resumePromise;
+}
+
+async function resumeStoredJob(job, storedJob) {
+    const items = (await getUnfinishedItems(storedJob.id)).map(item => ({ ...item, options: storedJob.options }));
+    // Items that failed before the worker stopped are still reported when the job completes
+    job.failed = (await getItemsWithStatus(storedJob.id, ITEM_STATUS.FAILED)).map(item => ({ seq: item.seq, name: itemDisplayName(item), ...item.error }));
+    await restoreSavedEntries(job, storedJob);
+    job.total = storedJob.total;
+    job.processed = storedJob.total - items.length;
+    if (items.length === 0) {
+        completeJob(job, "All downloads processed.");
         return;
     }
 
-    isDownloading = true;
-    const optionsPromise = getOptions(); // Get fresh options for each batch
+    console.log(`Resuming ${job.collectionName}: ${items.length} of ${job.total} files left.`);
+    if (storedJob.options.outputMode === 'archive') {
+        await processArchiveDownload(job, items, storedJob.options, (storedJob.archivePartsSaved || 0) + 1);
+    } else {
+        job.queue = items;
+        startProcessingQueue(job);
+        await job.drained;
+    }
+}
+
+// Re-queues only the items of a finished job that failed after all of their retries.
+// Resolves with the new in-memory job, or null if the job is still running or has nothing to retry.
+async function retryFailedItems(jobId) {
+    if (jobs.has(jobId)) return null;
+    const storedJob = (await getJobs()).find(candidate => candidate.id === jobId);
+    if (!storedJob) return null;
+    const failedItems = await getItemsWithStatus(jobId, ITEM_STATUS.FAILED);
+    if (failedItems.length === 0) return null;
+
+    await setItemStatus(jobId, failedItems.map(item => item.seq), ITEM_STATUS.PENDING, { error: null, downloadId: null });
+    const updatedJob = await updateJob(jobId, { state: 'running', total: failedItems.length, failedCount: 0 });
+    chrome.alarms.create(RESUME_ALARM, { periodInMinutes: RESUME_ALARM_PERIOD_MINUTES });
+    console.log(`Retrying ${failedItems.length} failed files of ${storedJob.collectionName}.`);
+    return enqueueStoredJob(updatedJob);
+}
+
+// Finished jobs with failed items, newest first, for the popup's "Retry failed" button.
+async function getFailedJobs(tabId) {
+    return (await getJobs())
+        .filter(storedJob => storedJob.state === 'completed' && storedJob.failedCount > 0)
+        .filter(storedJob => tabId === undefined || storedJob.tabId === tabId)
+        .reverse()
+        .map(storedJob => ({
+            jobId: storedJob.id,
+            tabId: storedJob.tabId,
+            albumName: storedJob.collectionName,
+            failedCount: storedJob.failedCount,
+            completedAt: storedJob.completedAt
+        }));
+}
+
+// Album subscriptions (lib/subscriptions.js): a sync is an ordinary job that opens the album in a
+// background tab, scrapes it and queues only photos missing from the download history.
+
+// New photos go to the folder the album was downloaded to before, or where the folder rule puts it today.
+// Downloads are matched by album ID: names like "Profile pictures" are the same on every profile.
+async function subscribeToAlbum({ albumId, albumName, albumUrl, groupName = null, specialAlbum = null }) {
+    if (!albumId || /^scraped_album_/.test(albumId) || !albumUrl) {
+        throw new Error("This album has no stable link to sync from.");
+    }
+    const existing = await getSubscription(albumId);
+    let folderName = existing ? existing.folderName : null;
+    if (!folderName) {
+        await historyReady;
+        const { entries } = await queryHistory({ albumId, status: HISTORY_STATUS.DOWNLOADED, limit: 1 });
+        const savedPath = entries.length > 0 ? entries[0].path : null;
+        const savedFolder = savedPath && savedPath.includes('/') ? savedPath.substring(0, savedPath.lastIndexOf('/')) : null;
+        folderName = savedFolder && !/\.zip$/i.test(savedFolder)
+            ? savedFolder
+            : buildBaseFolderName(await getOptions(), albumName, new Date(), { groupName });
+    }
+    const subscription = await addSubscription({ albumId, albumName, albumUrl, folderName, groupName, specialAlbum });
+    await ensureSubscriptionAlarm();
+    console.log(`Subscribed to ${albumName} (${albumId}), saving to ${folderName}.`);
+    return summarizeSubscription(subscription);
+}
+
+async function unsubscribeFromAlbum(albumId) {
+    const removed = await removeSubscription(albumId);
+    if ((await getSubscriptions()).length === 0) chrome.alarms.clear(SUBSCRIPTION_ALARM);
+    return removed;
+}
+
+function summarizeSubscription(subscription) {
+    return { ...subscription, syncing: isSyncRunning(subscription.albumId) };
+}
+
+function isSyncRunning(albumId) {
+    return Array.from(jobs.values()).some(job => job.subscriptionId === albumId);
+}
+
+// Only created when missing: recreating an existing alarm would restart its period on every worker start.
+async function ensureSubscriptionAlarm() {
+    if (!(await chrome.alarms.get(SUBSCRIPTION_ALARM))) {
+        chrome.alarms.create(SUBSCRIPTION_ALARM, { delayInMinutes: 1, periodInMinutes: SUBSCRIPTION_ALARM_PERIOD_MINUTES });
+    }
+}
+
+async function startSubscriptionSync(subscription) {
+    const job = createDownloadJob({
+        tabId: null, // Set once the album is open in its background tab
+        collectionName: subscription.albumName,
+        run: job => processSubscriptionSync(job, subscription)
+    });
+    job.subscriptionId = subscription.albumId;
+    enqueueJob(job); // Before any await, so a second trigger sees the sync running
+    console.log(`Syncing subscribed album ${subscription.albumName}.`);
+    await updateSubscription(subscription.albumId, { lastStatus: { ...subscription.lastStatus, state: SYNC_STATES.QUEUED, jobId: job.id } });
+    return job;
+}
+
+async function processSubscriptionSync(job, subscription) {
+    const options = await getOptions();
+    await updateSubscription(subscription.albumId, { lastStatus: { ...subscription.lastStatus, state: SYNC_STATES.SYNCING, jobId: job.id } });
+    job.tabId = await openPageInBackground(subscription.albumUrl);
+    if (job.isCancelled) return;
+
+    const albumInfo = await getPhotoUrlsForAlbum(subscription.albumId, job.tabId, subscription.albumName, {
+        useGraphQL: options.useGraphQLAlbumApi !== false,
+        graphqlDocId: options.graphqlAlbumDocId,
+        pageDelay: options.delayBetweenDownloads,
+        autoScroll: options.autoScrollAlbums !== false,
+        scrollDelay: options.albumScrollDelay || defaultOptions.albumScrollDelay,
+        isCancelled: () => job.isCancelled
+    });
+    if (job.isCancelled) return;
+    if (!albumInfo || !albumInfo.photos || albumInfo.photos.length === 0) {
+        throw new Error("No photos found in the album.");
+    }
+
+    // Compared against the history whatever "Skip already downloaded files" is set to
+    await historyReady;
+    const photos = albumInfo.photos.map(photo => ({ ...photo, id: resolvePhotoKey(photo) }));
+    const downloadedIds = await getDownloadedPhotoIds(photos.map(photo => photo.id));
+    const newPhotos = photos.filter(photo => !downloadedIds.has(photo.id));
+    console.log(`${subscription.albumName}: ${newPhotos.length} of ${photos.length} photos are new.`);
+
+    job.collectionName = albumInfo.albumName || subscription.albumName;
+    job.notice = albumInfo.incomplete || null;
+    await processPhotosDownload(job, newPhotos, { ...options, skipDownloaded: false }, {
+        folderName: subscription.folderName,
+        indexOffset: photos.length - newPhotos.length,
+        albumId: subscription.albumId,
+        groupName: subscription.groupName || null,
+        specialAlbum: subscription.specialAlbum || null
+    });
+}
+
+// Runs for every finished sync job, including ones resumed after the worker was suspended.
+async function finishSubscriptionSync(job) {
+    if (job.tabId !== null) chrome.tabs.remove(job.tabId).catch(() => {});
+    const added = job.state === 'completed' || job.state === 'cancelled'
+        ? (await queryHistory({ jobId: job.id, status: HISTORY_STATUS.DOWNLOADED }).catch(() => ({ total: 0 }))).total
+        : 0;
+    const failedCount = job.failed.length;
+    const state = job.state === 'completed' ? SYNC_STATES.OK
+        : job.state === 'cancelled' ? SYNC_STATES.CANCELLED
+            : SYNC_STATES.FAILED;
+    let message;
+    if (state === SYNC_STATES.FAILED) {
+        message = `Sync failed: ${job.error || "unknown error"}`;
+    } else {
+        message = added > 0 ? `Added ${added} new photo${added === 1 ? '' : 's'}.` : "No new photos.";
+        if (failedCount > 0) message = `${message} ${failedCount} file${failedCount === 1 ? '' : 's'} failed.`;
+        if (state === SYNC_STATES.CANCELLED) message = `Cancelled. ${message}`;
+    }
+    const subscription = await updateSubscription(job.subscriptionId, {
+        albumName: job.collectionName,
+        lastSyncAt: Date.now(),
+        lastStatus: { state, added, failed: failedCount, message, at: Date.now(), jobId: job.id }
+    });
+    console.log(`Subscription sync of ${job.collectionName} finished: ${message}`);
+    if (subscription && (added > 0 || failedCount > 0 || state === SYNC_STATES.FAILED)) {
+        chrome.notifications.create(`albumSync_${job.id}`, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+            title: `${job.collectionName}`,
+            message: state === SYNC_STATES.FAILED ? message : `${message} Saved to ${subscription.folderName}.`
+        }).catch(error => console.warn("Could not show the sync notification:", error));
+    }
+}
+
+// Starts every due sync. A sync left "queued" or "syncing" by a worker that stopped before it stored
+// its job is marked interrupted, so it runs again at its next turn.
+async function syncDueSubscriptions() {
+    const subscriptions = await getSubscriptions();
+    if (subscriptions.length === 0) {
+        chrome.alarms.clear(SUBSCRIPTION_ALARM);
+        return;
+    }
+    await resumeInterruptedJobs();
+    const options = await getOptions();
+    const intervalMs = (options.subscriptionSyncHours || defaultOptions.subscriptionSyncHours) * 60 * 60 * 1000;
+    for (const subscription of subscriptions) {
+        if (isSyncRunning(subscription.albumId)) continue;
+        const { state } = subscription.lastStatus;
+        if (state === SYNC_STATES.QUEUED || state === SYNC_STATES.SYNCING) {
+            await updateSubscription(subscription.albumId, {
+                lastStatus: { ...subscription.lastStatus, state: SYNC_STATES.FAILED, message: "Sync was interrupted.", at: Date.now() }
+            });
+        }
+        if (isSyncDue(subscription, intervalMs)) await startSubscriptionSync(subscription);
+    }
+}
+
+// Gives every media item the details of its `<file>.json` sidecar and appends one album.json manifest.
+// Both are only written for media that was actually saved, so skipped duplicates get neither: the sidecar
+// once its media file is saved (see saveSidecar), named after that file, and the manifest last, listing
+// job.savedEntries. The manifest goes through the normal queue, so its path follows the same naming rules.
+// The manifest only lists this run's items, so every run writes its own copy ("album (1).json", ...).
+function withMetadataFiles(mediaItems, collectionName) {
+    for (const item of mediaItems) {
+        item.sidecar = {
+            photoId: item.id,
+            mediaType: item.mediaType,
+            sourceUrl: item.url,
+            collection: collectionName,
+            ...(item.metadata || {}),
+            downloadedAt: item.date.toISOString()
+        };
+    }
+
+    const first = mediaItems[0];
+    return [...mediaItems, {
+        ...first,
+        kind: 'manifest',
+        id: `manifest_${first.baseFolderName}`,
+        path: first.baseFolderName ? `${first.baseFolderName}/album.json` : 'album.json',
+        listsSavedItems: true,
+        json: {
+            albumName: collectionName,
+            folder: first.baseFolderName,
+            createdAt: first.date.toISOString()
+        }
+    }];
+}
+
+// Remembers a saved media file for album.json.
+function recordSavedEntry(job, item, fileName) {
+    if (item.sidecar) job.savedEntries.push({ seq: item.seq, entry: sidecarJson(item, fileName) });
+}
+
+// The contents of a metadata file; album.json gets the files saved so far, in queue order.
+// Returns null for an album.json without any saved files.
+function metadataFileJson(job, item) {
+    if (!item.listsSavedItems) return item.json;
+    if (job.savedEntries.length === 0) return null;
+    const items = [...job.savedEntries].sort((a, b) => a.seq - b.seq).map(saved => saved.entry);
+    return { ...item.json, itemCount: items.length, items };
+}
+
+// After a restart, album.json still has to list the files saved before it: the job's saved items,
+// with the paths the download history recorded for them.
+async function restoreSavedEntries(job, storedJob) {
+    const withSidecars = (await getItemsWithStatus(storedJob.id, ITEM_STATUS.DONE))
+        .filter(item => item.kind === 'media' && item.sidecar);
+    if (withSidecars.length === 0) return;
+    const { entries } = await queryHistory({ jobId: storedJob.id, status: HISTORY_STATUS.DOWNLOADED });
+    const savedPaths = new Map(entries.map(entry => [entry.photoId, entry.path]));
+    for (const item of withSidecars) {
+        const savedPath = savedPaths.get(item.id);
+        if (savedPath) recordSavedEntry(job, item, savedPath.split('/').pop());
+    }
+}
+
+function sidecarJson(item, fileName) {
+    const { photoId, mediaType, ...details } = item.sidecar;
+    return { photoId, mediaType, fileName, ...details };
+}
+
+// Writes the sidecar of a media file that was just saved as `savedPath` (relative to the downloads folder).
+// A missing sidecar doesn't fail the photo, which is already saved.
+async function saveSidecar(item, savedPath) {
+    if (!item.sidecar) return;
+    try {
+        await downloadGeneratedFile(jsonBlob(sidecarJson(item, savedPath.split('/').pop())), `${savedPath}.json`);
+    } catch (error) {
+        console.error(`Could not save the metadata file for ${item.originalName}:`, error);
+    }
+}
+
+// The browser may have renamed the file ("photo (1).jpg"); its folder is the one that was requested.
+async function getSavedPath(downloadId, requestedPath) {
+    const [download] = await chrome.downloads.search({ id: downloadId });
+    if (!download || !download.filename) return requestedPath;
+    const savedName = download.filename.split(/[\\/]/).pop();
+    const folder = requestedPath.includes('/') ? requestedPath.substring(0, requestedPath.lastIndexOf('/') + 1) : '';
+    return folder + savedName;
+}
+
+// The listing details go through the queue like album.json, so they land in the same folder or archive.
+function listingFile(first, listing, photoCount) {
+    return {
+        ...first,
+        kind: 'manifest',
+        id: `listing_${listing.listingId}`,
+        path: first.baseFolderName ? `${first.baseFolderName}/listing.json` : `listing_${listing.listingId}.json`,
+        json: {
+            listingId: listing.listingId,
+            title: listing.title || null,
+            price: listing.price || null,
+            location: listing.location || null,
+            description: listing.description || null,
+            url: listing.url || null,
+            photoCount,
+            savedAt: first.date.toISOString()
+        }
+    };
+}
+
+function startProcessingQueue(job) {
+    if (job.isCancelled) {
+        console.log(`Queue processing cancelled for ${job.collectionName}.`);
+        job.queue = [];
+        if (job.activeDownloads === 0) job.resolveDrained();
+        return;
+    }
+    if (job.queue.length === 0 && job.activeDownloads === 0) {
+        console.log(`Download queue empty and no active downloads for ${job.collectionName}.`);
+        if (job.total > 0) { // Only send complete if a job was actually started
+            completeJob(job, "All downloads processed.");
+        }
+        job.resolveDrained();
+        return;
+    }
+    if (job.isPaused) {
+        // Files still downloading call back in here as they finish; the last one waits for the resume
+        if (job.activeDownloads === 0) {
+            console.log(`Download queue of ${job.collectionName} paused with ${job.queue.length} files left.`);
+            job.resumed.then(() => startProcessingQueue(job));
+        }
+        return;
+    }
+
+    // Fresh options for each batch; the download windows must be known before anything starts
+    const optionsPromise = Promise.all([getOptions(), downloadWindowsLoaded]).then(([options]) => options);
 
     optionsPromise.then(options => {
-        while (downloadQueue.length > 0 && activeDownloads < options.concurrentDownloads) {
-            if (isCancelled) break;
-            const item = downloadQueue.shift();
-            activeDownloads++;
-            downloadPhoto(item)
+        if (!refreshTransferWindow()) {
+            // Outside a download window: like a pause, the last running file registers the wake-up
+            if (job.activeDownloads === 0 && !job.stopWaitingForWindow) {
+                waitForTransferWindow(job).then(() => startProcessingQueue(job));
+            }
+            return;
+        }
+        while (job.queue.length > 0 && job.activeDownloads < options.concurrentDownloads) {
+            if (job.isCancelled || job.isPaused) break;
+            // album.json lists the saved files, so it waits until every other file of the job has settled
+            if (job.queue[0].listsSavedItems && job.activeDownloads > 0) break;
+            const item = job.queue.shift();
+            job.activeDownloads++;
+            markItems([item], ITEM_STATUS.ACTIVE);
+            withRetries(job, item, () => downloadPhoto(job, item))
+                .then(() => markItems([item], ITEM_STATUS.DONE), error => recordFailure(job, item, error))
                 .finally(() => {
-                    activeDownloads--;
-                    processedPhotosForCurrentJob++;
-                    notifyPopup("downloadProgress", { processed: processedPhotosForCurrentJob, total: totalPhotosForCurrentJob, albumName: item.albumName });
-                    if (!isCancelled) {
-                        setTimeout(() => startProcessingQueue(), options.delayBetweenDownloads);
-                    } else if(activeDownloads === 0 && downloadQueue.length === 0) {
-                        isDownloading = false;
-                        console.log("All active downloads finished after cancellation.");
+                    job.activeDownloads--;
+                    job.processed++;
+                    notifyPopup(job, "downloadProgress", { processed: job.processed, total: job.total, albumName: item.albumName });
+                    if (!job.isCancelled) {
+                        setTimeout(() => startProcessingQueue(job), options.delayBetweenDownloads);
+                    } else if (job.activeDownloads === 0) {
+                        console.log(`All active downloads of ${job.collectionName} finished after cancellation.`);
+                        job.resolveDrained();
                     }
                 });
         }
-        if (downloadQueue.length === 0 && activeDownloads === 0 && !isCancelled) {
-            isDownloading = false;
-            if (totalPhotosForCurrentJob > 0 && processedPhotosForCurrentJob >= totalPhotosForCurrentJob) {
-                notifyPopup("downloadComplete", { albumName: currentCollectionName, message: "All downloads processed." });
+        if (job.isPaused) {
+            startProcessingQueue(job); // Paused while the options loaded; waits for the resume if nothing is running
+            return;
+        }
+        if (job.queue.length === 0 && job.activeDownloads === 0 && !job.isCancelled) {
+            if (job.total > 0 && job.processed >= job.total) {
+                completeJob(job, "All downloads processed.");
             }
+            job.resolveDrained();
         }
     });
 }
 
-async function downloadPhoto(item) {
-    if (isCancelled) {
-        console.log(`Skipping download for ${item.id} due to cancellation.`);
-        return Promise.resolve();
+// Runs one attempt at an item and repeats it after transient failures (see lib/download-errors.js),
+// waiting a jittered, exponentially growing delay between attempts.
+async function withRetries(job, item, attempt) {
+    const maxRetries = typeof item.options.maxRetries === 'number' ? item.options.maxRetries : defaultOptions.maxRetries;
+    const baseDelay = item.options.retryBaseDelay || defaultOptions.retryBaseDelay;
+    // Sidecars and manifests are written locally; only media requests reach Facebook's CDN
+    const usesNetwork = item.kind === 'media';
+    for (let retry = 0; ; retry++) {
+        try {
+            if (usesNetwork && (item.needsFreshUrl || isUrlExpiring(item.url)) && canRefreshUrl(item)) {
+                await refreshItemUrl(job, item);
+            }
+            if (usesNetwork) await acquireRequestSlot(() => job.isCancelled);
+            const result = await attempt();
+            if (usesNetwork && !job.isCancelled) reportRequestSuccess();
+            return result;
+        } catch (error) {
+            if (error.reason === 'HTTP 429') reportThrottleSignal(THROTTLE_SIGNALS.TOO_MANY_REQUESTS, itemDisplayName(item));
+            // A 403 is usually an expired signature; worth one more try with a fresh link
+            const refreshable = error.category === ERROR_CATEGORIES.FORBIDDEN && !item.urlRefreshed && canRefreshUrl(item);
+            if (refreshable) item.needsFreshUrl = true;
+            if (job.isCancelled || retry >= maxRetries || !(isRetryable(error) || refreshable)) throw error;
+            if (error.category === ERROR_CATEGORIES.FILENAME) {
+                item.useFallbackName = true; // The same name would be rejected again
+            }
+            const delay = backoffDelay(retry, baseDelay);
+            console.warn(`${itemDisplayName(item)} failed (${error.message}); retry ${retry + 1} of ${maxRetries} in ${delay} ms.`);
+            notifyPopup(job, "itemRetrying", { name: itemDisplayName(item), attempt: retry + 1, maxRetries, delay, category: error.category, albumName: job.collectionName });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
     }
+}
 
+function isUrlExpiring(url) {
+    const expiry = getUrlExpiry(url);
+    return expiry !== null && expiry - Date.now() < URL_REFRESH_MARGIN;
+}
+
+// Videos are not re-resolved: the media viewer lookup only finds photos.
+function canRefreshUrl(item) {
+    return item.mediaType === 'photo' && !item.urlRefreshed && !!getPhotoViewerUrl(item);
+}
+
+// Swaps in a freshly signed URL and stores it, so a resumed job doesn't start from the expired one.
+// If the photo can't be resolved, the old URL is tried anyway.
+async function refreshItemUrl(job, item) {
+    item.needsFreshUrl = false;
+    item.urlRefreshed = true; // Once per attempt sequence; a second 403 means the photo is really gone
+    notifyPopup(job, "itemRefreshingUrl", { name: itemDisplayName(item), albumName: job.collectionName });
+    try {
+        const url = await refreshPhotoUrl(item, job.tabId);
+        if (!url) {
+            console.warn(`Could not refresh the URL of ${itemDisplayName(item)}; trying the old one.`);
+            return;
+        }
+        item.url = url;
+        markItems([item], ITEM_STATUS.ACTIVE, { url });
+    } catch (error) {
+        console.warn(`Refreshing the URL of ${itemDisplayName(item)} failed:`, error);
+    }
+}
+
+// Keeps an item that failed for good, so the job can report it and "Retry failed" can re-queue it.
+function recordFailure(job, item, error) {
+    if (job.isCancelled) return;
+    const failure = describeError(error);
+    console.error(`Giving up on ${itemDisplayName(item)}:`, failure.message);
+    job.failed.push({ seq: item.seq, name: itemDisplayName(item), ...failure });
+    markItems([item], ITEM_STATUS.FAILED, { error: failure });
+    if (item.kind === 'media') recordHistory([historyEntry(item, HISTORY_STATUS.FAILED, { error: failure.message })]);
+    notifyPopup(job, "itemFailed", { name: itemDisplayName(item), error: failure.message, category: failure.category, failedCount: job.failed.length, albumName: job.collectionName });
+}
+
+function itemDisplayName(item) {
+    return item.kind === 'media' ? item.originalName : (item.path || '').split('/').pop();
+}
+
+// Used after the browser rejected the name built from the naming rules: "<folder>/<photo id>.<ext>",
+// shortened so an overly long album name can't be the problem either.
+function fallbackDownloadPath(item, fullPath) {
+    const fileName = fullPath.split('/').pop();
+    const dot = fileName.lastIndexOf('.');
+    const extension = dot > 0 ? fileName.substring(dot) : '';
+    const stem = sanitizeFilename(`${item.id || `file_${item.index}`}`).substring(0, 80);
+    const folder = (item.baseFolderName || '').substring(0, 80).trim();
+    return folder ? `${folder}/${stem}${extension}` : `${stem}${extension}`;
+}
+
+// Albums whose photos are added when they are set as the profile picture or cover photo, so their
+// upload date is the date they were set on: {set_date} and {set_time}, empty in other albums.
+const SET_DATE_ALBUMS = ['profile_pictures', 'cover_photos'];
+
+// {sent_date} and {sent_time}: when a shared attachment was sent (for other photos the upload date,
+// if known), in local time, e.g. "2024-05-31" and "18-04-09".
+function formatSentDate(item, part) {
+    const sentAt = item.metadata && item.metadata.uploadDate ? new Date(item.metadata.uploadDate) : null;
+    if (!sentAt || isNaN(sentAt.getTime())) return null;
+    const { formattedDate, formattedTime } = formatJobDate(sentAt);
+    return part === 'date' ? formattedDate['YYYY-MM-DD'] : formattedTime['HH-MM-SS'];
+}
+
+// Formats a duration in seconds as a filename-safe token, e.g. 187 -> "3m07s".
+function formatDuration(totalSeconds) {
+    if (!totalSeconds) return '';
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}h${String(minutes).padStart(2, '0')}m${seconds}s` : `${minutes}m${seconds}s`;
+}
+
+// Builds "<folder>/<file>" for a media item from the folder and file naming rules.
+function buildDownloadPath(item) {
     const paddedIndex = String(item.index).padStart(item.options.fileNameIndexPadding || 3, '0');
     const rawIndex = String(item.index);
 
@@ -260,6 +1400,17 @@ async function downloadPhoto(item) {
         original_name: item.originalName,
         photo_id: item.id,
         album_name: item.albumName,
+        group_name: item.groupName,
+        poster_name: item.posterName,
+        sender_name: item.posterName,
+        sent_date: formatSentDate(item, 'date'),
+        sent_time: formatSentDate(item, 'time'),
+        set_date: SET_DATE_ALBUMS.includes(item.specialAlbum) ? formatSentDate(item, 'date') : null,
+        set_time: SET_DATE_ALBUMS.includes(item.specialAlbum) ? formatSentDate(item, 'time') : null,
+        listing_title: item.listingTitle,
+        listing_id: item.listingId,
+        media_type: item.mediaType,
+        duration: formatDuration(item.duration),
         timestamp_unix: Math.floor(item.date.getTime() / 1000),
         'date_YYYY-MM-DD': item.formattedDate['YYYY-MM-DD'],
         'time_HH-MM-SS': item.formattedTime['HH-MM-SS'],
@@ -271,49 +1422,538 @@ async function downloadPhoto(item) {
         second: String(item.date.getSeconds()).padStart(2, '0')
     });
 
-    const sanitizedFilename = sanitizeFilename(fileName);
-    const fullPath = item.baseFolderName ? `${item.baseFolderName}/${sanitizedFilename}` : sanitizedFilename;
+    const sanitizedFilename = sanitizeFilename(item.targetExtension ? replaceExtension(fileName, item.targetExtension) : fileName);
+    const folder = item.options.posterSubfolders
+        ? [item.baseFolderName, sanitizeFilename(item.posterName || "Unknown poster")].filter(Boolean).join('/')
+        : item.baseFolderName;
+    return folder ? `${folder}/${sanitizedFilename}` : sanitizedFilename;
+}
+
+function needsPhotoProcessing(item) {
+    return item.kind === 'media' && item.mediaType === 'photo' &&
+        (item.options.embedMetadata || needsConversion(item.options));
+}
+
+// Videos are not hashed: they would have to be held in memory just to compare them.
+function needsContentHash(item) {
+    return item.kind === 'media' && item.mediaType === 'photo' && !!item.options.dedupeByContent;
+}
 
-    console.log(`Downloading: ${item.originalName} (ID: ${item.id}) as ${fullPath}`);
+// Content-hash dedup. The same photo often appears under different fbids (a post, Timeline Photos,
+// Mobile Uploads), which the ID check in processPhotosDownload can't catch. The hash is taken over the
+// bytes as fetched, before conversion, so changing the image format doesn't defeat it.
+// Saved hashes live in the download history; files still being saved are held in pendingContentHashes.
+
+// Resolves with the earlier copy if this content was already saved (or is being saved); otherwise reserves the hash.
+// The reservation is taken before the history lookup, so two copies in flight can't both pass.
+async function claimContentHash(hash, item, path) {
+    const pending = pendingContentHashes.get(hash);
+    if (pending) return pending;
+    pendingContentHashes.set(hash, { photoId: item.id, path, savedAt: null });
+    try {
+        await historyReady;
+        const saved = await findSavedContent(hash);
+        if (saved) pendingContentHashes.delete(hash);
+        return saved;
+    } catch (error) {
+        console.warn("Could not look up the content hash; saving the file:", error);
+        return null;
+    }
+}
+
+// Drops a reservation once the file is in the history, or when it was never saved.
+function releaseContentHash(hash) {
+    if (hash) pendingContentHashes.delete(hash);
+}
+
+function recordDuplicate(job, item, path, original) {
+    console.log(`Skipping ${item.id}: same content as ${original.photoId} (${original.path}).`);
+    job.duplicates.push({
+        photoId: item.id,
+        sourceUrl: item.url,
+        path,
+        duplicateOf: original,
+        folder: item.baseFolderName,
+        duplicateAction: item.options.duplicateAction
+    });
+    // The ID check can now skip this item on the next run without fetching it again
+    recordHistory([historyEntry(item, HISTORY_STATUS.DUPLICATE, { path, duplicateOf: original.path })]);
+}
+
+// Describes skipped duplicates for the "link" action: each entry points at the file that already holds the content.
+function buildDuplicatesManifest(duplicates) {
+    return {
+        createdAt: new Date().toISOString(),
+        description: "Items not saved again because identical content was already downloaded. 'duplicateOf.path' is the existing file.",
+        itemCount: duplicates.length,
+        items: duplicates.map(({ folder, duplicateAction, ...duplicate }) => duplicate)
+    };
+}
+
+function jsonBlob(value) {
+    return new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' });
+}
+
+// Saves a file the worker generated; its blob URL is released once the browser has the whole file.
+async function downloadGeneratedFile(blob, filename) {
+    const url = await createBlobUrl(blob);
+    try {
+        const downloadId = await chrome.downloads.download({ url, filename, saveAs: false, conflictAction: 'uniquify' });
+        await waitForDownload(downloadId, null);
+    } finally {
+        revokeBlobUrl(url);
+    }
+}
+
+// Sends the completion message once per job, reporting skipped duplicates and failed items.
+// In "link" mode the duplicates.json is saved here unless the caller already stored it (archive mode).
+function completeJob(job, message, { duplicatesManifestSaved = false } = {}) {
+    if (job.state !== 'running') return;
+    job.state = 'completed';
+    finishStoredJob(job);
+
+    const duplicates = job.duplicates;
+    if (duplicates.length > 0) {
+        message = `${message} Skipped ${duplicates.length} duplicate${duplicates.length === 1 ? '' : 's'} already saved elsewhere.`;
+        if (!duplicatesManifestSaved && duplicates[0].duplicateAction === 'link') {
+            const folder = duplicates[0].folder;
+            downloadGeneratedFile(jsonBlob(buildDuplicatesManifest(duplicates)), folder ? `${folder}/duplicates.json` : 'duplicates.json')
+                .catch(error => console.error("Could not save duplicates.json:", error));
+        }
+    }
+    if (job.failed.length > 0) {
+        message = `${message} ${job.failed.length} file${job.failed.length === 1 ? '' : 's'} failed.`;
+    }
+    if (job.notice) message = `${message} ${job.notice}`;
+    notifyPopup(job, "downloadComplete", {
+        albumName: job.collectionName,
+        message,
+        notice: job.notice || null,
+        skippedDuplicates: duplicates.map(duplicate => duplicate.photoId),
+        failedCount: job.failed.length
+    });
+}
+
+// Fetches a media item. Photos get format conversion, resizing and EXIF/XMP embedding as configured;
+// a failed conversion or embedding keeps the bytes from before that step. Returns the bytes and the MIME type actually produced.
+async function fetchMediaBytes(item) {
+    let response;
+    try {
+        response = await fetch(item.url);
+    } catch (error) {
+        throw createDownloadError(ERROR_CATEGORIES.NETWORK, null, `Network error: ${error.message}`);
+    }
+    if (!response.ok) throw classifyHttpStatus(response.status);
+    let bytes = new Uint8Array(await response.arrayBuffer());
+    let mimeType = (response.headers.get('content-type') || 'image/jpeg').split(';')[0];
+    const contentHash = needsContentHash(item) ? await sha256Hex(bytes) : null;
+    if (!needsPhotoProcessing(item)) return { bytes, mimeType, contentHash };
+
+    if (needsConversion(item.options)) {
+        try {
+            ({ bytes, mimeType } = await convertImage(bytes, {
+                format: item.options.imageFormat,
+                sourceMimeType: mimeType,
+                quality: item.options.imageQuality || defaultOptions.imageQuality,
+                maxLongEdge: item.options.maxLongEdge || 0
+            }));
+        } catch (error) {
+            console.warn(`Could not convert ${item.id} (${error.message}); keeping the original image.`);
+        }
+    }
+
+    if (item.options.embedMetadata && isJpeg(bytes)) {
+        try {
+            bytes = embedPhotoMetadata(bytes, item);
+        } catch (error) {
+            console.warn(`Could not embed metadata in ${item.id} (${error.message}); keeping the image without it.`);
+        }
+    }
+    return { bytes, mimeType, contentHash };
+}
+
+// If conversion fell back to the original bytes, the file is named after what it really is.
+function pathForMimeType(item, fullPath, mimeType) {
+    const actualExtension = extensionForMimeType(mimeType);
+    if (item.targetExtension && actualExtension && actualExtension !== item.targetExtension) {
+        return replaceExtension(fullPath, actualExtension);
+    }
+    return fullPath;
+}
+
+// Writes caption, date and source into EXIF/XMP of a JPEG.
+function embedPhotoMetadata(bytes, item) {
+    const metadata = item.metadata || {};
+    const uploadDate = metadata.uploadDate ? new Date(metadata.uploadDate) : null;
+    return embedJpegMetadata(bytes, {
+        description: metadata.caption || metadata.altText || '',
+        caption: metadata.caption || '',
+        dateTimeOriginal: uploadDate,
+        photoId: item.id,
+        permalink: metadata.permalink || '',
+        taggedPeople: metadata.taggedPeople || [],
+        software: `Open Source Facebook Downloader ${chrome.runtime.getManifest().version}`
+    });
+}
+
+// A queue item only counts as downloaded once the browser reports the file complete.
+// Resolves then; rejects with a classified error (see lib/download-errors.js) if the download is interrupted.
+function waitForDownload(downloadId, jobId) {
+    return new Promise((resolve, reject) => {
+        const stallTimer = setInterval(() => checkDownloadStalled(downloadId), DOWNLOAD_STALL_TIMEOUT);
+        trackedDownloads.set(downloadId, { jobId, resolve, reject, stallTimer, bytesReceived: -1 });
+        // Small files can finish before the first onChanged event is seen
+        chrome.downloads.search({ id: downloadId }).then(([download]) => {
+            if (!download) {
+                settleTrackedDownload(downloadId, 'interrupted', 'NOT_FOUND');
+            } else if (download.state !== 'in_progress') {
+                settleTrackedDownload(downloadId, download.state, download.error);
+            }
+        }).catch((error) => {
+            // Without the lookup its outcome may never be seen; give up on it rather than wait forever
+            console.warn(`Could not look up download ${downloadId}:`, error.message);
+            chrome.downloads.cancel(downloadId).catch(() => {});
+            settleTrackedDownload(downloadId, 'interrupted', 'CRASH');
+        });
+    });
+}
+
+// Cancels a download that hasn't received anything since the last check; it is retried as a network timeout.
+async function checkDownloadStalled(downloadId) {
+    const tracked = trackedDownloads.get(downloadId);
+    if (!tracked) return;
+    let download;
+    try {
+        [download] = await chrome.downloads.search({ id: downloadId });
+    } catch (error) {
+        console.warn(`Could not check download ${downloadId}:`, error.message);
+        return;
+    }
+    if (!download) {
+        settleTrackedDownload(downloadId, 'interrupted', 'NOT_FOUND');
+    } else if (download.state !== 'in_progress') {
+        settleTrackedDownload(downloadId, download.state, download.error);
+    } else if (!download.paused && download.bytesReceived === tracked.bytesReceived) {
+        console.warn(`Download ${downloadId} stalled at ${download.bytesReceived} bytes; cancelling it.`);
+        settleTrackedDownload(downloadId, 'interrupted', 'NETWORK_TIMEOUT');
+        chrome.downloads.cancel(downloadId).catch(() => {});
+    } else {
+        tracked.bytesReceived = download.bytesReceived;
+    }
+}
+
+function settleTrackedDownload(downloadId, state, reason) {
+    const tracked = trackedDownloads.get(downloadId);
+    if (!tracked || state === 'in_progress') return;
+    trackedDownloads.delete(downloadId);
+    clearInterval(tracked.stallTimer);
+    if (state === 'complete') {
+        tracked.resolve();
+    } else {
+        tracked.reject(classifyInterruptReason(reason));
+    }
+}
+
+chrome.downloads.onChanged.addListener((delta) => {
+    if (!delta.state || !trackedDownloads.has(delta.id)) return;
+    if (delta.state.current === 'interrupted' && !delta.error) {
+        // The reason normally arrives in the same event; look it up if it didn't
+        chrome.downloads.search({ id: delta.id })
+            .then(([download]) => settleTrackedDownload(delta.id, 'interrupted', download && download.error))
+            .catch(() => settleTrackedDownload(delta.id, 'interrupted'));
+    } else {
+        settleTrackedDownload(delta.id, delta.state.current, delta.error && delta.error.current);
+    }
+});
+
+// The content hash stays reserved until the history entry that holds it is written.
+function recordDownloadSuccess(item, claimedHash, path) {
+    if (item.kind !== 'media') return;
+    recordHistory([historyEntry(item, HISTORY_STATUS.DOWNLOADED, { path, contentHash: claimedHash || null })])
+        .then(() => releaseContentHash(claimedHash));
+}
+
+// After the worker was restarted, an item may already have a browser download that is running or finished.
+// Returns true if that download completed, false if the item has to be downloaded again.
+async function adoptStartedDownload(job, item) {
+    const [download] = await chrome.downloads.search({ id: item.downloadId });
+    if (!download || download.state === 'interrupted') return false;
+    console.log(`Reattaching to download ${download.id} for ${item.originalName}.`);
+    await waitForDownload(download.id, job.id);
+    const savedPath = item.kind === 'media' ? await getSavedPath(download.id, item.savedPath || buildDownloadPath(item)) : download.filename;
+    recordDownloadSuccess(item, null, savedPath);
+    if (item.kind === 'media') {
+        recordSavedEntry(job, item, savedPath.split('/').pop());
+        await saveSidecar(item, savedPath);
+    }
+    return true;
+}
+
+async function downloadPhoto(job, item) {
+    if (job.isCancelled) {
+        console.log(`Skipping download for ${item.id} due to cancellation.`);
+        return Promise.resolve();
+    }
+    if (item.downloadId && await adoptStartedDownload(job, item)) return;
+
+    const isMetadataFile = item.kind === 'sidecar' || item.kind === 'manifest';
+    let fullPath = isMetadataFile ? item.path : buildDownloadPath(item);
+    if (item.useFallbackName) fullPath = fallbackDownloadPath(item, fullPath);
+    // Generated or processed files are saved from a blob URL; untouched media straight from the CDN
+    const json = isMetadataFile ? metadataFileJson(job, item) : null;
+    if (isMetadataFile && !json) {
+        console.log(`Nothing was saved for ${fullPath}; skipping it.`);
+        return;
+    }
+    let body = json ? jsonBlob(json) : null;
+    let claimedHash = null;
+
+    if (needsPhotoProcessing(item) || needsContentHash(item)) {
+        try {
+            const { bytes, mimeType, contentHash } = await fetchMediaBytes(item);
+            fullPath = pathForMimeType(item, fullPath, mimeType);
+            if (contentHash) {
+                const original = await claimContentHash(contentHash, item, fullPath);
+                if (original) {
+                    recordDuplicate(job, item, fullPath, original);
+                    return;
+                }
+                claimedHash = contentHash;
+            }
+            body = new Blob([bytes], { type: mimeType });
+        } catch (error) {
+            console.warn(`Could not process ${item.id} (${error.message}); saving the original file.`);
+            if (item.targetExtension) {
+                fullPath = buildDownloadPath({ ...item, targetExtension: null });
+                if (item.useFallbackName) fullPath = fallbackDownloadPath(item, fullPath);
+            }
+        }
+    }
+
+    console.log(`Downloading: ${isMetadataFile ? fullPath : item.originalName} (ID: ${item.id}) as ${fullPath}`);
+
+    let blobUrl = null;
+    if (body) {
+        try {
+            blobUrl = await createBlobUrl(body);
+        } catch (error) {
+            releaseContentHash(claimedHash);
+            throw error;
+        }
+    }
+    // Frees the processed bytes and gives back a content hash claimed for a download that didn't happen
+    const settle = (saved) => {
+        if (!saved) releaseContentHash(claimedHash);
+        revokeBlobUrl(blobUrl);
+    };
 
     return new Promise(async (resolve, reject) => {
         try {
-            // IMPORTANT CHANGE: Use the direct URL instead of creating a blob URL
-            // This avoids the need for URL.createObjectURL which isn't available in service workers
             chrome.downloads.download({
-                url: item.url,  // Use the direct URL from Facebook's CDN
+                url: blobUrl || item.url,
                 filename: fullPath,
-                saveAs: false
+                saveAs: false,
+                // Manifests describe a single run, so they never replace an earlier run's album.json
+                conflictAction: 'uniquify'
             }, (downloadId) => {
                 if (chrome.runtime.lastError) {
+                    settle(false);
                     console.error(`Download failed for ${item.originalName}:`, chrome.runtime.lastError.message);
-                    notifyPopup("downloadError", { error: `Failed for ${item.originalName}: ${chrome.runtime.lastError.message.substring(0,100)}` });
-                    reject(new Error(chrome.runtime.lastError.message));
+                    reject(classifyDownloadApiError(chrome.runtime.lastError.message));
                 } else if (downloadId === undefined) {
                     // This can happen if the download is disallowed by browser settings or another extension
+                    settle(false);
                     console.error(`Download undefined for ${item.originalName}. Possible browser restriction.`);
-                    notifyPopup("downloadError", { error: `Download for ${item.originalName} was blocked or failed to start.` });
-                    reject(new Error(`Download for ${item.originalName} was blocked.`));
+                    reject(createDownloadError(ERROR_CATEGORIES.BLOCKED, null, `Download for ${item.originalName} was blocked.`));
                 }
                 else {
-                    downloadedFileIds.add(item.id);
-                    saveDownloadedFileIds();
-                    resolve();
+                    // Stored so a restarted worker can reattach instead of downloading the file twice
+                    markItems([item], ITEM_STATUS.ACTIVE, { downloadId, savedPath: fullPath });
+                    waitForDownload(downloadId, job.id).then(async () => {
+                        settle(true);
+                        const savedPath = await getSavedPath(downloadId, fullPath);
+                        recordDownloadSuccess(item, claimedHash, savedPath);
+                        if (item.kind === 'media') {
+                            markItems([item], ITEM_STATUS.ACTIVE, { savedPath });
+                            recordSavedEntry(job, item, savedPath.split('/').pop());
+                            await saveSidecar(item, savedPath);
+                        }
+                        resolve();
+                    }, (error) => {
+                        settle(false);
+                        if (job.isCancelled && error.category === ERROR_CATEGORIES.CANCELLED) {
+                            resolve(); // Cancelled along with its job
+                            return;
+                        }
+                        console.error(`Download interrupted for ${item.originalName}:`, error.message);
+                        reject(error);
+                    });
                 }
             });
         } catch (error) {
-            if (isCancelled) {
+            settle(false);
+            if (job.isCancelled) {
                 console.log(`Download fetch for ${item.id} aborted.`);
                 resolve(); // Resolve so queue processing can continue for other non-cancelled items
                 return;
             }
             console.error(`Error downloading ${item.originalName}:`, error);
-            notifyPopup("downloadError", { error: `Failed to download ${item.originalName}: ${error.message.substring(0,100)}` });
             reject(error);
         }
     });
 }
 
+// Archive output mode: every file of the collection goes into "<folder>.zip" instead of its own download.
+// A part is only saved once it is complete, so cancelling never leaves a truncated archive behind;
+// parts saved before the cancellation are valid archives on their own.
+async function processArchiveDownload(job, items, options, firstPartNumber = 1) {
+    const collectionName = job.collectionName;
+    const folderName = items[0].baseFolderName || sanitizeFilename(collectionName);
+    const partLimitMb = Math.max(10, Math.min(500, options.archivePartSizeMb || defaultOptions.archivePartSizeMb));
+    const partLimit = partLimitMb * 1024 * 1024;
+    const encoder = new TextEncoder();
+    let zip = createZipWriter();
+    let partEntries = [];
+    let partNumber = firstPartNumber;
+
+    try {
+        for (let i = 0; i < items.length; i++) {
+            await waitWhilePaused(job); // The unfinished part stays in memory meanwhile
+            await downloadWindowsLoaded;
+            if (!refreshTransferWindow()) await waitForTransferWindow(job);
+            if (job.isCancelled) {
+                console.log(`Archive for ${collectionName} cancelled; discarding the unfinished part.`);
+                return;
+            }
+
+            const item = items[i];
+            const isMetadataFile = item.kind === 'sidecar' || item.kind === 'manifest';
+            let path;
+            let bytes;
+            let contentHash = null;
+            try {
+                if (isMetadataFile) {
+                    path = item.path;
+                    const json = metadataFileJson(job, item);
+                    if (json) {
+                        bytes = encoder.encode(JSON.stringify(json, null, 2));
+                    } else {
+                        markItems([item], ITEM_STATUS.DONE); // album.json without any saved files
+                    }
+                } else {
+                    const media = await withRetries(job, item, () => fetchMediaBytes(item));
+                    path = pathForMimeType(item, buildDownloadPath(item), media.mimeType);
+                    bytes = media.bytes;
+                    const original = media.contentHash && await claimContentHash(media.contentHash, item, path);
+                    if (original) {
+                        recordDuplicate(job, item, path, original);
+                        markItems([item], ITEM_STATUS.DONE);
+                        bytes = null;
+                    } else {
+                        contentHash = media.contentHash;
+                    }
+                }
+            } catch (error) {
+                recordFailure(job, item, error);
+            }
+
+            if (bytes && !job.isCancelled) {
+                // A sidecar stays in the same part as its media; leave one slot for the part's manifest.json
+                const entriesNeeded = item.kind === 'media' && item.sidecar ? 2 : 1;
+                if (zip.entryCount > 0 && (zip.size + bytes.length > partLimit || zip.entryCount + entriesNeeded > MAX_ZIP_ENTRIES - 1)) {
+                    await saveArchivePart(zip, partEntries, { folderName, collectionName, partNumber, isLastPart: false });
+                    partNumber++;
+                    zip = createZipWriter();
+                    partEntries = [];
+                }
+                const entryPath = folderName && path.startsWith(`${folderName}/`) ? path.substring(folderName.length + 1) : path;
+                const entryName = await zip.addFile(entryPath, bytes, { date: item.date, deflate: !!options.archiveDeflate });
+                partEntries.push({ item, entryName, size: bytes.length, contentHash });
+                if (item.kind === 'media') recordSavedEntry(job, item, entryName.split('/').pop());
+                if (item.kind === 'media' && item.sidecar) {
+                    // Named after the entry as stored, which the writer may have renamed
+                    const sidecarBytes = encoder.encode(JSON.stringify(sidecarJson(item, entryName.split('/').pop()), null, 2));
+                    const sidecarName = await zip.addFile(`${entryName}.json`, sidecarBytes, { date: item.date, deflate: !!options.archiveDeflate });
+                    partEntries.push({ item: { ...item, kind: 'sidecar' }, entryName: sidecarName, size: sidecarBytes.length, contentHash: null });
+                }
+            }
+
+            job.processed++;
+            notifyPopup(job, "downloadProgress", { processed: job.processed, total: job.total, albumName: collectionName });
+            if (!isMetadataFile && options.delayBetweenDownloads > 0 && i < items.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, options.delayBetweenDownloads));
+            }
+        }
+
+        if (job.isCancelled) return;
+        if (partEntries.length === 0) {
+            completeJob(job, job.failed.length > 0 ? "No files could be fetched for the archive." : "Nothing new to archive.");
+            return;
+        }
+        const linkDuplicates = options.duplicateAction === 'link' && job.duplicates.length > 0;
+        if (linkDuplicates) {
+            await zip.addFile('duplicates.json', encoder.encode(JSON.stringify(buildDuplicatesManifest(job.duplicates), null, 2)));
+        }
+        await saveArchivePart(zip, partEntries, { folderName, collectionName, partNumber, isLastPart: true });
+        completeJob(job,
+            partNumber > 1 ? `Saved ${partNumber} archive parts.` : `Saved ${folderName}.zip.`,
+            { duplicatesManifestSaved: linkDuplicates });
+    } catch (error) {
+        console.error(`Error creating archive for ${collectionName}:`, error);
+        job.state = 'failed';
+        notifyPopup(job, "downloadError", { error: `Failed to create archive: ${error.message}` });
+        discardStoredJob(job); // Not an interruption, so don't resume into the same error
+    } finally {
+        // Entries of a part that was never saved must not block their content in later jobs
+        for (const entry of partEntries) releaseContentHash(entry.contentHash);
+    }
+}
+
+// Adds the part's manifest.json, saves the finished ZIP and only then marks its media as downloaded.
+async function saveArchivePart(zip, partEntries, { folderName, collectionName, partNumber, isLastPart }) {
+    const fileName = isLastPart && partNumber === 1 ? `${folderName}.zip` : `${folderName}.part${partNumber}.zip`;
+    const manifest = {
+        albumName: collectionName,
+        folder: folderName,
+        part: partNumber,
+        lastPart: isLastPart,
+        createdAt: new Date().toISOString(),
+        fileCount: partEntries.length,
+        files: partEntries.map(({ item, entryName, size }) => ({
+            path: entryName,
+            kind: item.kind,
+            photoId: item.kind === 'manifest' ? null : item.id,
+            mediaType: item.kind === 'media' ? item.mediaType : 'metadata',
+            sourceUrl: item.kind === 'media' ? item.url : null,
+            size
+        }))
+    };
+    await zip.addFile('manifest.json', new TextEncoder().encode(JSON.stringify(manifest, null, 2)));
+
+    const archiveUrl = await createBlobUrl(zip.finish());
+    try {
+        const downloadId = await chrome.downloads.download({ url: archiveUrl, filename: fileName, saveAs: false, conflictAction: 'uniquify' });
+        if (downloadId === undefined) {
+            throw createDownloadError(ERROR_CATEGORIES.BLOCKED, null, `Download for ${fileName} was blocked.`);
+        }
+        await waitForDownload(downloadId, partEntries[0].item.jobId);
+    } finally {
+        revokeBlobUrl(archiveUrl); // Frees the part once the browser has written it
+    }
+    console.log(`Saved archive ${fileName} with ${partEntries.length} files.`);
+
+    await recordHistory(partEntries
+        .filter(({ item }) => item.kind === 'media')
+        .map(({ item, entryName, contentHash }) => historyEntry(item, HISTORY_STATUS.DOWNLOADED, { path: `${fileName}/${entryName}`, contentHash })));
+    for (const { contentHash } of partEntries) releaseContentHash(contentHash);
+    // Resuming after this point starts a new part instead of rebuilding this one
+    await markItems(partEntries.filter(entry => entry.item.kind !== 'sidecar').map(entry => entry.item), ITEM_STATUS.DONE);
+    if (partEntries[0].item.jobId) {
+        await updateJob(partEntries[0].item.jobId, { archivePartsSaved: partNumber })
+            .catch(error => console.warn("Could not update the stored job:", error));
+    }
+}
+
 // Initialize rules
 chrome.runtime.onInstalled.addListener(() => {
     console.log("Extension installed/updated. Setting up rules.");
@@ -366,26 +2006,16 @@ chrome.runtime.onInstalled.addListener(() => {
 
 console.log("Open Source Facebook Photo Downloader Service Worker Ready.");
 
-// Keep service worker alive during download
-let keepAliveInterval;
-chrome.downloads.onCreated.addListener(() => {
-    if (!keepAliveInterval && (activeDownloads > 0 || downloadQueue.length > 0)) {
-        keepAliveInterval = setInterval(() => {
-            // console.log("Keep alive ping for downloads.");
-            if (activeDownloads === 0 && downloadQueue.length === 0) {
-                clearInterval(keepAliveInterval);
-                keepAliveInterval = null;
-            }
-        }, 25000); // Ping every 25 seconds
+// Module code runs every time Chrome starts the worker, so interrupted jobs are picked up right away;
+// the alarm covers a worker that was suspended with nothing else left to wake it.
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RESUME_ALARM) resumeInterruptedJobs();
+    if (alarm.name === WINDOW_ALARM) downloadWindowsLoaded.then(refreshTransferWindow);
+    if (alarm.name === SUBSCRIPTION_ALARM) {
+        syncDueSubscriptions().catch(error => console.error("Could not sync subscribed albums:", error));
     }
 });
-
-chrome.downloads.onChanged.addListener((delta) => {
-    if (delta.state && delta.state.current === 'complete') {
-        // A download finished
-    }
-    if (activeDownloads === 0 && downloadQueue.length === 0 && keepAliveInterval) {
-        clearInterval(keepAliveInterval);
-        keepAliveInterval = null;
-    }
-});
\ No newline at end of file
+resumeInterruptedJobs();
+getSubscriptions().then((subscriptions) => {
+    if (subscriptions.length > 0) ensureSubscriptionAlarm();
+});
@@ -1,5 +1,30 @@
 console.log("Open Source Facebook Photo Downloader Content Script Loaded (v1.1.0).");
 
+// Stable photo keys are shared with the service worker (lib/photo-id.js).
+// Content scripts can't use static imports, so the module is loaded dynamically. There is no fallback:
+// keys made any other way would never match the service worker's, so detection fails without it.
+let photoIdModule = null;
+const photoIdModuleReady = import(chrome.runtime.getURL('lib/photo-id.js'))
+    .then(module => { photoIdModule = module; })
+    .catch((error) => {
+        console.error("Could not load photo ID module:", error);
+        throw new Error(`Could not load the photo ID module: ${error.message}`);
+    });
+photoIdModuleReady.catch(() => {}); // Already logged; callers that need the module handle the rejection
+
+function requirePhotoIdModule() {
+    if (!photoIdModule) throw new Error("The photo ID module is not loaded.");
+    return photoIdModule;
+}
+
+function extractFbid(href) {
+    return requirePhotoIdModule().extractFbidFromHref(href);
+}
+
+function resolvePhotoKey(photo) {
+    return requirePhotoIdModule().resolvePhotoKey(photo);
+}
+
 function getMetaProperty(propertyName) {
     const meta = document.querySelector(`meta[property="${propertyName}"]`);
     return meta ? meta.getAttribute('content') : null;
@@ -19,7 +44,7 @@ function findTextInParents(element, text, maxDepth = 5) {
 function isLikelyAlbumPage() {
     // More robust checks for album pages
     // Look for elements that typically signify an album
-    if (document.querySelector('a[href*="/photos/a."]') || document.querySelector('a[href*="/media/set/?set=a."]')) {
+    if (document.querySelector('a[href*="/photos/a."]') || document.querySelector('a[href*="/media/set/?set=a."], a[href*="/media/set/?set=oa."]')) {
         return true;
     }
     // Check for common album title patterns or containers
@@ -32,7 +57,8 @@ function isLikelyAlbumPage() {
 
     // Check URL patterns for albums
     const url = window.location.href;
-    if (url.includes('/photos/album/') || url.includes('media/set/?set=a.') || url.includes('/photos_albums/')) {
+    if (url.includes('/photos/album/') || url.includes('media/set/?set=a.') || url.includes('media/set/?set=oa.') ||
+        url.includes('/photos_albums/') || /\/groups\/[^/]+\/media\/albums/.test(url)) {
         return true;
     }
 
@@ -77,6 +103,211 @@ function logPotentialImages() {
     });
 }
 
+// A profile's or Page's albums tab (/photos_albums, or ?sk=photos_albums on profile.php), or a group's
+// (/groups/<id>/media/albums).
+function isAlbumsTabPage() {
+    const url = window.location.href;
+    return url.includes('/photos_albums') || url.includes('sk=photos_albums') || /^\/groups\/[^/]+\/media\/albums\/?$/.test(window.location.pathname);
+}
+
+// Group pages live under /groups/<numeric ID or vanity name>/.
+function getGroupId() {
+    const match = window.location.pathname.match(/^\/groups\/([^/]+)/);
+    return match ? match[1] : null;
+}
+
+// Group albums ("oa." sets) open outside /groups/, but their header still links back to the group.
+function getGroupName() {
+    const groupLink = document.querySelector('h1 a[href*="/groups/"]');
+    if (groupLink && groupLink.textContent.trim()) {
+        return groupLink.textContent.trim();
+    }
+    if (!getGroupId()) return null;
+    const heading = document.querySelector('div[role="main"] h1');
+    if (heading && heading.textContent.trim()) {
+        return heading.textContent.trim();
+    }
+    const title = getMetaProperty("og:title") || document.title;
+    return title ? title.replace(" | Facebook", "").trim() : null;
+}
+
+// A group's Media tab (/groups/<id>/media, /media/photos or /media/videos): one grid of everything
+// members posted. Its size isn't shown, so the whole grid is scrolled when it is downloaded.
+function getGroupMediaInfo() {
+    if (!/^\/groups\/[^/]+\/media(\/(photos|videos))?\/?$/.test(window.location.pathname)) return null;
+    const groupId = getGroupId();
+    const groupName = getGroupName() || `Group ${groupId}`;
+    console.log(`Group media tab detected: ${groupName} (${groupId})`);
+    return { isAlbum: true, isGroupMedia: true, albumId: `group_${groupId}_media`, albumName: groupName, groupName };
+}
+
+function getProfileName() {
+    const heading = document.querySelector('div[role="main"] h1') || document.querySelector('h1');
+    if (heading && heading.textContent.trim()) {
+        return heading.textContent.trim();
+    }
+    const title = getMetaProperty("og:title") || document.title;
+    return title ? title.replace(" | Facebook", "").trim() : null;
+}
+
+// Albums Facebook keeps for every profile, by the (English) names it shows them under. "Photos of" is
+// the profile's tagged photos tab rather than an album, but downloads the same way.
+const SPECIAL_ALBUMS = [
+    { type: 'profile_pictures', pattern: /^profile pictures$/i },
+    { type: 'cover_photos', pattern: /^cover photos$/i },
+    { type: 'mobile_uploads', pattern: /^mobile uploads$/i },
+    { type: 'timeline_photos', pattern: /^timeline photos$/i },
+    { type: 'photos_of', pattern: /^photos of\s/i }
+];
+
+function getSpecialAlbumType(albumName) {
+    const special = SPECIAL_ALBUMS.find(album => album.pattern.test((albumName || '').trim()));
+    return special ? special.type : null;
+}
+
+// The profile a page belongs to, as it appears in its URL: "profile.php?id=4" -> "4", "/jane.doe/photos_of" -> "jane.doe".
+function getProfileKey() {
+    if (window.location.pathname === '/profile.php') {
+        return new URLSearchParams(window.location.search).get('id');
+    }
+    const pathMatch = window.location.pathname.match(/^\/([\w.-]+)\/(photos|photos_of|photos_by|photos_albums)\b/);
+    if (pathMatch) return pathMatch[1];
+    const profileLink = document.querySelector('a[href*="/photos_by"]'); // Link to user's main photos page
+    const linkMatch = profileLink ? profileLink.href.match(/\.com\/([\w.-]+)\/photos_by/) : null;
+    return linkMatch ? linkMatch[1] : null;
+}
+
+// A profile's "Photos of" tab (/<profile>/photos_of or profile.php?id=<id>&sk=photos_of): the photos it
+// is tagged in. It has no album ID of its own, so it gets a stable one from the profile.
+function getTaggedPhotosInfo() {
+    const url = window.location.href;
+    if (!url.includes('/photos_of') && !url.includes('sk=photos_of')) return null;
+    const profileKey = getProfileKey();
+    if (!profileKey) return null;
+    const albumName = `Photos of ${getProfileName() || profileKey}`;
+    console.log(`Tagged photos tab detected: ${albumName} (${profileKey})`);
+    return { isAlbum: true, albumId: `${profileKey}_photos_of`, albumName, photoCount: 0, specialAlbum: 'photos_of' };
+}
+
+// The tile around an album link: the largest ancestor that still links to this album only.
+function findAlbumTile(link, albumId, maxDepth = 5) {
+    let tile = link;
+    for (let i = 0; i < maxDepth && tile.parentElement; i++) {
+        const otherAlbumLink = Array.from(tile.parentElement.querySelectorAll('a[href*="set=a."], a[href*="set=oa."]'))
+            .some(other => (other.href.match(/set=o?a\.(\d+)/) || [])[1] !== albumId);
+        if (otherAlbumLink) break;
+        tile = tile.parentElement;
+    }
+    return tile;
+}
+
+// Every album linked on an albums tab, in page order. Tiles show the name and a count like "42 items".
+// The tab loads more albums as it is scrolled, so only the ones loaded so far are listed.
+function getAlbumsTabInfo() {
+    if (!isAlbumsTabPage()) return null;
+
+    const countRegex = /(\d[\d,.]*)\s+(items?|photos?|videos?)/i;
+    const albums = new Map();
+    document.querySelectorAll('a[href*="/media/set/?set=a."], a[href*="/media/set/?set=oa."]').forEach((link) => {
+        const idMatch = link.href.match(/set=(o?a)\.(\d+)/);
+        if (!idMatch || albums.has(idMatch[2])) return;
+        const albumId = idMatch[2];
+        const tile = findAlbumTile(link, albumId);
+
+        const texts = Array.from(tile.querySelectorAll('span[dir="auto"], span, div'))
+            .filter(el => el.children.length === 0)
+            .map(el => el.textContent.trim())
+            .filter(Boolean);
+        const countText = texts.find(text => countRegex.test(text));
+        const albumName = texts.find(text => !countRegex.test(text)) || link.getAttribute('aria-label') || `Album ${albumId}`;
+        const photoCount = countText ? parseInt(countText.match(countRegex)[1].replace(/[,.]/g, ''), 10) : 0;
+
+        albums.set(albumId, {
+            albumId,
+            albumName,
+            photoCount,
+            specialAlbum: getSpecialAlbumType(albumName),
+            albumUrl: `https://www.facebook.com/media/set/?set=${idMatch[1]}.${albumId}`
+        });
+    });
+
+    if (albums.size === 0) return null;
+    const groupName = getGroupName();
+    const profileName = groupName || getProfileName();
+    console.log(`Albums tab detected: ${albums.size} albums of ${profileName}`);
+    return { isAlbumsTab: true, profileName, groupName, albums: Array.from(albums.values()) };
+}
+
+// Marketplace item pages (/marketplace/item/<id>), also when opened as a dialog over the Marketplace feed.
+// Details are read from the listing's own column; the Open Graph tags are the fallback.
+function getMarketplaceListingInfo() {
+    const idMatch = window.location.pathname.match(/\/marketplace\/item\/(\d+)/);
+    if (!idMatch) return null;
+    const listingId = idMatch[1];
+    const scope = document.querySelector('[role="dialog"]') || document.querySelector('[role="main"]') || document.body;
+
+    const titleElement = scope.querySelector('h1 span[dir="auto"], h1');
+    const title = (titleElement && titleElement.textContent.trim()) ||
+        (getMetaProperty("og:title") || document.title || '').replace(" | Facebook", "").trim() || `Listing ${listingId}`;
+
+    // Leaf texts of the listing column in page order: the price follows the title, then "Listed ... in <place>"
+    const texts = Array.from(scope.querySelectorAll('span[dir="auto"], span'))
+        .filter(el => el.children.length === 0)
+        .map(el => el.textContent.trim())
+        .filter(Boolean);
+    const titleIndex = texts.indexOf(title);
+    const afterTitle = titleIndex === -1 ? texts : texts.slice(titleIndex + 1);
+    const price = afterTitle.find(text => /^(free|[^\d\s]{0,3}\s?\d[\d.,]*(\s?[^\d\s]{1,3})?)$/i.test(text)) || null;
+    const listedText = afterTitle.find(text => /^listed .+ in .+/i.test(text));
+    const location = listedText ? listedText.replace(/^listed .+? in /i, '').trim() : null;
+
+    // The description follows a "Description" or "Seller's description" heading
+    const headingIndex = texts.findIndex(text => /^(seller's )?description$/i.test(text));
+    const description = (headingIndex !== -1 && texts[headingIndex + 1]) || getMetaProperty("og:description") || null;
+
+    // Carousel thumbnails; the service worker steps through the carousel for the full-size images
+    const photos = [];
+    const seenIds = new Set();
+    scope.querySelectorAll('img[src*="fbcdn.net"]').forEach((img) => {
+        const rect = img.getBoundingClientRect();
+        const isListingPhoto = (img.alt && img.alt.startsWith('Product photo')) || img.closest('[aria-label^="Thumbnail"]') || rect.width > 300;
+        if (!isListingPhoto) return;
+        const url = img.currentSrc || img.src;
+        const id = resolvePhotoKey({ url });
+        if (seenIds.has(id)) return;
+        seenIds.add(id);
+        photos.push({ id, url, altText: img.alt || '' });
+    });
+
+    console.log(`Marketplace listing detected: ${title} (${listingId}), ${photos.length} photos`);
+    return {
+        isMarketplaceListing: true,
+        listingId,
+        listing: {
+            listingId,
+            title,
+            price,
+            location,
+            description,
+            url: `https://www.facebook.com/marketplace/item/${listingId}/`
+        },
+        photos
+    };
+}
+
+// A Messenger conversation on facebook.com (/messages/t/<thread>, or /messages/e2ee/t/<thread> for
+// end-to-end encrypted chats). Its shared media is collected by the service worker from the
+// "Media and files" panel, so only the conversation itself is identified here.
+function getConversationInfo() {
+    const threadMatch = window.location.pathname.match(/^\/messages\/(?:e2ee\/)?t\/([\w.-]+)/);
+    if (!threadMatch) return null;
+    const threadId = threadMatch[1];
+    const heading = document.querySelector('[role="main"] h2 span[dir="auto"], [role="main"] h2, [role="main"] h1');
+    const conversationName = heading && heading.textContent.trim() ? heading.textContent.trim() : null;
+    console.log(`Conversation detected: ${conversationName || threadId}`);
+    return { isConversation: true, threadId, conversationName };
+}
+
 function getAlbumInfo() {
     const url = window.location.href;
     let albumId = null;
@@ -84,7 +315,7 @@ function getAlbumInfo() {
     let photoCount = 0;
 
     // Try to get album ID from URL - expand pattern matching
-    let albumMatch = url.match(/set=a\.(\d+)/) ||
+    let albumMatch = url.match(/set=o?a\.(\d+)/) || // "oa." sets are group albums
         url.match(/albums\/(\d+)/) ||
         url.match(/album\/(\d+)/) ||
         url.match(/album_id=(\d+)/);
@@ -158,6 +389,7 @@ function getAlbumInfo() {
         // Enhanced link selectors
         const albumLinkSelectors = [
             'a[href*="/media/set/?set=a."]',
+            'a[href*="/media/set/?set=oa."]',
             'a[href*="/photos/a."]',
             'a[href*="/albums/"]',
             'a[href*="/photos/album/"]'
@@ -166,7 +398,7 @@ function getAlbumInfo() {
         for (const selector of albumLinkSelectors) {
             const albumLinkElement = document.querySelector(selector);
             if (albumLinkElement && albumLinkElement.href) {
-                albumMatch = albumLinkElement.href.match(/set=a\.(\d+)/) ||
+                albumMatch = albumLinkElement.href.match(/set=o?a\.(\d+)/) ||
                     albumLinkElement.href.match(/photos\/a\.(\d+)/) ||
                     albumLinkElement.href.match(/album\/(\d+)/) ||
                     albumLinkElement.href.match(/albums\/(\d+)/);
@@ -179,15 +411,12 @@ function getAlbumInfo() {
         }
     }
 
-    // Another attempt for album ID from profile photos link
-    if (!albumId && (albumName.toLowerCase().includes("profile pictures") || albumName.toLowerCase().includes("cover photos"))) {
-        const profileLink = document.querySelector('a[href*="/photos_by"]'); // Link to user's main photos page
-        if (profileLink) {
-            const userIdMatch = profileLink.href.match(/\.com\/([\w.]+)\/photos_by/);
-            if (userIdMatch && userIdMatch[1]) {
-                albumId = `${userIdMatch[1]}_${albumName.toLowerCase().includes("profile") ? "profile" : "cover"}`; // Create a pseudo-ID
-            }
-        }
+    // Profile Pictures, Cover Photos and the like are regular albums with a numeric ID. Where none is
+    // linked, they get a stable pseudo ID from the profile, e.g. "jane.doe_profile_pictures".
+    const specialAlbum = getSpecialAlbumType(albumName);
+    if (!albumId && specialAlbum) {
+        const profileKey = getProfileKey();
+        if (profileKey) albumId = `${profileKey}_${specialAlbum}`;
     }
 
     // More aggressive check if it's likely an album but ID is missing
@@ -211,7 +440,7 @@ function getAlbumInfo() {
         console.log(`Album detected: ID=${albumId}, Name=${albumName}, PhotoCount=${photoCount}`);
         // Call our debug function to log potential images
         logPotentialImages();
-        return { isAlbum: true, albumId, albumName, photoCount };
+        return { isAlbum: true, albumId, albumName, photoCount, groupName: getGroupName(), specialAlbum };
     }
     return null;
 }
@@ -319,16 +548,7 @@ function getPostOrCollectionInfo() {
 
             src = highResSrc || src; // Prioritize high-res if found
 
-            let photoId = `photo_${Date.now()}_${index}`;
-            // Attempt to find an ID from a parent link or data attribute
-            if (parentLink && parentLink.href) {
-                const photoIdMatch = parentLink.href.match(/fbid=([\w.-]+)/) ||
-                    parentLink.href.match(/photos\/(?:a\.\d+\/)?([\w.-]+)/) ||
-                    parentLink.href.match(/set=pb\.([\w.-]+)/); // For profile pictures in sets
-                if (photoIdMatch && photoIdMatch[1]) {
-                    photoId = photoIdMatch[1];
-                }
-            }
+            let photoId = null;
             // Try data-ft attribute if present (older Facebook)
             const dataFt = img.closest('[data-ft]');
             if (dataFt && dataFt.dataset.ft) {
@@ -338,16 +558,16 @@ function getPostOrCollectionInfo() {
                 } catch (e) { /* ignore parsing error */ }
             }
 
-            // Try to use the image's ID attribute
-            if (img.id && img.id.includes('photo_')) {
-                photoId = img.id;
-            }
+            // Resolve a stable key from the fbid, the photo link, or the CDN asset in the URL
+            const photoLink = parentLink || img.closest('a[href]');
+            photoId = resolvePhotoKey({ id: photoId, href: photoLink ? photoLink.href : null, url: highResSrc || src });
 
             const altText = img.alt || '';
             const originalName = altText.substring(0, 80).replace(/[^a-zA-Z0-9_.\-]/g, '_').replace(/_+/g, '_') || `${photoId}.jpg`;
 
             console.log(`Found photo: id=${photoId}, src=${src.substring(0, 100)}...`);
-            return { id: photoId, url: src, originalName: originalName };
+            const permalink = photoLink && extractFbid(photoLink.href) ? photoLink.href : null;
+            return { id: photoId, url: src, originalName: originalName, altText, permalink };
         }).filter(p => p.url && !p.url.startsWith('data:image') && p.url.includes('fbcdn.net'));
         // Only include Facebook CDN images, exclude base64 or non-FB images
 
@@ -393,30 +613,202 @@ function getPostOrCollectionInfo() {
     return null;
 }
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === "getPageContext") {
-        console.log("Received getPageContext request from popup");
+function isLikelyVideoPage() {
+    const url = window.location.href;
+    return url.includes("/watch/") || url.includes("/videos/") || url.includes("/reel/") || url.includes("/reels/");
+}
 
-        // Prioritize album detection
-        const albumInfo = getAlbumInfo();
-        if (albumInfo && albumInfo.isAlbum && albumInfo.albumId) {
-            console.log("Responding with album info", albumInfo);
-            sendResponse(albumInfo);
-            return true; // Keep message channel open for async response if needed
+// Walks a parsed JSON value and calls visitor on every plain object it contains.
+function walkJson(value, visitor, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 60) return;
+    if (!Array.isArray(value)) visitor(value);
+    for (const key in value) {
+        if (value[key] && typeof value[key] === 'object') walkJson(value[key], visitor, depth + 1);
+    }
+}
+
+// Reads the JSON blobs Facebook embeds in <script type="application/json"> and
+// collects progressive MP4 URLs and DASH representations per video ID.
+function extractVideoDataFromPage() {
+    const videos = new Map();
+    const getVideo = (id) => {
+        if (!videos.has(id)) videos.set(id, { id, hdUrl: null, sdUrl: null, duration: 0, dashVideo: null, dashAudio: null });
+        return videos.get(id);
+    };
+
+    document.querySelectorAll('script[type="application/json"]').forEach(script => {
+        const text = script.textContent;
+        if (!text || (!text.includes('playable_url') && !text.includes('browser_native') && !text.includes('representations'))) return;
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return;
         }
 
-        // Then check for posts or general photo collections
-        const postOrCollectionInfo = getPostOrCollectionInfo();
-        if (postOrCollectionInfo) {
-            console.log("Responding with post/collection info", postOrCollectionInfo);
-            sendResponse(postOrCollectionInfo);
-            return true;
+        walkJson(data, obj => {
+            const hd = obj.browser_native_hd_url || obj.playable_url_quality_hd;
+            const sd = obj.browser_native_sd_url || obj.playable_url;
+            const videoId = obj.videoId || obj.video_id || (hd || sd ? obj.id : null);
+            if (videoId && (hd || sd)) {
+                const video = getVideo(String(videoId));
+                video.hdUrl = video.hdUrl || hd || null;
+                video.sdUrl = video.sdUrl || sd || null;
+                const durationMs = obj.playable_duration_in_ms || (obj.length_in_second ? obj.length_in_second * 1000 : 0);
+                if (durationMs) video.duration = Math.round(durationMs / 1000);
+            }
+
+            // DASH prefetch data: separate audio and video tracks, each with several bitrates
+            if (Array.isArray(obj.representations) && obj.video_id) {
+                const video = getVideo(String(obj.video_id));
+                for (const rep of obj.representations) {
+                    if (!rep || !rep.base_url) continue;
+                    const mime = rep.mime_type || '';
+                    if (mime.startsWith('video/') && (!video.dashVideo || (rep.bandwidth || 0) > (video.dashVideo.bandwidth || 0))) {
+                        video.dashVideo = rep;
+                    } else if (mime.startsWith('audio/') && (!video.dashAudio || (rep.bandwidth || 0) > (video.dashAudio.bandwidth || 0))) {
+                        video.dashAudio = rep;
+                    }
+                }
+            }
+        });
+    });
+
+    return Array.from(videos.values());
+}
+
+// Builds downloadable media items for every video and reel on the page.
+// A progressive MP4 is preferred; without one, the best DASH video and audio tracks are queued as two files.
+function collectPageVideos() {
+    const items = [];
+    const seenIds = new Set();
+
+    for (const video of extractVideoDataFromPage()) {
+        const progressiveUrl = video.hdUrl || video.sdUrl;
+        if (progressiveUrl) {
+            items.push({ id: video.id, url: progressiveUrl, originalName: `${video.id}.mp4`, mediaType: 'video', duration: video.duration });
+        } else if (video.dashVideo) {
+            items.push({ id: video.id, url: video.dashVideo.base_url, originalName: `${video.id}_video.mp4`, mediaType: 'video', duration: video.duration });
+            if (video.dashAudio) {
+                items.push({ id: `${video.id}_audio`, url: video.dashAudio.base_url, originalName: `${video.id}_audio.m4a`, mediaType: 'audio', duration: video.duration });
+            }
+        } else {
+            continue;
         }
+        seenIds.add(video.id);
+    }
 
-        // If none of the above, it's not a recognized downloadable page
-        console.log("No downloadable content detected");
-        sendResponse({ isAlbum: false, isPostWithPhotos: false, isSinglePhotoPage: false });
-        return true;
+    // Fallback: <video> elements that point straight at the CDN (most use blob: MediaSource URLs instead)
+    document.querySelectorAll('video').forEach((videoEl, index) => {
+        const src = videoEl.currentSrc || videoEl.src;
+        if (!src || src.startsWith('blob:') || !src.includes('fbcdn.net')) return;
+        const idMatch = window.location.href.match(/\/(?:videos|reel|reels)\/(\d+)/) || window.location.href.match(/[?&]v=(\d+)/);
+        const id = idMatch ? idMatch[1] : resolvePhotoKey({ url: src });
+        if (seenIds.has(id)) return;
+        seenIds.add(id);
+        items.push({ id, url: src, originalName: `${id}.mp4`, mediaType: 'video', duration: Math.round(videoEl.duration || 0) });
+    });
+
+    console.log(`Found ${items.length} downloadable video/audio items`);
+    return items;
+}
+
+function getVideoInfo() {
+    const hasVideoElements = document.querySelector('[role="main"] video, video') !== null;
+    if (!isLikelyVideoPage() && !hasVideoElements) return null;
+
+    const videos = collectPageVideos();
+    if (videos.length === 0) return null;
+
+    const url = window.location.href;
+    const idMatch = url.match(/\/(?:videos|reel|reels)\/(\d+)/) || url.match(/[?&]v=(\d+)/) ||
+        url.match(/story_fbid=([\w.-]+)/) || url.match(/\/posts\/([\w.-]+)/);
+    const postId = idMatch ? idMatch[1] : videos[0].id;
+    console.log(`Detected ${videos.length} video items, postId=${postId}`);
+    return { isVideoPage: true, postId, videos };
+}
+
+// Works out what the current page offers for download, most specific context first.
+function detectPageContext() {
+    // Conversations and Marketplace listings have URLs of their own and no album or post structure
+    const conversationInfo = getConversationInfo();
+    if (conversationInfo) {
+        console.log("Responding with conversation info", conversationInfo);
+        return conversationInfo;
+    }
+
+    const listingInfo = getMarketplaceListingInfo();
+    if (listingInfo) {
+        console.log("Responding with Marketplace listing info", listingInfo);
+        return listingInfo;
+    }
+
+    // An albums tab links to many albums, which the single album check would mistake for one
+    const albumsTabInfo = getAlbumsTabInfo();
+    if (albumsTabInfo) {
+        console.log("Responding with albums tab info", albumsTabInfo);
+        return albumsTabInfo;
+    }
+
+    // A group's Media tab links to its albums too, so it goes before the single album check as well
+    const groupMediaInfo = getGroupMediaInfo();
+    if (groupMediaInfo) {
+        console.log("Responding with group media info", groupMediaInfo);
+        return groupMediaInfo;
+    }
+
+    // The tagged photos tab links to albums too, and its heading is the profile's name
+    const taggedPhotosInfo = getTaggedPhotosInfo();
+    if (taggedPhotosInfo) {
+        console.log("Responding with tagged photos info", taggedPhotosInfo);
+        return taggedPhotosInfo;
+    }
+
+    // Prioritize album detection
+    const albumInfo = getAlbumInfo();
+    if (albumInfo && albumInfo.isAlbum && albumInfo.albumId) {
+        console.log("Responding with album info", albumInfo);
+        return albumInfo;
+    }
+
+    // Dedicated video and reel pages, before the post check picks up their poster images
+    if (isLikelyVideoPage()) {
+        const videoInfo = getVideoInfo();
+        if (videoInfo) {
+            console.log("Responding with video info", videoInfo);
+            return videoInfo;
+        }
+    }
+
+    // Then check for posts or general photo collections
+    const postOrCollectionInfo = getPostOrCollectionInfo();
+    if (postOrCollectionInfo) {
+        console.log("Responding with post/collection info", postOrCollectionInfo);
+        return postOrCollectionInfo;
+    }
+
+    // Video-only posts elsewhere (feed permalinks, pages)
+    const videoInfo = getVideoInfo();
+    if (videoInfo) {
+        console.log("Responding with video info", videoInfo);
+        return videoInfo;
+    }
+
+    // If none of the above, it's not a recognized downloadable page
+    console.log("No downloadable content detected");
+    return { isAlbum: false, isPostWithPhotos: false, isSinglePhotoPage: false, isVideoPage: false };
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "getPageContext") {
+        console.log("Received getPageContext request from popup");
+        photoIdModuleReady
+            .then(() => sendResponse(detectPageContext()))
+            .catch((error) => {
+                console.error("Page detection failed:", error);
+                sendResponse({ error: error.message });
+            });
+        return true; // Keep message channel open for the async response
     }
 });
 
@@ -424,7 +816,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 console.log("Facebook Photo Downloader content script initialized, analyzing page...");
 // Optional: Run detection on load to log debug info
 setTimeout(() => {
-    const albumInfo = getAlbumInfo();
-    const postInfo = getPostOrCollectionInfo();
-    console.log("Initial page analysis:", {albumInfo, postInfo});
-}, 1000);
\ No newline at end of file
+    photoIdModuleReady.then(() => {
+        const albumInfo = getAlbumInfo();
+        const postInfo = getPostOrCollectionInfo();
+        console.log("Initial page analysis:", {albumInfo, postInfo});
+    }).catch(error => console.error("Initial page analysis failed:", error));
+}, 1000);
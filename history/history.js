@@ -0,0 +1,285 @@
+import { queryHistory, getHistoryAlbums, deleteHistoryEntries, HISTORY_STATUS } from '../lib/history-store.js';
+
+const PAGE_SIZE = 100;
+const STATUS_LABELS = {
+    [HISTORY_STATUS.DOWNLOADED]: "Downloaded",
+    [HISTORY_STATUS.DUPLICATE]: "Skipped duplicate",
+    [HISTORY_STATUS.FAILED]: "Failed"
+};
+const EXPORT_FIELDS = ['photoId', 'jobId', 'status', 'savedAt', 'album', 'path', 'url', 'mediaType', 'contentHash', 'duplicateOf', 'error'];
+
+const searchTextInput = document.getElementById('searchText');
+const albumFilterSelect = document.getElementById('albumFilter');
+const statusFilterSelect = document.getElementById('statusFilter');
+const fromDateInput = document.getElementById('fromDate');
+const toDateInput = document.getElementById('toDate');
+const resultCountSpan = document.getElementById('resultCount');
+const historyRows = document.getElementById('historyRows');
+const selectAllCheckbox = document.getElementById('selectAll');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const deleteSelectedBtn = document.getElementById('deleteSelectedBtn');
+const deleteMatchingBtn = document.getElementById('deleteMatchingBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const failedJobsGroup = document.getElementById('failedJobsGroup');
+const failedJobsList = document.getElementById('failedJobsList');
+const subscriptionsGroup = document.getElementById('subscriptionsGroup');
+const subscriptionsList = document.getElementById('subscriptionsList');
+const statusMessageDiv = document.getElementById('statusMessage');
+
+let shownEntries = [];
+let matchingTotal = 0;
+let searchTimer = null;
+
+function showStatus(message, color) {
+    statusMessageDiv.textContent = message;
+    statusMessageDiv.style.color = color;
+    setTimeout(() => {
+        statusMessageDiv.textContent = '';
+    }, 3000);
+}
+
+// Date inputs hold local calendar days; "to" includes the whole day.
+function currentFilters() {
+    const from = fromDateInput.value ? new Date(`${fromDateInput.value}T00:00:00`).getTime() : null;
+    const to = toDateInput.value ? new Date(`${toDateInput.value}T23:59:59.999`).getTime() : null;
+    return {
+        text: searchTextInput.value,
+        album: albumFilterSelect.value,
+        status: statusFilterSelect.value,
+        from,
+        to
+    };
+}
+
+function entryKey(entry) {
+    return [entry.photoId, entry.jobId];
+}
+
+function formatDate(savedAt) {
+    return savedAt ? new Date(savedAt).toLocaleString() : '—';
+}
+
+function renderRow(entry, index) {
+    const row = document.createElement('tr');
+
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.index = index;
+    checkbox.addEventListener('change', updateSelectionButtons);
+    selectCell.appendChild(checkbox);
+
+    const dateCell = document.createElement('td');
+    dateCell.textContent = formatDate(entry.savedAt);
+
+    const albumCell = document.createElement('td');
+    albumCell.textContent = entry.album || '—';
+
+    const pathCell = document.createElement('td');
+    pathCell.className = 'path';
+    pathCell.textContent = entry.path || entry.photoId;
+    const detail = document.createElement('small');
+    detail.textContent = entry.error || (entry.duplicateOf ? `Same as ${entry.duplicateOf}` : `Photo ID ${entry.photoId}`);
+    pathCell.appendChild(detail);
+
+    const statusCell = document.createElement('td');
+    statusCell.className = `status-${entry.status}`;
+    statusCell.textContent = STATUS_LABELS[entry.status] || entry.status;
+
+    row.append(selectCell, dateCell, albumCell, pathCell, statusCell);
+    return row;
+}
+
+async function loadEntries({ append = false } = {}) {
+    const { entries, total } = await queryHistory({ ...currentFilters(), offset: append ? shownEntries.length : 0, limit: PAGE_SIZE });
+    if (!append) {
+        shownEntries = [];
+        historyRows.textContent = '';
+        selectAllCheckbox.checked = false;
+    }
+    entries.forEach(entry => historyRows.appendChild(renderRow(entry, shownEntries.push(entry) - 1)));
+    matchingTotal = total;
+    resultCountSpan.textContent = `(${shownEntries.length} of ${total} shown)`;
+    loadMoreBtn.style.display = shownEntries.length < total ? 'inline-block' : 'none';
+    deleteMatchingBtn.disabled = total === 0;
+    updateSelectionButtons();
+}
+
+async function loadAlbums() {
+    const selected = albumFilterSelect.value;
+    const albums = await getHistoryAlbums();
+    albumFilterSelect.length = 1; // Keep "All albums"
+    albums.filter(Boolean).forEach((album) => {
+        albumFilterSelect.add(new Option(album, album, false, album === selected));
+    });
+}
+
+function selectedEntries() {
+    return Array.from(historyRows.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => shownEntries[Number(checkbox.dataset.index)]);
+}
+
+function updateSelectionButtons() {
+    deleteSelectedBtn.disabled = selectedEntries().length === 0;
+}
+
+// Content hashes are stored with the entries, so deleting an entry also lets identical content be saved again.
+async function deleteEntries(entries) {
+    let removed;
+    try {
+        removed = (await deleteHistoryEntries(entries.map(entryKey))).length;
+    } catch (error) {
+        showStatus(`Could not delete entries: ${error.message}`, 'red');
+        return;
+    }
+    showStatus(`Deleted ${removed} ${removed === 1 ? 'entry' : 'entries'}.`, 'green');
+    await Promise.all([loadAlbums(), loadEntries()]);
+}
+
+function deleteSelected() {
+    const entries = selectedEntries();
+    if (entries.length > 0 && confirm(`Delete ${entries.length} selected entries? These photos will be downloaded again next time.`)) {
+        deleteEntries(entries);
+    }
+}
+
+async function deleteMatching() {
+    if (matchingTotal === 0 || !confirm(`Delete all ${matchingTotal} matching entries? These photos will be downloaded again next time.`)) return;
+    const { entries } = await queryHistory(currentFilters());
+    deleteEntries(entries);
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportRecord(entry) {
+    const record = {};
+    EXPORT_FIELDS.forEach((field) => {
+        record[field] = field === 'savedAt'
+            ? (entry.savedAt ? new Date(entry.savedAt).toISOString() : null)
+            : (entry[field] === undefined ? null : entry[field]);
+    });
+    return record;
+}
+
+function saveFile(content, type, fileName) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+async function exportHistory(format) {
+    const { entries } = await queryHistory(currentFilters());
+    const records = entries.map(exportRecord);
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        const lines = [EXPORT_FIELDS.join(',')].concat(records.map(record => EXPORT_FIELDS.map(field => csvField(record[field])).join(',')));
+        saveFile(lines.join('\r\n'), 'text/csv', `download-history-${date}.csv`);
+    } else {
+        saveFile(JSON.stringify(records, null, 2), 'application/json', `download-history-${date}.json`);
+    }
+    showStatus(`Exported ${records.length} entries.`, 'green');
+}
+
+async function loadFailedJobs() {
+    const response = await chrome.runtime.sendMessage({ action: "getFailedJobs" });
+    const failedJobs = (response && response.jobs) || [];
+    failedJobsList.textContent = '';
+    failedJobsGroup.style.display = failedJobs.length > 0 ? 'block' : 'none';
+    failedJobs.forEach((failedJob) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${failedJob.albumName}: ${failedJob.failedCount} failed` +
+            (failedJob.completedAt ? ` (${formatDate(failedJob.completedAt)})` : '');
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'secondary-btn';
+        retryBtn.textContent = 'Retry Failed';
+        retryBtn.addEventListener('click', async () => {
+            retryBtn.disabled = true;
+            const result = await chrome.runtime.sendMessage({ action: "retryFailed", jobId: failedJob.jobId });
+            if (result && result.success) {
+                showStatus(`Retrying ${failedJob.failedCount} files of ${failedJob.albumName}.`, 'green');
+                item.remove();
+                if (!failedJobsList.children.length) failedJobsGroup.style.display = 'none';
+            } else {
+                showStatus(`Could not retry ${failedJob.albumName}${result && result.error ? `: ${result.error}` : '.'}`, 'red');
+                retryBtn.disabled = false;
+            }
+        });
+        item.append(label, retryBtn);
+        failedJobsList.appendChild(item);
+    });
+}
+
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'secondary-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function loadSubscriptions() {
+    const response = await chrome.runtime.sendMessage({ action: "getSubscriptions" });
+    const subscriptions = (response && response.subscriptions) || [];
+    subscriptionsList.textContent = '';
+    subscriptionsGroup.style.display = subscriptions.length > 0 ? 'block' : 'none';
+    subscriptions.forEach((subscription) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${subscription.albumName} → ${subscription.folderName}`;
+        const status = document.createElement('small');
+        status.textContent = subscription.syncing
+            ? "Syncing now..."
+            : subscription.lastSyncAt
+                ? `Last sync ${formatDate(subscription.lastSyncAt)}: ${subscription.lastStatus.message}`
+                : "Not synced yet.";
+        label.appendChild(status);
+
+        const syncBtn = createButton('Sync Now', async () => {
+            syncBtn.disabled = true;
+            const result = await chrome.runtime.sendMessage({ action: "syncSubscription", albumId: subscription.albumId });
+            showStatus(result && result.success ? `Syncing ${subscription.albumName}.` : `${subscription.albumName} is already syncing.`,
+                result && result.success ? 'green' : 'orange');
+            loadSubscriptions();
+        });
+        syncBtn.disabled = subscription.syncing;
+        const unsubscribeBtn = createButton('Unsubscribe', async () => {
+            if (!confirm(`Stop syncing ${subscription.albumName}? Photos already downloaded are kept.`)) return;
+            await chrome.runtime.sendMessage({ action: "unsubscribeAlbum", albumId: subscription.albumId });
+            loadSubscriptions();
+        });
+        item.append(label, syncBtn, unsubscribeBtn);
+        subscriptionsList.appendChild(item);
+    });
+}
+
+function scheduleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadEntries(), 250);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadAlbums().then(() => loadEntries());
+    loadFailedJobs();
+    loadSubscriptions();
+});
+searchTextInput.addEventListener('input', scheduleSearch);
+[albumFilterSelect, statusFilterSelect, fromDateInput, toDateInput].forEach(input => input.addEventListener('change', () => loadEntries()));
+selectAllCheckbox.addEventListener('change', () => {
+    historyRows.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+        checkbox.checked = selectAllCheckbox.checked;
+    });
+    updateSelectionButtons();
+});
+loadMoreBtn.addEventListener('click', () => loadEntries({ append: true }));
+deleteSelectedBtn.addEventListener('click', deleteSelected);
+deleteMatchingBtn.addEventListener('click', deleteMatching);
+exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+exportJsonBtn.addEventListener('click', () => exportHistory('json'));
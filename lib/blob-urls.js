@@ -0,0 +1,76 @@
+// blob: URLs for files the service worker generates (processed photos, JSON files, archives).
+// The worker can't call URL.createObjectURL itself, and base64 data URLs overflow for large
+// files, so the URLs are minted by the offscreen document in offscreen/offscreen.html.
+
+const OFFSCREEN_PATH = 'offscreen/offscreen.html';
+
+const pendingRequests = new Map();
+let nextRequestId = 1;
+let creatingDocument = null;
+
+// Replies from the offscreen document arrive as messages to the worker
+self.addEventListener('message', (event) => {
+    const { id, url } = event.data || {};
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+    pendingRequests.delete(id);
+    pending.resolve(url);
+});
+
+async function findOffscreenClient() {
+    const documentUrl = chrome.runtime.getURL(OFFSCREEN_PATH);
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    return clients.find(client => client.url === documentUrl) || null;
+}
+
+async function getOffscreenClient() {
+    let client = await findOffscreenClient();
+    if (client) return client;
+    if (!creatingDocument) {
+        creatingDocument = chrome.offscreen.createDocument({
+            url: OFFSCREEN_PATH,
+            reasons: ['BLOBS'],
+            justification: 'Create blob URLs for generated files so they can be downloaded.'
+        }).catch((error) => {
+            // Another caller may have created it in the meantime
+            if (!String(error.message).includes('single offscreen')) throw error;
+        }).finally(() => { creatingDocument = null; });
+    }
+    await creatingDocument;
+    client = await findOffscreenClient();
+    if (!client) throw new Error("Offscreen document is not available.");
+    return client;
+}
+
+/**
+ * Creates a blob: URL that chrome.downloads can save from.
+ * Revoke it with revokeBlobUrl once the download has finished or failed.
+ * @param {Blob} blob - The file contents.
+ * @returns {Promise<string>} The blob URL.
+ */
+export async function createBlobUrl(blob) {
+    const client = await getOffscreenClient();
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve });
+        setTimeout(() => {
+            if (pendingRequests.delete(id)) reject(new Error("Timed out waiting for a blob URL."));
+        }, 30000);
+        client.postMessage({ id, action: 'createBlobUrl', blob });
+    });
+}
+
+/**
+ * Releases a URL from createBlobUrl so the offscreen document can free the blob.
+ * @param {string|null} url
+ */
+export async function revokeBlobUrl(url) {
+    if (!url) return;
+    try {
+        // If the document is gone, its URLs went with it
+        const client = await findOffscreenClient();
+        if (client) client.postMessage({ action: 'revokeBlobUrl', url });
+    } catch (error) {
+        console.warn("Could not revoke blob URL:", error);
+    }
+}
@@ -0,0 +1,146 @@
+// Classification of download failures, so the queue can report why an item failed
+// and decide what is worth retrying.
+
+export const ERROR_CATEGORIES = {
+    NETWORK: 'network',     // Connection dropped, timed out or DNS failed
+    FORBIDDEN: 'forbidden', // 401/403, usually an expired signed fbcdn URL
+    SERVER: 'server',       // Other server-side failures
+    BLOCKED: 'blocked',     // Blocked by the browser, policy or a security check
+    FILE: 'file',           // Could not write the file (disk full, access denied)
+    FILENAME: 'filename',   // The browser rejected the file name (invalid, too long or conflicting)
+    CANCELLED: 'cancelled', // Cancelled by the user or the browser shutting down
+    UNKNOWN: 'unknown'
+};
+
+// chrome.downloads.InterruptReason -> category
+const INTERRUPT_REASON_CATEGORIES = {
+    NETWORK_FAILED: ERROR_CATEGORIES.NETWORK,
+    NETWORK_TIMEOUT: ERROR_CATEGORIES.NETWORK,
+    NETWORK_DISCONNECTED: ERROR_CATEGORIES.NETWORK,
+    NETWORK_SERVER_DOWN: ERROR_CATEGORIES.NETWORK,
+    NETWORK_INVALID_REQUEST: ERROR_CATEGORIES.NETWORK,
+    SERVER_UNAUTHORIZED: ERROR_CATEGORIES.FORBIDDEN,
+    SERVER_FORBIDDEN: ERROR_CATEGORIES.FORBIDDEN,
+    SERVER_FAILED: ERROR_CATEGORIES.SERVER,
+    SERVER_NO_RANGE: ERROR_CATEGORIES.SERVER,
+    SERVER_BAD_CONTENT: ERROR_CATEGORIES.SERVER,
+    SERVER_CERT_PROBLEM: ERROR_CATEGORIES.SERVER,
+    SERVER_UNREACHABLE: ERROR_CATEGORIES.SERVER,
+    SERVER_CONTENT_LENGTH_MISMATCH: ERROR_CATEGORIES.SERVER,
+    SERVER_CROSS_ORIGIN_REDIRECT: ERROR_CATEGORIES.SERVER,
+    FILE_BLOCKED: ERROR_CATEGORIES.BLOCKED,
+    FILE_VIRUS_INFECTED: ERROR_CATEGORIES.BLOCKED,
+    FILE_SECURITY_CHECK_FAILED: ERROR_CATEGORIES.BLOCKED,
+    FILE_FAILED: ERROR_CATEGORIES.FILE,
+    FILE_ACCESS_DENIED: ERROR_CATEGORIES.FILE,
+    FILE_NO_SPACE: ERROR_CATEGORIES.FILE,
+    FILE_NAME_TOO_LONG: ERROR_CATEGORIES.FILENAME,
+    FILE_TOO_LARGE: ERROR_CATEGORIES.FILE,
+    FILE_TOO_SHORT: ERROR_CATEGORIES.FILE,
+    FILE_HASH_MISMATCH: ERROR_CATEGORIES.FILE,
+    FILE_SAME_AS_SOURCE: ERROR_CATEGORIES.FILE,
+    FILE_TRANSIENT_ERROR: ERROR_CATEGORIES.FILE,
+    USER_CANCELED: ERROR_CATEGORIES.CANCELLED,
+    USER_SHUTDOWN: ERROR_CATEGORIES.CANCELLED,
+    CRASH: ERROR_CATEGORIES.UNKNOWN
+};
+
+const CATEGORY_MESSAGES = {
+    [ERROR_CATEGORIES.NETWORK]: "Network error",
+    [ERROR_CATEGORIES.FORBIDDEN]: "Access denied (the link may have expired)",
+    [ERROR_CATEGORIES.SERVER]: "Server error",
+    [ERROR_CATEGORIES.BLOCKED]: "Blocked by the browser",
+    [ERROR_CATEGORIES.FILE]: "Could not save the file",
+    [ERROR_CATEGORIES.FILENAME]: "Invalid or conflicting file name",
+    [ERROR_CATEGORIES.CANCELLED]: "Download cancelled",
+    [ERROR_CATEGORIES.UNKNOWN]: "Download failed"
+};
+
+// Transient categories worth trying again. A filename error is retried under a fallback name.
+// Expired links (FORBIDDEN) would fail the same way again until the URL is refreshed.
+const RETRYABLE_CATEGORIES = new Set([ERROR_CATEGORIES.NETWORK, ERROR_CATEGORIES.SERVER, ERROR_CATEGORIES.FILENAME]);
+const RETRYABLE_INTERRUPT_REASONS = new Set(['FILE_TRANSIENT_ERROR', 'FILE_FAILED', 'CRASH']);
+const MAX_BACKOFF_DELAY = 60000;
+
+/**
+ * Creates an Error that carries a failure category and the raw reason reported by the browser.
+ * @param {string} category - One of ERROR_CATEGORIES.
+ * @param {string} [reason] - The underlying reason, e.g. "NETWORK_FAILED" or "HTTP 403".
+ * @param {string} [message] - Overrides the default message for the category.
+ * @param {boolean} [retryable] - Overrides whether the category is normally retried.
+ * @returns {Error & {category: string, reason: string|null, retryable: boolean}}
+ */
+export function createDownloadError(category, reason, message, retryable = RETRYABLE_CATEGORIES.has(category)) {
+    const error = new Error(message || `${CATEGORY_MESSAGES[category] || CATEGORY_MESSAGES.unknown}${reason ? ` (${reason})` : ''}`);
+    error.category = category;
+    error.reason = reason || null;
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * Turns a chrome.downloads interrupt reason into a classified error.
+ * @param {string} [reason] - A chrome.downloads.InterruptReason such as "SERVER_FORBIDDEN".
+ * @returns {Error & {category: string, reason: string|null, retryable: boolean}}
+ */
+export function classifyInterruptReason(reason) {
+    const category = INTERRUPT_REASON_CATEGORIES[reason] || ERROR_CATEGORIES.UNKNOWN;
+    return createDownloadError(category, reason || 'UNKNOWN', undefined,
+        RETRYABLE_CATEGORIES.has(category) || RETRYABLE_INTERRUPT_REASONS.has(reason));
+}
+
+/**
+ * Classifies a failed HTTP response, e.g. when fetching a photo for conversion or an archive.
+ * @param {number} status - The HTTP status code.
+ * @returns {Error & {category: string, reason: string, retryable: boolean}}
+ */
+export function classifyHttpStatus(status) {
+    const reason = `HTTP ${status}`;
+    if (status === 401 || status === 403 || status === 410) return createDownloadError(ERROR_CATEGORIES.FORBIDDEN, reason);
+    // Timeouts, rate limiting and server errors are transient; other client errors are not
+    const transient = status === 408 || status === 429 || status >= 500;
+    return createDownloadError(ERROR_CATEGORIES.SERVER, reason, undefined, transient);
+}
+
+/**
+ * Classifies an error from chrome.downloads.download itself (reported through runtime.lastError).
+ * @param {string} message - The lastError message, e.g. "Invalid filename".
+ * @returns {Error & {category: string, reason: string|null, retryable: boolean}}
+ */
+export function classifyDownloadApiError(message) {
+    if (/file ?name/i.test(message || '')) return createDownloadError(ERROR_CATEGORIES.FILENAME, null, message);
+    return createDownloadError(ERROR_CATEGORIES.UNKNOWN, null, message);
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} Whether trying the same item again may succeed.
+ */
+export function isRetryable(error) {
+    return !!(error && error.retryable);
+}
+
+/**
+ * Jittered exponential backoff: baseDelay, 2x, 4x, ... for successive retries, each scaled
+ * by a random factor between 0.5 and 1.5 so parallel downloads don't retry in lockstep.
+ * @param {number} retryIndex - 0 for the first retry.
+ * @param {number} baseDelay - Delay before the first retry in milliseconds.
+ * @returns {number} Milliseconds to wait, capped at one minute.
+ */
+export function backoffDelay(retryIndex, baseDelay) {
+    const exponential = baseDelay * Math.pow(2, retryIndex);
+    return Math.min(MAX_BACKOFF_DELAY, Math.round(exponential * (0.5 + Math.random())));
+}
+
+/**
+ * Reduces any error to a plain object that can be stored with a queue item.
+ * @param {Error} error
+ * @returns {{category: string, reason: string|null, message: string}}
+ */
+export function describeError(error) {
+    return {
+        category: (error && error.category) || ERROR_CATEGORIES.UNKNOWN,
+        reason: (error && error.reason) || null,
+        message: (error && error.message) || String(error)
+    };
+}
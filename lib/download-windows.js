@@ -0,0 +1,104 @@
+// Download windows: times of the week during which files may be transferred, e.g. "Mon-Fri 22:00-06:00".
+// Outside them jobs are still scraped and queued, but wait to download. A window that ends before it
+// starts runs past midnight into the next day; its days are the days it starts on.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const MINUTES_PER_DAY = 24 * 60;
+const LOOKAHEAD_DAYS = 8; // Every weekly window starts within this many days
+
+function parseDay(name) {
+    return DAY_NAMES.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+// "Mon-Fri", "Sat,Sun", "Fri-Mon", "daily" -> sorted weekday numbers (0 = Sunday), or null if invalid.
+function parseDays(text) {
+    if (/^(daily|every ?day)$/i.test(text)) return EVERY_DAY;
+    const days = new Set();
+    for (const part of text.split(',')) {
+        const [first, last] = part.split('-').map(name => parseDay(name.trim()));
+        if (first === -1 || last === -1) return null;
+        if (last === undefined) {
+            days.add(first);
+            continue;
+        }
+        for (let day = first; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === last) break;
+        }
+    }
+    return Array.from(days).sort();
+}
+
+// "22:00" -> 1320 minutes; "24:00" is allowed as an end time.
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[2]) < 60 && minutes <= MINUTES_PER_DAY ? minutes : null;
+}
+
+/**
+ * Parses download windows, one per line: optional days followed by a time range.
+ * Examples: "Mon-Fri 22:00-06:00", "Sat,Sun 00:00-24:00", "23:00-07:00" (every day).
+ * @param {string} text
+ * @returns {{windows: Array<{days: Array<number>, start: number, end: number}>, errors: Array<string>}}
+ *   Start and end are minutes after midnight; `errors` lists the lines that could not be read.
+ */
+export function parseDownloadWindows(text) {
+    const windows = [];
+    const errors = [];
+    for (const rawLine of (text || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        const match = /^(?:(.+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(line);
+        const days = match && (match[1] ? parseDays(match[1].replace(/\s+/g, '')) : EVERY_DAY);
+        const start = match && parseTime(match[2]);
+        const end = match && parseTime(match[3]);
+        if (!days || start === null || end === null || start === MINUTES_PER_DAY) {
+            errors.push(line);
+            continue;
+        }
+        windows.push({ days, start, end });
+    }
+    return { windows, errors };
+}
+
+// Every occurrence of the windows that starts between yesterday and the lookahead, as [start, end) in ms.
+function windowOccurrences(windows, now) {
+    const occurrences = [];
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        for (const window of windows) {
+            if (!window.days.includes(day.getDay())) continue;
+            const duration = (window.end - window.start + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+            occurrences.push({
+                start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, window.start).getTime(),
+                end: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, window.start + duration).getTime()
+            });
+        }
+    }
+    return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Tells whether transfers are allowed now and when that changes next.
+ * @param {Array<{days: Array<number>, start: number, end: number}>} windows - From parseDownloadWindows.
+ *   An empty list means no restriction.
+ * @param {Date} [now]
+ * @returns {{open: boolean, nextChange: number|null}} `nextChange` is when the current window closes
+ *   (back-to-back windows count as one) or the next one opens, in ms; null if it never changes.
+ */
+export function getDownloadWindowState(windows, now = new Date()) {
+    if (!windows || windows.length === 0) return { open: true, nextChange: null };
+    const time = now.getTime();
+    const occurrences = windowOccurrences(windows, now);
+    let closesAt = null;
+    for (const occurrence of occurrences) {
+        const current = closesAt === null ? time : closesAt;
+        if (occurrence.start <= current && occurrence.end > current) closesAt = occurrence.end;
+    }
+    if (closesAt !== null) return { open: true, nextChange: closesAt };
+    const next = occurrences.find(occurrence => occurrence.start > time);
+    return { open: false, nextChange: next ? next.start : null };
+}
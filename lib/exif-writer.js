@@ -0,0 +1,306 @@
+// Minimal, dependency-free JPEG metadata writer.
+// Builds an EXIF APP1 segment (ImageDescription, DateTime, DateTimeOriginal, plus the
+// Orientation of the original) and an XMP APP1 segment (caption, photo ID, permalink,
+// tagged people) and splices them into the JPEG byte stream. Works on plain Uint8Arrays so it runs in the service worker
+// and can be exercised against sample files outside the browser.
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const MAX_SEGMENT_DATA = 65533; // Segment length field is 16 bits and includes itself
+
+const TAG_IMAGE_DESCRIPTION = 0x010E;
+const TAG_ORIENTATION = 0x0112;
+const TAG_SOFTWARE = 0x0131;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD_POINTER = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Checks for the JPEG start-of-image marker.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isJpeg(bytes) {
+    return bytes && bytes.length > 4 && bytes[0] === 0xFF && bytes[1] === 0xD8;
+}
+
+/**
+ * Formats a date the way EXIF expects: "YYYY:MM:DD HH:MM:SS" in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatExifDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialises one IFD (little-endian) into `view` at `offset`.
+ * ASCII values longer than 4 bytes are written to the data area that follows the IFD.
+ * @returns {number} The offset just past the IFD's data area.
+ */
+function writeIfd(view, offset, entries, nextIfdOffset = 0) {
+    entries.sort((a, b) => a.tag - b.tag);
+    let dataOffset = offset + 2 + entries.length * 12 + 4;
+    view.setUint16(offset, entries.length, true);
+    entries.forEach((entry, i) => {
+        const entryOffset = offset + 2 + i * 12;
+        view.setUint16(entryOffset, entry.tag, true);
+        view.setUint16(entryOffset + 2, entry.type, true);
+        if (entry.type === TYPE_SHORT) {
+            view.setUint32(entryOffset + 4, 1, true);
+            view.setUint32(entryOffset + 8, 0, true);
+            view.setUint16(entryOffset + 8, entry.value, true);
+            return;
+        }
+        if (entry.type === TYPE_LONG) {
+            view.setUint32(entryOffset + 4, 1, true);
+            view.setUint32(entryOffset + 8, entry.value, true);
+            return;
+        }
+        const bytes = entry.bytes;
+        view.setUint32(entryOffset + 4, bytes.length, true);
+        if (bytes.length <= 4) {
+            bytes.forEach((b, j) => view.setUint8(entryOffset + 8 + j, b));
+        } else {
+            view.setUint32(entryOffset + 8, dataOffset, true);
+            bytes.forEach((b, j) => view.setUint8(dataOffset + j, b));
+            dataOffset += bytes.length + (bytes.length % 2); // Keep word alignment
+        }
+    });
+    view.setUint32(offset + 2 + entries.length * 12, nextIfdOffset, true);
+    return dataOffset;
+}
+
+function ifdSize(entries) {
+    const dataSize = entries
+        .filter(entry => entry.type === TYPE_ASCII && entry.bytes.length > 4)
+        .reduce((sum, entry) => sum + entry.bytes.length + (entry.bytes.length % 2), 0);
+    return 2 + entries.length * 12 + 4 + dataSize;
+}
+
+// EXIF ASCII tags are 7-bit; other text only goes into the XMP packet, which is UTF-8
+function isAscii(text) {
+    return /^[\x00-\x7F]*$/.test(text);
+}
+
+function asciiEntry(tag, text) {
+    const encoded = textEncoder.encode(text);
+    const bytes = new Uint8Array(encoded.length + 1); // NUL-terminated
+    bytes.set(encoded);
+    return { tag, type: TYPE_ASCII, bytes };
+}
+
+/**
+ * Reads the Orientation tag from IFD0 of an existing Exif APP1 segment.
+ * @param {Uint8Array} segment The whole segment, marker included.
+ * @returns {number|null} The orientation (1-8), or null if the segment has none.
+ */
+export function readExifOrientation(segment) {
+    const tiffStart = 4 + EXIF_HEADER.length;
+    if (segment.length < tiffStart + 8) return null;
+    const view = new DataView(segment.buffer, segment.byteOffset + tiffStart, segment.length - tiffStart);
+    const byteOrder = view.getUint16(0);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+    const littleEndian = byteOrder === 0x4949;
+    const ifdOffset = view.getUint32(4, littleEndian);
+    if (ifdOffset + 2 > view.byteLength) return null;
+    const count = view.getUint16(ifdOffset, littleEndian);
+    for (let i = 0; i < count; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) return null;
+        if (view.getUint16(entryOffset, littleEndian) !== TAG_ORIENTATION) continue;
+        if (view.getUint16(entryOffset + 2, littleEndian) !== TYPE_SHORT) return null;
+        const orientation = view.getUint16(entryOffset + 8, littleEndian);
+        return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+    return null;
+}
+
+/**
+ * Builds the APP1 Exif segment (marker included).
+ * A description that isn't plain ASCII is left out; it belongs in the XMP packet instead.
+ * @param {{description?: string, dateTimeOriginal?: Date, software?: string, orientation?: number}} fields
+ * @returns {Uint8Array|null} The segment, or null if there is nothing to write.
+ */
+export function buildExifSegment({ description, dateTimeOriginal, software, orientation } = {}) {
+    const ifd0 = [];
+    const exifIfd = [];
+    if (description && isAscii(description)) ifd0.push(asciiEntry(TAG_IMAGE_DESCRIPTION, description));
+    if (orientation) ifd0.push({ tag: TAG_ORIENTATION, type: TYPE_SHORT, value: orientation });
+    if (software) ifd0.push(asciiEntry(TAG_SOFTWARE, software));
+    if (dateTimeOriginal && !isNaN(dateTimeOriginal.getTime())) {
+        const exifDate = formatExifDate(dateTimeOriginal);
+        ifd0.push(asciiEntry(TAG_DATE_TIME, exifDate));
+        exifIfd.push(asciiEntry(TAG_DATE_TIME_ORIGINAL, exifDate));
+    }
+    if (ifd0.length === 0) return null;
+    if (exifIfd.length > 0) ifd0.push({ tag: TAG_EXIF_IFD_POINTER, type: TYPE_LONG, value: 0 });
+
+    const tiffHeaderSize = 8;
+    const ifd0Size = ifdSize(ifd0);
+    const tiffSize = tiffHeaderSize + ifd0Size + (exifIfd.length > 0 ? ifdSize(exifIfd) : 0);
+    const segmentDataSize = EXIF_HEADER.length + tiffSize;
+    if (segmentDataSize > MAX_SEGMENT_DATA) {
+        throw new Error("EXIF data too large for a single APP1 segment.");
+    }
+
+    const segment = new Uint8Array(4 + segmentDataSize);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, 0xFFE1);
+    view.setUint16(2, segmentDataSize + 2);
+    segment.set(EXIF_HEADER, 4);
+
+    // Offsets inside the TIFF structure are relative to its header
+    const tiff = new DataView(segment.buffer, 4 + EXIF_HEADER.length, tiffSize);
+    tiff.setUint16(0, 0x4949); // "II" little-endian
+    tiff.setUint16(2, 42, true);
+    tiff.setUint32(4, tiffHeaderSize, true);
+
+    if (exifIfd.length > 0) {
+        ifd0.find(entry => entry.tag === TAG_EXIF_IFD_POINTER).value = tiffHeaderSize + ifd0Size;
+    }
+    writeIfd(tiff, tiffHeaderSize, ifd0);
+    if (exifIfd.length > 0) writeIfd(tiff, tiffHeaderSize + ifd0Size, exifIfd);
+
+    return segment;
+}
+
+/**
+ * Builds the APP1 XMP segment (marker included).
+ * Uses Dublin Core for caption, ID and source, photoshop:DateCreated for the date and
+ * the IPTC Extension PersonInImage list for tagged people, which photo managers understand.
+ * @param {{caption?: string, photoId?: string, permalink?: string, taggedPeople?: Array<string>, dateTimeOriginal?: Date}} fields
+ * @returns {Uint8Array|null}
+ */
+export function buildXmpSegment({ caption, photoId, permalink, taggedPeople = [], dateTimeOriginal } = {}) {
+    const properties = [];
+    if (caption) {
+        properties.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(caption)}</rdf:li></rdf:Alt></dc:description>`);
+    }
+    if (photoId) properties.push(`<dc:identifier>${escapeXml(photoId)}</dc:identifier>`);
+    if (permalink) properties.push(`<dc:source>${escapeXml(permalink)}</dc:source>`);
+    if (dateTimeOriginal && !isNaN(dateTimeOriginal.getTime())) {
+        properties.push(`<photoshop:DateCreated>${dateTimeOriginal.toISOString()}</photoshop:DateCreated>`);
+    }
+    if (taggedPeople.length > 0) {
+        const people = taggedPeople.map(name => `<rdf:li>${escapeXml(name)}</rdf:li>`).join('');
+        properties.push(`<Iptc4xmpExt:PersonInImage><rdf:Bag>${people}</rdf:Bag></Iptc4xmpExt:PersonInImage>`);
+    }
+    if (properties.length === 0) return null;
+
+    const packet = '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+        ' xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"' +
+        ' xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/">' +
+        properties.join('') +
+        '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+
+    const header = textEncoder.encode(XMP_HEADER);
+    const body = textEncoder.encode(packet);
+    const segmentDataSize = header.length + body.length;
+    if (segmentDataSize > MAX_SEGMENT_DATA) {
+        throw new Error("XMP packet too large for a single APP1 segment.");
+    }
+
+    const segment = new Uint8Array(4 + segmentDataSize);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, 0xFFE1);
+    view.setUint16(2, segmentDataSize + 2);
+    segment.set(header, 4);
+    segment.set(body, 4 + header.length);
+    return segment;
+}
+
+function startsWithAscii(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Writes caption, date and source metadata into a JPEG.
+ * Existing EXIF and XMP segments are replaced; the original EXIF Orientation is carried over so the
+ * photo isn't shown rotated. All other segments and the image data are kept as-is.
+ * @param {Uint8Array} bytes The original JPEG.
+ * @param {object} fields
+ * @param {string} [fields.description] ImageDescription (caption, or alt text when there is no caption).
+ *   Non-ASCII text is written to the XMP dc:description only.
+ * @param {Date} [fields.dateTimeOriginal] When the photo was uploaded.
+ * @param {string} [fields.caption] Caption for the XMP dc:description.
+ * @param {string} [fields.photoId] Facebook photo ID.
+ * @param {string} [fields.permalink] Link back to the photo.
+ * @param {Array<string>} [fields.taggedPeople] Names of tagged people.
+ * @param {string} [fields.software] Value for the EXIF Software tag.
+ * @returns {Uint8Array} A new JPEG byte array.
+ * @throws {Error} If the input is not a JPEG or its segment structure is broken.
+ */
+export function embedJpegMetadata(bytes, fields) {
+    if (!isJpeg(bytes)) throw new Error("Not a JPEG file.");
+
+    const kept = [];
+    let offset = 2;
+    let insertAt = 0; // Index in `kept` after which our segments go (after JFIF APP0 if present)
+    let orientation = null;
+    while (offset < bytes.length) {
+        if (bytes[offset] !== 0xFF) throw new Error(`Invalid JPEG marker at byte ${offset}.`);
+        const marker = bytes[offset + 1];
+        if (marker === 0xFF) { // Fill byte
+            offset++;
+            continue;
+        }
+        if (marker === 0xDA || marker === 0xD9) { // Start of scan / end of image: copy the rest verbatim
+            kept.push(bytes.subarray(offset));
+            break;
+        }
+        if (marker >= 0xD0 && marker <= 0xD7) { // Standalone markers without a length
+            kept.push(bytes.subarray(offset, offset + 2));
+            offset += 2;
+            continue;
+        }
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (length < 2 || offset + 2 + length > bytes.length) throw new Error("Truncated JPEG segment.");
+        const segment = bytes.subarray(offset, offset + 2 + length);
+        const isExif = marker === 0xE1 && startsWithAscii(bytes, offset + 4, "Exif\0");
+        const isXmp = marker === 0xE1 && startsWithAscii(bytes, offset + 4, XMP_HEADER);
+        if (isExif && orientation === null) orientation = readExifOrientation(segment);
+        if (!isExif && !isXmp) {
+            kept.push(segment);
+            if (marker === 0xE0 && kept.length === 1) insertAt = 1;
+        }
+        offset += 2 + length;
+    }
+
+    const dateTimeOriginal = fields.dateTimeOriginal;
+    const description = fields.description || '';
+    const caption = fields.caption || (isAscii(description) ? '' : description);
+    const newSegments = [
+        buildExifSegment({ description, dateTimeOriginal, software: fields.software, orientation }),
+        buildXmpSegment({ caption, photoId: fields.photoId, permalink: fields.permalink, taggedPeople: fields.taggedPeople, dateTimeOriginal })
+    ].filter(Boolean);
+
+    const parts = [bytes.subarray(0, 2), ...kept.slice(0, insertAt), ...newSegments, ...kept.slice(insertAt)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.length;
+    }
+    return output;
+}
@@ -5,8 +5,25 @@
 // This involves inspecting XHR requests in your browser's developer tools on Facebook.
 
 import { getOriginalNameFromUrl } from "./utils.js";
+import { fetchAllAlbumPhotos, STOP_REASONS } from "./graphql-album.js";
+import { resolvePhotoKey } from "./photo-id.js";
+import { acquireRequestSlot, reportThrottleSignal, reportRequestSuccess, THROTTLE_SIGNALS } from "./rate-limiter.js";
 
 const COMMON_GRAPHQL_ENDPOINT = "/api/graphql/";
+const HARVEST_MAX_STEPS = 500; // Hard cap on scroll steps so a misbehaving page can't loop forever
+const HARVEST_IDLE_STEPS = 3; // Consecutive steps without growth before the grid counts as fully loaded
+const PHOTO_PERMALINK_BASE = "https://www.facebook.com/photo/?fbid=";
+const VIEWER_LOAD_TIMEOUT = 20000;
+const PAGE_LOAD_TIMEOUT = 30000; // Pages opened in the background, e.g. for scheduled album syncs
+const VIEWER_SAMPLE_ATTEMPTS = 4;
+
+// Facebook sends accounts it suspects of automation to /checkpoint/ instead of the requested page.
+function isCheckpointUrl(url) {
+    return /^https?:\/\/[^/]*facebook\.com\/checkpoint\b/.test(url || '');
+}
+
+// Serialises URL refreshes, so parallel downloads don't each open a viewer tab at once
+let refreshChain = Promise.resolve();
 
 // Helper to get fb_dtsg token (essential for authenticated POST requests)
 // This needs to be executed in the page's context, so typically via content script -> background.
@@ -40,136 +57,372 @@ async function getFbDtsg(tabId) {
 }
 
 /**
- * Fetches photo URLs for a given Facebook album ID.
- * This is a conceptual representation. Actual GraphQL queries and parameters will vary.
- * @param {string} albumId The Facebook album ID.
- * @param {number} tabId The ID of the tab where the content script runs / for auth.
- * @param {string} albumNameFromContentScript Optional album name from content script.
- * @returns {Promise<{albumName: string, photos: Array<{id: string, url: string, originalName: string}>}>}
+ * Replaces the IDs the page scrapers found with stable photo keys.
+ * @param {Array<{id: string|null, href?: string|null, url: string}>} photos
+ * @returns {Array<{id: string, url: string}>}
  */
-export async function getPhotoUrlsForAlbum(albumId, tabId, albumNameFromContentScript) {
-    console.log(`[API] Fetching album: ${albumId}`);
+function withStablePhotoKeys(photos) {
+    return photos.map(photo => {
+        const id = resolvePhotoKey(photo);
+        const metadata = photo.metadata || {
+            permalink: photo.href || (/^\d+$/.test(id) ? `${PHOTO_PERMALINK_BASE}${id}` : null),
+            altText: photo.altText || ''
+        };
+        return { ...photo, id, metadata };
+    });
+}
 
-    const fbDtsg = await getFbDtsg(tabId);
-    if (!fbDtsg) {
-        console.warn("[API] fb_dtsg token not found. Using fallback scraping method.");
+/**
+ * Collects the album photo tiles currently present in the DOM.
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * @param {string} currentAlbumId The Facebook album ID.
+ * @param {boolean} harvestStep When true, relaxes the on-screen size filter and scrolls the grid one step after collecting.
+ * @returns {{albumName: string, photos: Array<{id: null, href: string|null, url: string, originalName: string, altText: string}>, pageUrl: string, scrollHeight?: number, atBottom?: boolean}}
+ */
+function scrapeAlbumTiles(currentAlbumId, harvestStep) {
+    console.log("[CONTENT] Starting album photo scraping for:", currentAlbumId);
+
+    // Log all image-like elements for debugging
+    const allImgs = document.querySelectorAll('img');
+    console.log(`[CONTENT] Found ${allImgs.length} total images on page`);
+
+    let scrapedAlbumName = `Album ${currentAlbumId}`;
+    const titleElement = document.querySelector('h1, h2, [data-testid="album-title"], [role="heading"][aria-level="1"]');
+    if (titleElement) scrapedAlbumName = titleElement.textContent.trim();
+    console.log(`[CONTENT] Album name detected: ${scrapedAlbumName}`);
+
+    // Expanded selectors to catch more photo elements
+    const photoElements = Array.from(document.querySelectorAll(
+        'img[data-visualcompletion="media-vc-image"], ' + // Common image container
+        'a[href*="/photos/"] > img, ' +                   // Images within photo links
+        'div[data-visualcompletion="photo-layout"] img, ' + // Photos in grid layouts
+        'object[type="image/jpeg"], ' +                   // Embedded high-res objects
+        'img[data-imgperflogname="media_viewer_image"], ' +  // Images in the new media viewer
+        'img[src*="fbcdn.net"], ' +                      // Images from Facebook CDN
+        'img[class*="photo"], ' +                        // Class-based selection
+        'img[class*="image"]'                           // More class-based selection
+    ));
+
+    console.log(`[CONTENT] Found ${photoElements.length} potential photo elements`);
+
+    const photos = photoElements
+        .map((img, index) => {
+            const rect = img.getBoundingClientRect();
+            // Filter out small images (likely icons, etc)
+            // While harvesting, tiles far below the viewport may not be laid out yet, so a photo link is enough
+            const isLinkedTile = harvestStep && img.closest('a[href*="/photo"]');
+            if (!isLinkedTile && (rect.width < 100 || rect.height < 100)) {
+                return null;
+            }
+
+            let src = img.src;
+            let originalName = `photo_${index + 1}.jpg`;
+
+            // Try to get high-res from parent object or specific attributes
+            const parentObject = img.closest('object[type="image/jpeg"]');
+            if (parentObject && parentObject.data) src = parentObject.data;
+
+            const highResData = img.dataset.src ||
+                (img.dataset.imgperflogname === "media_viewer_image" && img.src);
+            if(highResData) src = highResData;
+
+            // Improve URL quality by removing Facebook's image downsizing parameters
+            src = src.replace(/\/[sp]\d+x\d+\//, '/');  // Remove /s640x480/ type pattern
+            src = src.replace(/_\d+x\d+/, '');          // Remove _640x480 type pattern
+
+            // The photo ID is resolved outside the page (lib/photo-id.js) from the tile's link and URL
+            const anchor = img.closest('a');
+            const href = anchor && anchor.href ? anchor.href : null;
+
+            originalName = (img.alt || `image_from_${currentAlbumId}_${index}`).substring(0,50).replace(/[^a-zA-Z0-9_.-]/g, '_') + (src.includes('.png') ? '.png' : '.jpg');
+
+            if (!harvestStep) console.log(`[CONTENT] Photo ${index}: link=${href}, size=${rect.width}x${rect.height}`);
+            return { id: null, href, url: src, originalName: originalName, altText: img.alt || '' };
+        })
+        .filter(p => p !== null && p.url && !p.url.startsWith('data:image') && p.url.includes('fbcdn.net'));
+
+    console.log(`[CONTENT] After filtering: ${photos.length} valid photos`);
+
+    const uniquePhotos = [];
+    const seenUrls = new Set();
+    for (const photo of photos) {
+        if (!seenUrls.has(photo.url)) {
+            uniquePhotos.push(photo);
+            seenUrls.add(photo.url);
+        }
     }
 
-    let allPhotos = [];
-    let albumName = albumNameFromContentScript || `Album ${albumId}`;
-    const photoIdsOnPage = new Set(); // To avoid duplicates from scraping multiple times if API fails
+    console.log(`[CONTENT] Final unique photos: ${uniquePhotos.length}`);
 
-    // For most album IDs, we'll use the page scraping method as it's more reliable
-    // Rather than attemping GraphQL which frequently changes
-    console.log("[API] Using page scraping for album:", albumId);
+    // Log a few samples for debugging
+    uniquePhotos.slice(0, 3).forEach((photo, i) => {
+        console.log(`[CONTENT] Sample photo ${i}: ${photo.href}, URL prefix: ${photo.url.substring(0, 50)}...`);
+    });
 
-    try {
-        console.log(`[API] Executing scraping script in tab ${tabId} for album ${albumId}`);
+    if (harvestStep) {
+        // Move one viewport down so Facebook lazy-loads the next batch of tiles
+        const scroller = document.scrollingElement || document.documentElement;
+        window.scrollBy(0, window.innerHeight);
+        return {
+            albumName: scrapedAlbumName,
+            photos: uniquePhotos,
+            pageUrl: location.href,
+            scrollHeight: scroller.scrollHeight,
+            atBottom: scroller.scrollTop + window.innerHeight >= scroller.scrollHeight - 2
+        };
+    }
+
+    return { albumName: scrapedAlbumName, photos: uniquePhotos, pageUrl: location.href };
+}
+
+/**
+ * Scrapes a profile's "Photos of" tab, like scrapeAlbumTiles. The profile header above the tabs also
+ * links its profile picture and cover photo, so only photo links after the tab list count.
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * @param {string} currentAlbumId The tab's pseudo album ID ("<profile>_photos_of").
+ * @param {boolean} harvestStep Whether to scroll one step after collecting.
+ */
+function scrapeTaggedPhotoTiles(currentAlbumId, harvestStep) {
+    const tabList = document.querySelector('[role="main"] [role="tablist"]');
+    const tiles = Array.from(document.querySelectorAll('[role="main"] a[href*="/photo"]'))
+        .filter(tile => !tabList || (tabList.compareDocumentPosition(tile) & Node.DOCUMENT_POSITION_FOLLOWING));
+    const seenUrls = new Set();
+    const photos = tiles
+        .map((tile, index) => {
+            const img = tile.querySelector('img[src*="fbcdn.net"]');
+            if (!img || seenUrls.has(img.src)) return null;
+            seenUrls.add(img.src);
+            return { id: null, href: tile.href, url: img.src, originalName: `tagged_${index + 1}.jpg`, altText: img.alt || '' };
+        })
+        .filter(Boolean);
+
+    const scroller = document.scrollingElement || document.documentElement;
+    if (harvestStep) window.scrollBy(0, window.innerHeight);
+    const heading = document.querySelector('[role="main"] h1');
+    return {
+        albumName: heading ? `Photos of ${heading.textContent.trim()}` : `Album ${currentAlbumId}`,
+        photos,
+        pageUrl: location.href,
+        scrollHeight: scroller.scrollHeight,
+        atBottom: scroller.scrollTop + window.innerHeight >= scroller.scrollHeight - 2
+    };
+}
+
+/**
+ * Collects the albums linked on a profile's, Page's or group's albums tab and scrolls one step.
+ * Same contract as scrapeAlbumTiles, for harvestAlbumByScrolling; each entry is an album whose `id` is the album ID.
+ * Runs in the content script's isolated world, so it reuses getAlbumsTabInfo from content/content.js.
+ * @param {string} tabKey Unused; harvestAlbumByScrolling passes its key first.
+ * @param {boolean} harvestStep Whether to scroll one step after collecting.
+ */
+function scrapeAlbumLinkTiles(tabKey, harvestStep) {
+    const info = typeof getAlbumsTabInfo === 'function' ? getAlbumsTabInfo() : null;
+    const albums = info ? info.albums : [];
+    const scroller = document.scrollingElement || document.documentElement;
+    if (harvestStep) window.scrollBy(0, window.innerHeight);
+    return {
+        albumName: info ? info.profileName : null,
+        photos: albums.map(album => ({ ...album, id: album.albumId, href: album.albumUrl, url: album.albumUrl })),
+        pageUrl: location.href,
+        scrollHeight: scroller.scrollHeight,
+        atBottom: scroller.scrollTop + window.innerHeight >= scroller.scrollHeight - 2
+    };
+}
+
+/**
+ * Feeds the outcome of a page scrape to the rate limiter.
+ * @param {{photos: Array, pageUrl: string}|null} pageResult
+ * @param {boolean} expectPhotos Whether an empty result is suspicious (e.g. the first step of an album).
+ * @returns {boolean} False if Facebook showed a checkpoint instead of the album.
+ */
+function reportScrapeOutcome(pageResult, expectPhotos) {
+    if (pageResult && isCheckpointUrl(pageResult.pageUrl)) {
+        reportThrottleSignal(THROTTLE_SIGNALS.CHECKPOINT, pageResult.pageUrl);
+        return false;
+    }
+    if (expectPhotos && (!pageResult || pageResult.photos.length === 0)) {
+        reportThrottleSignal(THROTTLE_SIGNALS.EMPTY_SCRAPE, "album grid");
+    } else {
+        reportRequestSuccess();
+    }
+    return true;
+}
+
+/**
+ * Scrolls the album grid step by step, collecting new tiles as Facebook lazy-loads them.
+ * Stops when the grid stops growing, the expected photo count is reached, or the caller cancels.
+ * @param {string} albumId The Facebook album ID.
+ * @param {number} tabId The ID of the tab showing the album.
+ * @param {object} harvestOptions
+ * @param {number} [harvestOptions.expectedCount] Photo count reported by the content script (0 if unknown).
+ * @param {number} [harvestOptions.scrollDelay] Milliseconds to wait after each scroll step for tiles to load.
+ * @param {function(number, number): void} [harvestOptions.onProgress] Called with (collected, expected) after each step.
+ * @param {function(): boolean} [harvestOptions.isCancelled] Polled before each step; returning true stops harvesting.
+ * @param {function} [harvestOptions.tileScraper] Page function that collects the tiles and scrolls one step, called
+ *   with (albumId, true); see scrapeAlbumTiles for what it returns. Other grids, such as a conversation's shared media, bring their own.
+ * @returns {Promise<{albumName: string, photos: Array<{id: string, url: string, originalName: string}>}>}
+ */
+async function harvestAlbumByScrolling(albumId, tabId, harvestOptions) {
+    const { expectedCount = 0, scrollDelay = 1200, onProgress, isCancelled, tileScraper = scrapeAlbumTiles } = harvestOptions;
+    const collected = new Map(); // keyed by stable photo key, so re-rendered tiles are not counted twice
+    let albumName = null;
+    let idleSteps = 0;
+    let lastScrollHeight = 0;
+
+    for (let step = 0; step < HARVEST_MAX_STEPS; step++) {
+        if (isCancelled && isCancelled()) {
+            console.log(`[API] Harvest cancelled after ${step} steps with ${collected.size} photos.`);
+            break;
+        }
+        // Each scroll step makes Facebook load the next batch of tiles
+        if (!await acquireRequestSlot(isCancelled)) continue;
 
         const results = await chrome.scripting.executeScript({
             target: { tabId },
-            func: (currentAlbumId) => {
-                console.log("[CONTENT] Starting album photo scraping for:", currentAlbumId);
-
-                // Log all image-like elements for debugging
-                const allImgs = document.querySelectorAll('img');
-                console.log(`[CONTENT] Found ${allImgs.length} total images on page`);
-
-                let scrapedAlbumName = `Album ${currentAlbumId}`;
-                const titleElement = document.querySelector('h1, h2, [data-testid="album-title"], [role="heading"][aria-level="1"]');
-                if (titleElement) scrapedAlbumName = titleElement.textContent.trim();
-                console.log(`[CONTENT] Album name detected: ${scrapedAlbumName}`);
-
-                // Expanded selectors to catch more photo elements
-                const photoElements = Array.from(document.querySelectorAll(
-                    'img[data-visualcompletion="media-vc-image"], ' + // Common image container
-                    'a[href*="/photos/"] > img, ' +                   // Images within photo links
-                    'div[data-visualcompletion="photo-layout"] img, ' + // Photos in grid layouts
-                    'object[type="image/jpeg"], ' +                   // Embedded high-res objects
-                    'img[data-imgperflogname="media_viewer_image"], ' +  // Images in the new media viewer
-                    'img[src*="fbcdn.net"], ' +                      // Images from Facebook CDN
-                    'img[class*="photo"], ' +                        // Class-based selection
-                    'img[class*="image"]'                           // More class-based selection
-                ));
-
-                console.log(`[CONTENT] Found ${photoElements.length} potential photo elements`);
-
-                const photos = photoElements
-                    .map((img, index) => {
-                        const rect = img.getBoundingClientRect();
-                        // Filter out small images (likely icons, etc)
-                        if (rect.width < 100 || rect.height < 100) {
-                            return null;
-                        }
-
-                        let src = img.src;
-                        let photoId = null;
-                        let originalName = `photo_${index + 1}.jpg`;
-
-                        // Try to get high-res from parent object or specific attributes
-                        const parentObject = img.closest('object[type="image/jpeg"]');
-                        if (parentObject && parentObject.data) src = parentObject.data;
-
-                        const highResData = img.dataset.src ||
-                            (img.dataset.imgperflogname === "media_viewer_image" && img.src);
-                        if(highResData) src = highResData;
-
-                        // Improve URL quality by removing Facebook's image downsizing parameters
-                        src = src.replace(/\/[sp]\d+x\d+\//, '/');  // Remove /s640x480/ type pattern
-                        src = src.replace(/_\d+x\d+/, '');          // Remove _640x480 type pattern
-
-                        let anchor = img.closest('a');
-                        if (anchor && anchor.href) {
-                            const fbidMatch = anchor.href.match(/fbid=([\w.-]+)/);
-                            if (fbidMatch && fbidMatch[1]) photoId = fbidMatch[1];
-
-                            const photoPageMatch = anchor.href.match(/facebook\.com\/photo\/\?fbid=([\w.-]+)/) ||
-                                anchor.href.match(/\/photos\/(?:pcb\.\d+\/)?([\w.-]+)/);
-                            if (photoPageMatch && photoPageMatch[1]) photoId = photoPageMatch[1];
-                        }
-
-                        if (!photoId) { // Fallback ID
-                            // Try to get from 'aria-labelledby' pointing to an ID
-                            const labelledby = img.getAttribute('aria-labelledby');
-                            if (labelledby) {
-                                const labelElem = document.getElementById(labelledby);
-                                if (labelElem && labelElem.id) photoId = labelElem.id;
-                            }
-                            if(!photoId) photoId = `scraped_${currentAlbumId}_${Date.now()}_${index}`;
-                        }
-
-                        originalName = (img.alt || `image_from_${currentAlbumId}_${index}`).substring(0,50).replace(/[^a-zA-Z0-9_.-]/g, '_') + (src.includes('.png') ? '.png' : '.jpg');
-
-                        console.log(`[CONTENT] Photo ${index}: ID=${photoId}, size=${rect.width}x${rect.height}`);
-                        return { id: photoId, url: src, originalName: originalName };
-                    })
-                    .filter(p => p !== null && p.url && !p.url.startsWith('data:image') && p.url.includes('fbcdn.net'));
-
-                console.log(`[CONTENT] After filtering: ${photos.length} valid photos`);
-
-                const uniquePhotos = [];
-                const seenUrls = new Set();
-                for (const photo of photos) {
-                    if (!seenUrls.has(photo.url)) {
-                        uniquePhotos.push(photo);
-                        seenUrls.add(photo.url);
-                    }
-                }
+            func: tileScraper,
+            args: [albumId, true]
+        });
+        const stepResult = results && results[0] ? results[0].result : null;
+        if (!reportScrapeOutcome(stepResult, step === 0) || !stepResult) break;
 
-                console.log(`[CONTENT] Final unique photos: ${uniquePhotos.length}`);
+        albumName = albumName || stepResult.albumName;
+        const sizeBefore = collected.size;
+        for (const photo of withStablePhotoKeys(stepResult.photos)) {
+            if (!collected.has(photo.id)) collected.set(photo.id, photo);
+        }
 
-                // Log a few samples for debugging
-                uniquePhotos.slice(0, 3).forEach((photo, i) => {
-                    console.log(`[CONTENT] Sample photo ${i}: ${photo.id}, URL prefix: ${photo.url.substring(0, 50)}...`);
-                });
+        if (onProgress) onProgress(collected.size, expectedCount);
+        if (expectedCount > 0 && collected.size >= expectedCount) break;
 
-                return { albumName: scrapedAlbumName, photos: uniquePhotos };
-            },
-            args: [albumId]
-        });
+        // The grid has stopped growing once several steps in a row add neither tiles nor page height
+        const grew = collected.size > sizeBefore || stepResult.scrollHeight > lastScrollHeight;
+        lastScrollHeight = stepResult.scrollHeight;
+        idleSteps = grew || !stepResult.atBottom ? 0 : idleSteps + 1;
+        if (idleSteps >= HARVEST_IDLE_STEPS) break;
 
-        if (results && results[0] && results[0].result) {
-            const { albumName: finalAlbumName, photos: finalPhotos } = results[0].result;
+        await new Promise(resolve => setTimeout(resolve, scrollDelay));
+    }
+
+    console.log(`[API] Harvest finished with ${collected.size} photos (expected ${expectedCount || 'unknown'}).`);
+    return { albumName: albumName || `Album ${albumId}`, photos: Array.from(collected.values()) };
+}
+
+/**
+ * POSTs a form body to the GraphQL endpoint from inside the page, so Facebook's
+ * session cookies and same-origin checks apply exactly as for its own requests.
+ * @param {number} tabId The tab to run the request in.
+ * @param {string} body The URL-encoded request body.
+ * @returns {Promise<string>} The raw response text.
+ */
+async function postGraphQLFromPage(tabId, body) {
+    await acquireRequestSlot();
+    const results = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: async (endpoint, requestBody) => {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: requestBody
+            });
+            if (!response.ok) return { error: `HTTP ${response.status}`, status: response.status, url: response.url };
+            return { text: await response.text(), url: response.url };
+        },
+        args: [COMMON_GRAPHQL_ENDPOINT, body]
+    });
+    const result = results && results[0] ? results[0].result : null;
+    if (result && isCheckpointUrl(result.url)) {
+        reportThrottleSignal(THROTTLE_SIGNALS.CHECKPOINT, "GraphQL");
+        throw new Error("GraphQL request failed: redirected to a checkpoint");
+    }
+    if (result && result.status === 429) reportThrottleSignal(THROTTLE_SIGNALS.TOO_MANY_REQUESTS, "GraphQL");
+    if (!result || result.error) {
+        throw new Error(`GraphQL request failed: ${result ? result.error : 'no result'}`);
+    }
+    reportRequestSuccess();
+    return result.text;
+}
+
+/**
+ * Album provider that pages through the album with Facebook's GraphQL API.
+ * Returns full-resolution URIs with real photo IDs and upload timestamps.
+ * @param {string} albumId The Facebook album ID.
+ * @param {number} tabId The tab used for authentication.
+ * @param {string} albumNameFromContentScript Album name detected by the content script.
+ * @param {object} albumOptions See getPhotoUrlsForAlbum.
+ * @returns {Promise<{albumName: string, photos: Array<{id: string, url: string, originalName: string, timestamp: number|null}>,
+ *   incomplete: string|null}>} `incomplete` says why paging stopped before the last page; the photos listed until then are kept.
+ */
+async function fetchAlbumFromGraphQL(albumId, tabId, albumNameFromContentScript, albumOptions) {
+    if (!albumOptions.fbDtsg) {
+        throw new Error("fb_dtsg token not available.");
+    }
+    const { expectedCount = 0, onProgress, isCancelled } = albumOptions;
+
+    const { photos, complete, stopReason, error } = await fetchAllAlbumPhotos({
+        albumId,
+        fbDtsg: albumOptions.fbDtsg,
+        docId: albumOptions.graphqlDocId || undefined,
+        pageDelay: albumOptions.pageDelay || 0,
+        transport: (body) => postGraphQLFromPage(tabId, body),
+        onPage: (count) => { if (onProgress) onProgress(count, expectedCount); },
+        isCancelled
+    });
+    let incomplete = null;
+    if (!complete && stopReason !== STOP_REASONS.CANCELLED) {
+        incomplete = stopReason === STOP_REASONS.PAGE_LIMIT
+            ? `Only the first ${photos.length} photos of this album could be listed.`
+            : `Listing the album stopped after ${photos.length} photos (${error.message}); download it again for the rest.`;
+        console.warn(`[API] Album ${albumId}: ${incomplete}`);
+    }
+
+    return {
+        albumName: albumNameFromContentScript || `Album ${albumId}`,
+        incomplete,
+        photos: photos.map(photo => ({
+            ...photo,
+            originalName: getOriginalNameFromUrl(photo.url),
+            metadata: {
+                caption: photo.caption || null,
+                uploadDate: photo.timestamp ? new Date(photo.timestamp * 1000).toISOString() : null,
+                uploader: photo.ownerName ? { name: photo.ownerName, url: null } : null,
+                permalink: photo.permalink || `${PHOTO_PERMALINK_BASE}${photo.id}`,
+                altText: photo.altText || ''
+            }
+        }))
+    };
+}
+
+/**
+ * Album provider that scrapes the photo tiles rendered on the album page.
+ * @param {string} albumId The Facebook album ID.
+ * @param {number} tabId The tab showing the album.
+ * @param {string} albumNameFromContentScript Album name detected by the content script.
+ * @param {object} harvestOptions Pass `autoScroll: true` to harvest by scrolling; see harvestAlbumByScrolling for the rest.
+ * @returns {Promise<{albumName: string, photos: Array<{id: string, url: string, originalName: string}>}>}
+ */
+async function scrapeAlbumFromPage(albumId, tabId, albumNameFromContentScript, harvestOptions) {
+    console.log(`[API] Using page scraping for album: ${albumId}${harvestOptions.autoScroll ? " (auto-scroll)" : ""}`);
+
+    try {
+        console.log(`[API] Executing scraping script in tab ${tabId} for album ${albumId}`);
+
+        let pageResult = null;
+        if (harvestOptions.autoScroll) {
+            pageResult = await harvestAlbumByScrolling(albumId, tabId, harvestOptions);
+        } else {
+            await acquireRequestSlot(harvestOptions.isCancelled);
+            const results = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: harvestOptions.tileScraper || scrapeAlbumTiles,
+                args: [albumId, false]
+            });
+            pageResult = results && results[0] ? results[0].result : null;
+            if (!reportScrapeOutcome(pageResult, true)) pageResult = null;
+        }
+
+        if (pageResult) {
+            const { albumName: finalAlbumName, photos: finalPhotos } = pageResult;
             console.log(`[API] Scraped ${finalPhotos.length} photos for ${finalAlbumName}.`);
             if (chrome.runtime.lastError) console.warn(chrome.runtime.lastError.message); // check for errors
 
@@ -182,7 +435,7 @@ export async function getPhotoUrlsForAlbum(albumId, tabId, albumNameFromContentS
                 console.warn("Could not send photo count update message:", msgError);
             }
 
-            return { albumName: finalAlbumName, photos: finalPhotos };
+            return { albumName: finalAlbumName, photos: withStablePhotoKeys(finalPhotos) };
         }
         throw new Error("Scraping did not yield results.");
     } catch (error) {
@@ -203,7 +456,8 @@ export async function getPhotoUrlsForAlbum(albumId, tabId, albumNameFromContentS
                             return img.src?.includes('fbcdn.net') && rect.width > 100 && rect.height > 100;
                         })
                         .map((img, index) => ({
-                            id: `alt_${currentAlbumId}_${index}`,
+                            id: null,
+                            href: img.closest('a')?.href || null,
                             url: img.src,
                             originalName: `photo_${index + 1}.jpg`
                         }));
@@ -220,7 +474,7 @@ export async function getPhotoUrlsForAlbum(albumId, tabId, albumNameFromContentS
             if (alternativeResults && alternativeResults[0]?.result?.photos?.length > 0) {
                 const { albumName: altAlbumName, photos: altPhotos } = alternativeResults[0].result;
                 console.log(`[API] Alternative method found ${altPhotos.length} photos`);
-                return { albumName: altAlbumName, photos: altPhotos };
+                return { albumName: altAlbumName, photos: withStablePhotoKeys(altPhotos) };
             }
         } catch (altError) {
             console.error("[API] Alternative scraping also failed:", altError);
@@ -230,6 +484,76 @@ export async function getPhotoUrlsForAlbum(albumId, tabId, albumNameFromContentS
     }
 }
 
+// Album providers in the order they are tried. Each receives
+// (albumId, tabId, albumNameFromContentScript, albumOptions) and throws to hand over to the next.
+// Only real albums have a numeric ID the GraphQL query accepts; pseudo albums such as a group's
+// Media tab ("group_<id>_media") or a profile's tagged photos ("<profile>_photos_of") are always scraped.
+const ALBUM_PROVIDERS = [
+    { name: "graphql", fetchAlbum: fetchAlbumFromGraphQL, isEnabled: (albumOptions, albumId) => albumOptions.useGraphQL !== false && /^\d+$/.test(albumId) },
+    { name: "scrape", fetchAlbum: scrapeAlbumFromPage, isEnabled: () => true }
+];
+
+/**
+ * Fetches photo URLs for a given Facebook album ID.
+ * Tries each enabled album provider in turn, so the DOM scraper takes over automatically
+ * when the GraphQL query shape stops working.
+ * @param {string} albumId The Facebook album ID.
+ * @param {number} tabId The ID of the tab where the content script runs / for auth.
+ * @param {string} albumNameFromContentScript Optional album name from content script.
+ * @param {object} [albumOptions] `useGraphQL`, `graphqlDocId` and `pageDelay` configure the API provider; `autoScroll`,
+ *   `expectedCount`, `scrollDelay`, `onProgress` and `isCancelled` are shared with harvestAlbumByScrolling.
+ * @returns {Promise<{albumName: string, photos: Array<{id: string, url: string, originalName: string}>, incomplete?: string|null}>}
+ *   `incomplete` is set when only part of the album could be listed, with the reason.
+ */
+export async function getPhotoUrlsForAlbum(albumId, tabId, albumNameFromContentScript, albumOptions = {}) {
+    console.log(`[API] Fetching album: ${albumId}`);
+
+    const fbDtsg = await getFbDtsg(tabId);
+    if (!fbDtsg) {
+        console.warn("[API] fb_dtsg token not found. Using fallback scraping method.");
+    }
+    const providerOptions = { ...albumOptions, fbDtsg };
+    if (/_photos_of$/.test(albumId)) providerOptions.tileScraper = scrapeTaggedPhotoTiles;
+
+    let lastError = null;
+    for (const provider of ALBUM_PROVIDERS) {
+        if (!provider.isEnabled(providerOptions, albumId)) continue;
+        if (albumOptions.isCancelled && albumOptions.isCancelled()) break;
+        try {
+            const albumInfo = await provider.fetchAlbum(albumId, tabId, albumNameFromContentScript, providerOptions);
+            console.log(`[API] Album provider "${provider.name}" returned ${albumInfo.photos.length} photos.`);
+            return albumInfo;
+        } catch (error) {
+            console.warn(`[API] Album provider "${provider.name}" failed, trying next:`, error.message);
+            lastError = error;
+        }
+    }
+    throw lastError || new Error("No album provider could fetch this album.");
+}
+
+/**
+ * Lists every album on the albums tab open in a tab. The tab only shows the albums loaded so far,
+ * so it is scrolled to the end first, like an album grid.
+ * @param {number} tabId The tab showing the albums tab.
+ * @param {object} [listOptions]
+ * @param {number} [listOptions.scrollDelay] Milliseconds to wait after each scroll step.
+ * @param {function(number, number): void} [listOptions.onProgress] Called with (albums found, 0) after each step.
+ * @param {function(): boolean} [listOptions.isCancelled]
+ * @returns {Promise<Array<{albumId: string, albumName: string, photoCount: number, specialAlbum: string|null, albumUrl: string}>>}
+ *   In page order.
+ */
+export async function getAllAlbumsOnTab(tabId, listOptions = {}) {
+    const { scrollDelay = 1200, onProgress, isCancelled } = listOptions;
+    const harvest = await harvestAlbumByScrolling('albums_tab', tabId, {
+        scrollDelay,
+        onProgress,
+        isCancelled,
+        tileScraper: scrapeAlbumLinkTiles
+    });
+    return harvest.photos.map(({ albumId, albumName, photoCount, specialAlbum, albumUrl }) =>
+        ({ albumId, albumName, photoCount, specialAlbum, albumUrl }));
+}
+
 /**
  * Fetches photo URLs from a Facebook post.
  * @param {Array<{id: string, url: string, originalName?: string}>} photoDataFromContentScript
@@ -311,7 +635,8 @@ export async function getPhotoUrlsFromPost(photoDataFromContentScript, postId, t
  * Placeholder to get the highest resolution URL for a single photo ID.
  * @param {string} photoId
  * @param {number} tabId
- * @returns {Promise<{url: string, originalName?: string} | null>}
+ * @returns {Promise<{url: string, originalName?: string, width: number, height: number, fromViewer: boolean} | null>}
+ *   `width`/`height` are the decoded pixel size of the chosen image (0 if it had not loaded yet).
  */
 export async function getSinglePhotoHighestResUrl(photoId, tabId) {
     console.log(`[API] Attempting to get highest res for photo: ${photoId}`);
@@ -348,7 +673,7 @@ export async function getSinglePhotoHighestResUrl(photoId, tabId) {
 
                 if (bestImageElement) {
                     // Try to improve the URL by removing Facebook's image downsizing parameters
-                    let url = bestImageElement.src;
+                    let url = bestImageElement.currentSrc || bestImageElement.src;
                     url = url.replace(/\/[sp]\d+x\d+\//, '/');
                     url = url.replace(/_[a-z]\d+x\d+(_\w+)?\./, '.');
 
@@ -356,7 +681,10 @@ export async function getSinglePhotoHighestResUrl(photoId, tabId) {
                         url: url,
                         alt: bestImageElement.alt || '',
                         width: bestImageElement.width,
-                        height: bestImageElement.height
+                        height: bestImageElement.height,
+                        naturalWidth: bestImageElement.naturalWidth || 0,
+                        naturalHeight: bestImageElement.naturalHeight || 0,
+                        fromViewer: bestImageElement.dataset.imgperflogname === "media_viewer_image"
                     };
                 }
 
@@ -366,12 +694,12 @@ export async function getSinglePhotoHighestResUrl(photoId, tabId) {
         });
 
         if (results && results[0] && results[0].result) {
-            const { url, alt } = results[0].result;
+            const { url, alt, naturalWidth, naturalHeight, fromViewer } = results[0].result;
             const originalName = alt
                 ? alt.substring(0, 80).replace(/[^a-zA-Z0-9_.\-]/g, '_').replace(/_+/g, '_')
                 : getOriginalNameFromUrl(url) || `${photoId}.jpg`;
 
-            return { url, originalName };
+            return { url, originalName, width: naturalWidth, height: naturalHeight, fromViewer };
         }
     } catch (error) {
         console.warn(`[API] Failed to get high-res for ${photoId}:`, error);
@@ -379,4 +707,600 @@ export async function getSinglePhotoHighestResUrl(photoId, tabId) {
 
     // If we couldn't get a better version, return null and let the caller use the existing URL
     return null;
-}
\ No newline at end of file
+}
+
+/**
+ * Steps through the photo carousel of the Marketplace listing on screen and records the large image
+ * shown at each step. The carousel only loads a photo at full size while it is shown.
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * @param {number} maxSteps Clicks on "next" at most; the carousel wraps around after the last photo.
+ * @param {number} stepDelay Milliseconds to wait for each photo to load.
+ * @returns {Promise<{photos: Array<{url: string, width: number, altText: string}>, pageUrl: string}>}
+ */
+async function stepThroughListingCarousel(maxSteps, stepDelay) {
+    const scope = document.querySelector('[role="dialog"]') || document.querySelector('[role="main"]') || document.body;
+    const shownImage = () => Array.from(scope.querySelectorAll('img[src*="fbcdn.net"]'))
+        .filter(img => img.getBoundingClientRect().width > 200)
+        .sort((a, b) => (b.naturalWidth * b.naturalHeight) - (a.naturalWidth * a.naturalHeight))[0];
+    const nextButton = () => scope.querySelector('[aria-label="View next image"], [aria-label="Next image"], [aria-label="Next photo"]');
+
+    const photos = [];
+    for (let step = 0; step <= maxSteps; step++) {
+        const image = shownImage();
+        const url = image ? image.currentSrc || image.src : null;
+        if (url && photos.some(photo => photo.url === url)) break; // Wrapped around to the first photo
+        if (url) photos.push({ url, width: image.naturalWidth, altText: image.alt || '' });
+        const button = nextButton();
+        if (!button || step === maxSteps) break;
+        button.click();
+        await new Promise(resolve => setTimeout(resolve, stepDelay));
+    }
+    return { photos, pageUrl: location.href };
+}
+
+/**
+ * Collects every photo of a Marketplace listing at full size.
+ * The large carousel images are preferred; a thumbnail the carousel did not reach is kept as found.
+ * @param {number} tabId The tab showing the listing.
+ * @param {{listingId: string, title?: string, url?: string}} listing
+ * @param {Array<{id: string, url: string, altText?: string}>} thumbnails Photos found by the content script.
+ * @param {number} [stepDelay] Milliseconds to wait for each carousel photo to load.
+ * @returns {Promise<Array<{id: string, url: string, originalName: string, metadata: object}>>}
+ */
+export async function getMarketplaceListingPhotos(tabId, listing, thumbnails, stepDelay = 800) {
+    let carouselPhotos = [];
+    try {
+        await acquireRequestSlot();
+        const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: stepThroughListingCarousel,
+            args: [Math.max(1, thumbnails.length), stepDelay]
+        });
+        const result = results && results[0] ? results[0].result : null;
+        if (result && isCheckpointUrl(result.pageUrl)) {
+            reportThrottleSignal(THROTTLE_SIGNALS.CHECKPOINT, result.pageUrl);
+        } else if (result) {
+            reportRequestSuccess();
+            carouselPhotos = result.photos;
+        }
+    } catch (error) {
+        console.warn(`[API] Could not step through the carousel of listing ${listing.listingId}:`, error);
+    }
+
+    // Keyed by stable photo key, so the thumbnail and the full-size image of a photo count once
+    const photos = new Map();
+    for (const photo of [...carouselPhotos, ...thumbnails]) {
+        const id = resolvePhotoKey({ url: photo.url });
+        if (photos.has(id)) continue;
+        photos.set(id, {
+            id,
+            url: photo.url,
+            originalName: getOriginalNameFromUrl(photo.url) || `${id}.jpg`,
+            metadata: { caption: listing.title || null, permalink: listing.url || null, altText: photo.altText || '' }
+        });
+    }
+    console.log(`[API] Listing ${listing.listingId}: ${carouselPhotos.length} photos from the carousel, ${photos.size} in total.`);
+    return Array.from(photos.values());
+}
+
+/**
+ * Opens the "Media and files" panel of the conversation on screen and switches it to the Media grid.
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * @returns {Promise<boolean>} Whether any shared media tiles are shown afterwards.
+ */
+async function openConversationMediaPanel() {
+    const tileSelector = 'a[href*="/messenger_media"], a[href*="attachment_id="]';
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const clickFirst = (pattern) => {
+        const target = Array.from(document.querySelectorAll('[role="button"], [role="tab"], [role="link"], [role="listitem"], a'))
+            .find(el => pattern.test((el.getAttribute('aria-label') || el.textContent || '').trim()));
+        if (target) target.click();
+        return !!target;
+    };
+
+    if (document.querySelector(tileSelector)) return true;
+    // The panel is part of the conversation details, which may be collapsed
+    if (!/media,? (files|and files)/i.test(document.body.innerText)) {
+        clickFirst(/^(conversation information|chat info|conversation settings)$/i);
+        await wait(800);
+    }
+    clickFirst(/^media,? (files|and files)/i);
+    await wait(800);
+    clickFirst(/^media$/i);
+    await wait(1500);
+    return !!document.querySelector(tileSelector);
+}
+
+/**
+ * Collects the shared media tiles of the open "Media" panel and scrolls the panel one step.
+ * Same contract as scrapeAlbumTiles, for harvestAlbumByScrolling. Each tile links to the attachment viewer.
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * @param {string} threadId The conversation's thread ID.
+ * @param {boolean} harvestStep Scroll the panel after collecting.
+ * @returns {{albumName: string, photos: Array<{id: null, href: string, url: string, originalName: string, altText: string}>,
+ *   pageUrl: string, scrollHeight: number, atBottom: boolean}}
+ */
+function scrapeConversationMediaTiles(threadId, harvestStep) {
+    const tiles = Array.from(document.querySelectorAll('a[href*="/messenger_media"], a[href*="attachment_id="]'));
+    const photos = tiles
+        .map((tile, index) => {
+            const img = tile.querySelector('img[src*="fbcdn.net"]');
+            if (!img) return null;
+            return { id: null, href: tile.href, url: img.currentSrc || img.src, originalName: `attachment_${index + 1}.jpg`, altText: img.alt || '' };
+        })
+        .filter(Boolean);
+
+    // The panel scrolls on its own, not with the page: find the nearest scrollable ancestor of the grid
+    let scroller = tiles.length > 0 ? tiles[tiles.length - 1].parentElement : null;
+    while (scroller && scroller !== document.body && scroller.scrollHeight <= scroller.clientHeight + 2) {
+        scroller = scroller.parentElement;
+    }
+    scroller = scroller || document.scrollingElement || document.documentElement;
+    if (harvestStep) scroller.scrollBy(0, scroller.clientHeight);
+
+    const heading = document.querySelector('[role="main"] h2, [role="main"] h1');
+    return {
+        albumName: heading ? heading.textContent.trim() : `Conversation ${threadId}`,
+        photos,
+        pageUrl: location.href,
+        scrollHeight: scroller.scrollHeight,
+        atBottom: scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2
+    };
+}
+
+/**
+ * Reads the attachment shown in the Messenger media viewer: the largest image, who sent it and when.
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * @returns {{url: string|null, width: number, height: number, senderName: string|null, sentAt: number|null}}
+ */
+function scrapeAttachmentViewer() {
+    const scope = document.querySelector('[role="dialog"]') || document.querySelector('[role="main"]') || document.body;
+    const image = Array.from(scope.querySelectorAll('img[src*="fbcdn.net"]'))
+        .sort((a, b) => (b.naturalWidth * b.naturalHeight) - (a.naturalWidth * a.naturalHeight))[0];
+
+    // The viewer header names the sender next to the time the message was sent; the sender is only
+    // read from around that timestamp, as other headings in the viewer name the conversation instead
+    let sentAt = null;
+    const utimeElement = scope.querySelector('abbr[data-utime]');
+    const timeElement = scope.querySelector('time[datetime]');
+    const timestampElement = utimeElement || timeElement;
+    if (utimeElement) {
+        sentAt = parseInt(utimeElement.dataset.utime, 10) * 1000;
+    } else if (timeElement) {
+        sentAt = Date.parse(timeElement.getAttribute('datetime')) || null;
+    } else {
+        const dateText = Array.from(scope.querySelectorAll('span, a[aria-label]'))
+            .map(el => el.getAttribute('aria-label') || (el.childElementCount === 0 ? el.textContent.trim() : ''))
+            .find(text => text && /\d/.test(text) && !isNaN(Date.parse(text)));
+        sentAt = dateText ? Date.parse(dateText) : null;
+    }
+
+    // Walks up a few levels from the timestamp to the header row; without a timestamp the sender is unknown
+    let senderElement = null;
+    let container = timestampElement ? timestampElement.parentElement : null;
+    for (let depth = 0; depth < 4 && container && container !== scope && !senderElement; depth++) {
+        senderElement = container.querySelector('h2, h3, strong');
+        container = container.parentElement;
+    }
+
+    return {
+        url: image ? image.currentSrc || image.src : null,
+        width: image ? image.naturalWidth : 0,
+        height: image ? image.naturalHeight : 0,
+        senderName: senderElement ? senderElement.textContent.trim() || null : null,
+        sentAt
+    };
+}
+
+/**
+ * Collects every photo shared in the conversation open in a tab, at full size, oldest first.
+ * Opens the conversation's Media panel, scrolls it to the end, then opens each attachment in the
+ * viewer of a background tab for its full-size URL, sender and sent date.
+ * @param {string} threadId
+ * @param {number} tabId The tab showing the conversation.
+ * @param {object} [mediaOptions]
+ * @param {number} [mediaOptions.scrollDelay] Milliseconds to wait after each scroll step.
+ * @param {number} [mediaOptions.delay] Milliseconds to wait between attachments.
+ * @param {function(number, number): void} [mediaOptions.onHarvestProgress] Called with (collected, 0) while scrolling.
+ * @param {function(number, number): void} [mediaOptions.onProgress] Called with (done, total) while resolving.
+ * @param {function(): boolean} [mediaOptions.isCancelled]
+ * @returns {Promise<{conversationName: string, photos: Array<{id: string, url: string, originalName: string, metadata: object}>,
+ *   thumbnailCount: number}>} Each photo's `metadata.uploader` is the sender and `metadata.uploadDate` the sent date, if the
+ *   viewer showed them. `thumbnailCount` photos could not be opened in the viewer and are only the grid thumbnail.
+ */
+export async function getConversationMedia(threadId, tabId, mediaOptions = {}) {
+    const { scrollDelay = 1200, delay = 500, onHarvestProgress, onProgress, isCancelled } = mediaOptions;
+
+    await acquireRequestSlot(isCancelled);
+    const opened = await chrome.scripting.executeScript({ target: { tabId }, func: openConversationMediaPanel });
+    if (!opened || !opened[0] || !opened[0].result) {
+        throw new Error("Could not open the conversation's shared media. Open \"Media and files\" in the chat details and try again.");
+    }
+
+    const grid = await harvestAlbumByScrolling(threadId, tabId, {
+        scrollDelay,
+        onProgress: onHarvestProgress,
+        isCancelled,
+        tileScraper: scrapeConversationMediaTiles
+    });
+    const conversationName = grid.albumName;
+    // The grid lists the newest attachments first
+    const attachments = grid.photos.reverse();
+
+    const photos = [];
+    let thumbnailCount = 0;
+    let viewerTabId = null;
+    try {
+        for (let i = 0; i < attachments.length; i++) {
+            const attachment = attachments[i];
+            if (isCancelled && isCancelled()) break;
+
+            let viewer = null;
+            if (attachment.metadata.permalink) {
+                if (viewerTabId === null) viewerTabId = await openViewerTab(tabId);
+                if (!await acquireRequestSlot(isCancelled)) break;
+                await navigateAndWait(viewerTabId, attachment.metadata.permalink, VIEWER_LOAD_TIMEOUT);
+                const viewerTab = await chrome.tabs.get(viewerTabId);
+                if (isCheckpointUrl(viewerTab.url)) {
+                    // The rest keep their thumbnails rather than risk more checkpoints
+                    reportThrottleSignal(THROTTLE_SIGNALS.CHECKPOINT, viewerTab.url);
+                    photos.push(...attachments.slice(i));
+                    thumbnailCount += attachments.length - i;
+                    break;
+                }
+                const results = await chrome.scripting.executeScript({ target: { tabId: viewerTabId }, func: scrapeAttachmentViewer });
+                viewer = results && results[0] ? results[0].result : null;
+                // Only a viewer page that loaded but showed nothing hints at throttling; a missing permalink is a local miss
+                if (!viewer || !viewer.url) reportThrottleSignal(THROTTLE_SIGNALS.EMPTY_SCRAPE, `attachment viewer for ${attachment.id}`);
+            }
+
+            if (viewer && viewer.url) {
+                reportRequestSuccess();
+                photos.push({
+                    ...attachment,
+                    id: resolvePhotoKey({ url: viewer.url }),
+                    url: viewer.url,
+                    originalName: getOriginalNameFromUrl(viewer.url) || attachment.originalName,
+                    metadata: {
+                        ...attachment.metadata,
+                        uploader: viewer.senderName ? { name: viewer.senderName, url: null } : null,
+                        uploadDate: viewer.sentAt ? new Date(viewer.sentAt).toISOString() : null
+                    }
+                });
+            } else {
+                console.warn(`[API] ${attachment.metadata.permalink ? "Attachment viewer showed no image" : "No viewer link"} for ${attachment.id}; keeping the thumbnail.`);
+                photos.push(attachment);
+                thumbnailCount++;
+            }
+            if (onProgress) onProgress(i + 1, attachments.length);
+            if (attachment.metadata.permalink) await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    } finally {
+        if (viewerTabId !== null) {
+            chrome.tabs.remove(viewerTabId).catch(err => console.warn("[API] Could not close viewer tab:", err.message));
+        }
+    }
+
+    // Grid order is only a fallback; sort by the sent dates when the viewer showed all of them
+    if (photos.length > 0 && photos.every(photo => photo.metadata.uploadDate)) {
+        photos.sort((a, b) => Date.parse(a.metadata.uploadDate) - Date.parse(b.metadata.uploadDate));
+    }
+    console.log(`[API] Conversation ${threadId}: ${photos.length} shared photos, ${thumbnailCount} only as thumbnails.`);
+    return { conversationName, photos, thumbnailCount };
+}
+
+/**
+ * Returns the page that shows a photo in the media viewer: its numeric fbid permalink if known,
+ * otherwise the permalink captured with its metadata.
+ * @param {{id: string, metadata?: {permalink?: string}}} photo
+ * @returns {string|null} Null if the photo can't be opened again (e.g. grid tiles without a link).
+ */
+export function getPhotoViewerUrl(photo) {
+    if (/^\d+$/.test(String(photo.id))) return `${PHOTO_PERMALINK_BASE}${photo.id}`;
+    const permalink = photo.metadata && photo.metadata.permalink;
+    return permalink && /^https:\/\/(www\.|m\.)?facebook\.com\//.test(permalink) ? permalink : null;
+}
+
+/**
+ * The viewer image often starts as a blurry preview, so sample a few times and keep the largest.
+ * @param {string} photoId
+ * @param {number} viewerTabId A tab that has the photo's viewer page loaded.
+ * @returns {Promise<{url: string, originalName?: string, width: number, height: number, fromViewer: boolean}|null>}
+ */
+async function sampleViewerImage(photoId, viewerTabId) {
+    let best = null;
+    for (let attempt = 0; attempt < VIEWER_SAMPLE_ATTEMPTS; attempt++) {
+        const candidate = await getSinglePhotoHighestResUrl(photoId, viewerTabId);
+        if (candidate && (!best || candidate.width * candidate.height > best.width * best.height)) {
+            best = candidate;
+        }
+        if (best && best.fromViewer && best.width > 0) break;
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return best;
+}
+
+// Opens an inactive tab next to the source tab, or anywhere if that tab has been closed since.
+async function openViewerTab(sourceTabId) {
+    const sourceTab = await chrome.tabs.get(sourceTabId).catch(() => null);
+    const viewerTab = await chrome.tabs.create(sourceTab
+        ? { url: "about:blank", active: false, windowId: sourceTab.windowId, index: sourceTab.index + 1 }
+        : { url: "about:blank", active: false });
+    return viewerTab.id;
+}
+
+/**
+ * Opens a Facebook page in a new inactive tab and waits for it to load, for work that runs without
+ * the user having the page open (e.g. scheduled album syncs). The caller closes the tab.
+ * @param {string} url
+ * @returns {Promise<number>} The tab ID.
+ * @throws {Error} If Facebook answered with a checkpoint instead of the page; the tab is closed then.
+ */
+export async function openPageInBackground(url) {
+    await acquireRequestSlot();
+    const tab = await chrome.tabs.create({ url: "about:blank", active: false });
+    await navigateAndWait(tab.id, url, PAGE_LOAD_TIMEOUT);
+    const loadedTab = await chrome.tabs.get(tab.id);
+    if (isCheckpointUrl(loadedTab.url)) {
+        reportThrottleSignal(THROTTLE_SIGNALS.CHECKPOINT, loadedTab.url);
+        chrome.tabs.remove(tab.id).catch(() => {});
+        throw new Error("Facebook showed a security checkpoint instead of the page.");
+    }
+    reportRequestSuccess();
+    return tab.id;
+}
+
+/**
+ * Gets a freshly signed URL for a photo whose CDN link expired or is about to, by opening the
+ * photo in the media viewer of a background tab, like the "maximum quality" walk does.
+ * @param {{id: string, metadata?: {permalink?: string}}} photo
+ * @param {number} tabId The tab the download was started from; the viewer tab opens next to it.
+ * @returns {Promise<string|null>} The new URL, or null if the photo could not be resolved.
+ */
+export function refreshPhotoUrl(photo, tabId) {
+    const refresh = refreshChain.then(async () => {
+        const viewerUrl = getPhotoViewerUrl(photo);
+        if (!viewerUrl) return null;
+        await acquireRequestSlot();
+        const viewerTabId = await openViewerTab(tabId);
+        try {
+            await navigateAndWait(viewerTabId, viewerUrl, VIEWER_LOAD_TIMEOUT);
+            const viewerTab = await chrome.tabs.get(viewerTabId);
+            if (isCheckpointUrl(viewerTab.url)) {
+                reportThrottleSignal(THROTTLE_SIGNALS.CHECKPOINT, viewerTab.url);
+                return null;
+            }
+            const best = await sampleViewerImage(photo.id, viewerTabId);
+            if (!best) {
+                reportThrottleSignal(THROTTLE_SIGNALS.EMPTY_SCRAPE, `media viewer for ${photo.id}`);
+                return null;
+            }
+            reportRequestSuccess();
+            console.log(`[API] Refreshed the URL of ${photo.id}.`);
+            return best.url;
+        } finally {
+            chrome.tabs.remove(viewerTabId).catch(err => console.warn("[API] Could not close viewer tab:", err.message));
+        }
+    });
+    refreshChain = refresh.catch(() => {}); // One failed refresh must not block the next
+    return refresh;
+}
+
+/**
+ * Reads caption, uploader, date, location, tags and engagement counts from a post or photo page.
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * @returns {{caption: string|null, uploadDate: string|null, uploadDateText: string|null, uploader: {name: string, url: string}|null,
+ *   location: string|null, taggedPeople: Array<string>, reactionCount: number|null, commentCount: number|null,
+ *   permalink: string, altText: string}}
+ */
+function scrapePageMetadata() {
+    const textOf = (el) => (el && el.textContent ? el.textContent.trim() : null);
+    const parseCount = (text) => {
+        const match = text && text.replace(/,/g, '').match(/([\d.]+)\s*([KkMm])?/);
+        if (!match) return null;
+        const multiplier = match[2] ? (match[2].toLowerCase() === 'k' ? 1000 : 1000000) : 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    };
+
+    // The photo viewer puts post details in a side panel; permalinks use an article; fall back to main
+    const scope = document.querySelector('[role="dialog"] [role="complementary"]') ||
+        document.querySelector('[role="complementary"]') ||
+        document.querySelector('[role="article"]') ||
+        document.querySelector('[role="main"]') ||
+        document.body;
+
+    const caption = textOf(scope.querySelector('[data-ad-preview="message"], [data-ad-comet-preview="message"]')) ||
+        textOf(scope.querySelector('div[dir="auto"][style*="text-align"]'));
+
+    const uploaderElement = scope.querySelector('h2 a[href], h3 a[href], strong > a[href], a[role="link"] > strong');
+    const uploaderLink = uploaderElement ? uploaderElement.closest('a') : null;
+    const uploader = uploaderElement ? { name: textOf(uploaderElement), url: uploaderLink ? uploaderLink.href.split('?')[0] : null } : null;
+
+    // "X is with Y and Z." headers link every tagged person after the uploader
+    const taggedPeople = [];
+    const headerElement = uploaderElement ? uploaderElement.closest('h2, h3') : null;
+    if (headerElement && / with /i.test(headerElement.textContent)) {
+        headerElement.querySelectorAll('a[href]').forEach(link => {
+            const name = textOf(link);
+            if (name && (!uploader || name !== uploader.name) && !taggedPeople.includes(name)) taggedPeople.push(name);
+        });
+    }
+    document.querySelectorAll('[data-testid="photo_tag"], a[href*="/photo/tag"]').forEach(tag => {
+        const name = textOf(tag);
+        if (name && !taggedPeople.includes(name)) taggedPeople.push(name);
+    });
+
+    let uploadDate = null;
+    let uploadDateText = null;
+    const utimeElement = scope.querySelector('abbr[data-utime]');
+    const timeElement = scope.querySelector('time[datetime]');
+    if (utimeElement) {
+        uploadDate = new Date(parseInt(utimeElement.dataset.utime, 10) * 1000).toISOString();
+    } else if (timeElement) {
+        uploadDate = new Date(timeElement.getAttribute('datetime')).toISOString();
+    } else {
+        // Newer layouts only show a relative or long-form date in the timestamp link
+        const timestampLink = scope.querySelector('a[href*="/posts/"] span, a[href*="/photo"][aria-label], a[href*="story_fbid"] span');
+        uploadDateText = timestampLink ? (timestampLink.getAttribute('aria-label') || textOf(timestampLink)) : null;
+        const parsed = uploadDateText ? Date.parse(uploadDateText) : NaN;
+        if (!isNaN(parsed)) uploadDate = new Date(parsed).toISOString();
+    }
+
+    const locationLink = scope.querySelector('a[href*="/places/"], a[href*="/pages/"][href*="location"], [data-testid="location"]');
+
+    let reactionCount = null;
+    let commentCount = null;
+    for (const el of scope.querySelectorAll('span, div[aria-label]')) {
+        const label = el.getAttribute('aria-label') || '';
+        const text = el.childElementCount === 0 ? el.textContent.trim() : '';
+        if (reactionCount === null && /reactions?/i.test(label)) reactionCount = parseCount(label);
+        if (reactionCount === null && /^All reactions:/i.test(text)) reactionCount = parseCount(text);
+        if (commentCount === null && /^[\d.,]+[KkMm]?\s+comments?$/i.test(text)) commentCount = parseCount(text);
+        if (reactionCount !== null && commentCount !== null) break;
+    }
+
+    const viewerImage = document.querySelector('img[data-imgperflogname="media_viewer_image"]');
+    const canonical = document.querySelector('link[rel="canonical"], meta[property="og:url"]');
+
+    return {
+        caption,
+        uploadDate,
+        uploadDateText,
+        uploader,
+        location: textOf(locationLink),
+        taggedPeople,
+        reactionCount,
+        commentCount,
+        permalink: canonical ? (canonical.href || canonical.getAttribute('content')) : window.location.href,
+        altText: viewerImage ? viewerImage.alt || '' : ''
+    };
+}
+
+/**
+ * Captures metadata for the post or photo currently shown in a tab.
+ * Used for the post and single-photo paths, and per photo during the media viewer walk.
+ * @param {number} tabId
+ * @returns {Promise<object|null>} See scrapePageMetadata, or null if the page could not be read.
+ */
+export async function capturePageMetadata(tabId) {
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: scrapePageMetadata
+        });
+        return results && results[0] ? results[0].result : null;
+    } catch (error) {
+        console.warn(`[API] Could not capture page metadata in tab ${tabId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Navigates a tab and waits until it reports a completed load (or the timeout passes).
+ * Polls instead of listening to tabs.onUpdated so a load that finishes before we start
+ * waiting is not missed.
+ * @param {number} tabId
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @returns {Promise<void>}
+ */
+async function navigateAndWait(tabId, url, timeoutMs) {
+    await chrome.tabs.update(tabId, { url });
+    const deadline = Date.now() + timeoutMs;
+    await new Promise(resolve => setTimeout(resolve, 300));
+    while (Date.now() < deadline) {
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.status === 'complete') return;
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    console.warn(`[API] Tab ${tabId} did not finish loading ${url} within ${timeoutMs}ms.`);
+}
+
+/**
+ * "Maximum quality" mode: opens every photo in the media viewer of a background tab and
+ * records the largest source it renders. Grid tiles are thumbnails, and stripping size
+ * segments from their URLs does not reliably yield the original.
+ * Photos without a numeric fbid (no permalink) and video/audio items keep their existing URL.
+ * @param {Array<{id: string, url: string, originalName: string}>} photos Photos to upgrade.
+ * @param {number} tabId The tab the job was started from; the viewer tab opens next to it.
+ * @param {object} [walkOptions]
+ * @param {number} [walkOptions.delay] Milliseconds to wait between photos (the configured download delay).
+ * @param {Object<string, {url: string, width: number, height: number}>} [walkOptions.resolved] Results of an
+ *   earlier, interrupted walk keyed by photo ID; these photos are not opened again.
+ * @param {function(string, {url: string, width: number, height: number}): void} [walkOptions.onResolved]
+ *   Called as soon as a photo is resolved, so the caller can persist progress for resuming.
+ * @param {function(number, number): void} [walkOptions.onProgress] Called with (done, total).
+ * @param {function(): boolean} [walkOptions.isCancelled] Polled before each photo.
+ * @param {boolean} [walkOptions.captureMetadata] Also read each photo's caption, date, tags etc. from the viewer page.
+ * @param {boolean} [walkOptions.keepUrls] Only read the metadata; every photo keeps its URL (maximum quality off).
+ * @returns {Promise<Array<{id: string, url: string, originalName: string}>>} The photos with upgraded URLs.
+ */
+export async function resolveFullResolutionPhotos(photos, tabId, walkOptions = {}) {
+    const { delay = 500, resolved = {}, onResolved, onProgress, isCancelled, captureMetadata = false, keepUrls = false } = walkOptions;
+    let viewerTabId = null;
+    const upgraded = [];
+    const applyRecord = (photo, record) => ({
+        ...photo,
+        url: keepUrls ? photo.url : record.url,
+        ...(record.metadata ? { metadata: { ...photo.metadata, ...record.metadata } } : {})
+    });
+
+    try {
+        for (let i = 0; i < photos.length; i++) {
+            const photo = photos[i];
+            if (isCancelled && isCancelled()) {
+                upgraded.push(...photos.slice(i));
+                break;
+            }
+
+            const previous = resolved[photo.id];
+            if (previous) {
+                upgraded.push(applyRecord(photo, previous));
+            } else if ((photo.mediaType && photo.mediaType !== 'photo') || !/^\d+$/.test(String(photo.id))) {
+                upgraded.push(photo);
+            } else {
+                if (viewerTabId === null) {
+                    viewerTabId = await openViewerTab(tabId);
+                }
+                if (!await acquireRequestSlot(isCancelled)) {
+                    upgraded.push(...photos.slice(i));
+                    break;
+                }
+                await navigateAndWait(viewerTabId, `${PHOTO_PERMALINK_BASE}${photo.id}`, VIEWER_LOAD_TIMEOUT);
+                const viewerTab = await chrome.tabs.get(viewerTabId);
+                if (isCheckpointUrl(viewerTab.url)) {
+                    // Opening more photos now would only make it worse; the rest keep their grid URLs
+                    reportThrottleSignal(THROTTLE_SIGNALS.CHECKPOINT, viewerTab.url);
+                    upgraded.push(...photos.slice(i));
+                    break;
+                }
+
+                const best = await sampleViewerImage(photo.id, viewerTabId);
+
+                if (best) {
+                    reportRequestSuccess();
+                    const record = { url: best.url, width: best.width, height: best.height };
+                    if (captureMetadata) {
+                        const pageMetadata = await capturePageMetadata(viewerTabId);
+                        if (pageMetadata) record.metadata = { ...pageMetadata, permalink: `${PHOTO_PERMALINK_BASE}${photo.id}` };
+                    }
+                    if (onResolved) onResolved(photo.id, record);
+                    upgraded.push(applyRecord(photo, record));
+                } else {
+                    reportThrottleSignal(THROTTLE_SIGNALS.EMPTY_SCRAPE, `media viewer for ${photo.id}`);
+                    console.warn(`[API] Media viewer walk found no image for ${photo.id}; keeping grid URL.`);
+                    upgraded.push(photo);
+                }
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            if (onProgress) onProgress(i + 1, photos.length);
+        }
+    } finally {
+        if (viewerTabId !== null) {
+            chrome.tabs.remove(viewerTabId).catch(err => console.warn("[API] Could not close viewer tab:", err.message));
+        }
+    }
+
+    return upgraded;
+}
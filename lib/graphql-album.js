@@ -0,0 +1,177 @@
+// Request building and response parsing for Facebook's album GraphQL pagination.
+// Kept free of chrome.* APIs so it can be exercised against recorded responses:
+// pass a `transport` that POSTs to a local stub instead of the page.
+// WARNING: The persisted query (doc_id) and response shape change without notice.
+// Callers are expected to fall back to DOM scraping when these functions throw.
+
+export const ALBUM_QUERY_FRIENDLY_NAME = "CometAlbumPhotoCollagePaginationQuery";
+export const DEFAULT_ALBUM_DOC_ID = "6684543058255697"; // Last known doc_id for the query above
+const DEFAULT_PAGE_SIZE = 28;
+const MAX_PAGES = 200; // ~5600 photos; guards against a cursor that never advances
+
+// Why fetchAllAlbumPhotos stopped before the last page
+export const STOP_REASONS = {
+    CANCELLED: 'cancelled',
+    PAGE_LIMIT: 'page_limit',
+    ERROR: 'error'
+};
+
+/**
+ * Builds the form-encoded POST body for one page of an album query.
+ * @param {object} params
+ * @param {string} params.albumId The Facebook album ID (the number after `set=a.`).
+ * @param {string} params.fbDtsg The fb_dtsg token from the page.
+ * @param {string|null} [params.cursor] The end_cursor of the previous page, or null for the first page.
+ * @param {string} [params.docId] Persisted query ID; defaults to DEFAULT_ALBUM_DOC_ID.
+ * @param {number} [params.pageSize] Number of photos to request per page.
+ * @returns {string} The URL-encoded request body.
+ */
+export function buildAlbumQueryBody({ albumId, fbDtsg, cursor = null, docId = DEFAULT_ALBUM_DOC_ID, pageSize = DEFAULT_PAGE_SIZE }) {
+    const body = new URLSearchParams();
+    body.set('fb_dtsg', fbDtsg);
+    body.set('fb_api_caller_class', 'RelayModern');
+    body.set('fb_api_req_friendly_name', ALBUM_QUERY_FRIENDLY_NAME);
+    body.set('doc_id', docId);
+    body.set('server_timestamps', 'true');
+    body.set('__a', '1');
+    body.set('variables', JSON.stringify({ count: pageSize, cursor, id: albumId, scale: 1 }));
+    return body.toString();
+}
+
+/**
+ * Finds the first object in a GraphQL payload that looks like a paginated connection
+ * (has both `edges` and `page_info`). Searching instead of hard-coding the path keeps
+ * parsing working when Facebook wraps the connection in a different parent node.
+ * @param {*} value Any parsed JSON value.
+ * @returns {object|null} The connection object or null if none was found.
+ */
+function findConnection(value) {
+    if (!value || typeof value !== 'object') return null;
+    if (Array.isArray(value.edges) && value.page_info) return value;
+    for (const key of Object.keys(value)) {
+        const found = findConnection(value[key]);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Picks the largest image URI from a media node.
+ * @param {object} node A photo node from the connection edges.
+ * @returns {string|null}
+ */
+function pickLargestUri(node) {
+    const candidates = [node.image, node.viewer_image, node.photo_image, node.full_image, node.large_image]
+        .filter(img => img && img.uri);
+    if (candidates.length === 0) return null;
+    candidates.sort((a, b) => ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)));
+    return candidates[0].uri;
+}
+
+/**
+ * Parses one page of an album query response.
+ * Facebook may stream several JSON objects separated by newlines and prefix them with `for (;;);`.
+ * @param {string} responseText The raw response body.
+ * @returns {{photos: Array<{id: string, url: string, timestamp: number|null, caption: string|null, altText: string, ownerName: string|null, permalink: string|null}>, nextCursor: string|null, hasNextPage: boolean}}
+ * @throws {Error} If the payload carries GraphQL errors or no recognisable photo connection.
+ */
+export function parseAlbumQueryResponse(responseText) {
+    if (!responseText || typeof responseText !== 'string') {
+        throw new Error("Empty GraphQL response.");
+    }
+
+    const chunks = responseText.replace(/^for \(;;\);/, '').split('\n').filter(line => line.trim());
+    let connection = null;
+    for (const chunk of chunks) {
+        let payload;
+        try {
+            payload = JSON.parse(chunk);
+        } catch (e) {
+            continue; // Non-JSON keep-alive or trailer lines
+        }
+        if (payload.errors && payload.errors.length > 0 && !payload.data) {
+            throw new Error(`GraphQL error: ${payload.errors[0].message || 'unknown'}`);
+        }
+        connection = findConnection(payload.data);
+        if (connection) break;
+    }
+
+    if (!connection) {
+        throw new Error("GraphQL response did not contain a photo connection. The query shape may have changed.");
+    }
+
+    const photos = connection.edges
+        .map(edge => edge && edge.node)
+        .filter(node => node && node.id)
+        .map(node => ({
+            id: String(node.id),
+            url: pickLargestUri(node),
+            timestamp: node.created_time || node.creation_time || null,
+            caption: (node.message && node.message.text) || null,
+            altText: node.accessibility_caption || '',
+            ownerName: (node.owner && node.owner.name) || null,
+            permalink: node.url || null
+        }))
+        .filter(photo => photo.url);
+
+    const pageInfo = connection.page_info;
+    return {
+        photos,
+        nextCursor: pageInfo.end_cursor || null,
+        hasNextPage: Boolean(pageInfo.has_next_page && pageInfo.end_cursor)
+    };
+}
+
+/**
+ * Pages through an album with the GraphQL query until there are no more pages.
+ * @param {object} params
+ * @param {string} params.albumId The Facebook album ID.
+ * @param {string} params.fbDtsg The fb_dtsg token.
+ * @param {function(string): Promise<string>} params.transport POSTs a form body and resolves with the response text.
+ * @param {string} [params.docId] Persisted query ID override.
+ * @param {number} [params.pageDelay] Milliseconds to wait between page requests.
+ * @param {function(number): void} [params.onPage] Called with the running photo count after each page.
+ * @param {function(): boolean} [params.isCancelled] Polled before each page; returning true stops paging.
+ * @returns {Promise<{photos: Array<{id: string, url: string, timestamp: number|null}>, complete: boolean,
+ *   stopReason: string|null, error: Error|null}>} Photos as returned by parseAlbumQueryResponse. When paging stopped
+ *   early, `complete` is false and `stopReason` is one of STOP_REASONS (`error` holds the failure of a later page);
+ *   the photos of the pages fetched until then are kept.
+ * @throws {Error} If the first page cannot be fetched or parsed, or yields no photos.
+ */
+export async function fetchAllAlbumPhotos({ albumId, fbDtsg, transport, docId, pageDelay = 0, onPage, isCancelled }) {
+    const photos = [];
+    const seenIds = new Set();
+    let cursor = null;
+    const stop = (stopReason, error = null) => ({ photos, complete: false, stopReason, error });
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+        if (isCancelled && isCancelled()) return stop(STOP_REASONS.CANCELLED);
+
+        let result;
+        try {
+            const responseText = await transport(buildAlbumQueryBody({ albumId, fbDtsg, cursor, docId }));
+            result = parseAlbumQueryResponse(responseText);
+        } catch (error) {
+            if (page === 0) throw error;
+            return stop(STOP_REASONS.ERROR, error);
+        }
+        if (page === 0 && result.photos.length === 0) {
+            throw new Error("GraphQL album query returned no photos.");
+        }
+
+        for (const photo of result.photos) {
+            if (!seenIds.has(photo.id)) {
+                seenIds.add(photo.id);
+                photos.push(photo);
+            }
+        }
+        if (onPage) onPage(photos.length);
+
+        if (!result.hasNextPage || result.nextCursor === cursor) return { photos, complete: true, stopReason: null, error: null };
+        cursor = result.nextCursor;
+        if (pageDelay > 0) await new Promise(resolve => setTimeout(resolve, pageDelay));
+    }
+
+    console.warn(`GraphQL album ${albumId}: stopped at the limit of ${MAX_PAGES} pages with ${photos.length} photos.`);
+    return stop(STOP_REASONS.PAGE_LIMIT);
+}
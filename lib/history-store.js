@@ -0,0 +1,246 @@
+// IndexedDB download history. Replaces the `downloadedFileIds` array in chrome.storage.local, which had
+// to be rewritten in full after every photo. There is one record per photo and job, keyed by
+// [photoId, jobId], so retrying a failed photo in the same job updates its record while downloading it
+// again later adds a new one. Used by the service worker and by the history page (history/history.html).
+// Saved photos also carry the SHA-256 of their content, indexed for the duplicate check (dedupeByContent),
+// so deleting an entry lets identical content be saved again too.
+
+const DB_NAME = 'fb-photo-downloader-history';
+const DB_VERSION = 2;
+const HISTORY_STORE = 'history';
+
+export const HISTORY_STATUS = {
+    DOWNLOADED: 'downloaded',
+    DUPLICATE: 'duplicate', // Skipped because identical content was already saved
+    FAILED: 'failed'
+};
+
+// Job ID for entries imported from the old downloadedFileIds list, which had no details
+export const IMPORTED_JOB_ID = 'imported';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                    const store = db.createObjectStore(HISTORY_STORE, { keyPath: ['photoId', 'jobId'] });
+                    store.createIndex('photoId', 'photoId');
+                    store.createIndex('album', 'album');
+                    store.createIndex('savedAt', 'savedAt');
+                }
+                // Version 2: entries without a hash are simply left out of this index
+                const store = request.transaction.objectStore(HISTORY_STORE);
+                if (!store.indexNames.contains('contentHash')) store.createIndex('contentHash', 'contentHash');
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version (opened by the history page or an updated worker) upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                dbPromise = null; // Allow a later call to try again
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted."));
+    });
+}
+
+/**
+ * Adds or replaces history entries.
+ * @param {Array<{photoId: string, jobId: string, status: string, savedAt: number, url?: string, path?: string,
+ *   album?: string, albumId?: string|null, mediaType?: string, contentHash?: string, error?: string}>} entries
+ * @returns {Promise<void>}
+ */
+export async function putHistoryEntries(entries) {
+    if (entries.length === 0) return;
+    const db = await openDatabase();
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    for (const entry of entries) store.put(entry);
+    return transactionDone(transaction);
+}
+
+/**
+ * Finds which of the given photos were saved before (or skipped as duplicates of a saved photo).
+ * @param {Array<string>} photoIds
+ * @returns {Promise<Set<string>>} The IDs that don't need downloading again.
+ */
+export async function getDownloadedPhotoIds(photoIds) {
+    const db = await openDatabase();
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('photoId');
+    const lookups = photoIds.map(photoId => requestToPromise(index.getAll(photoId)).then(entries =>
+        entries.some(entry => entry.status !== HISTORY_STATUS.FAILED) ? photoId : null));
+    return new Set((await Promise.all(lookups)).filter(Boolean));
+}
+
+/**
+ * Looks up a saved file with the given content.
+ * @param {string} contentHash - SHA-256 of the photo bytes as fetched.
+ * @returns {Promise<{photoId: string, path: string|null, savedAt: string|null}|null>} The earlier copy, or null.
+ */
+export async function findSavedContent(contentHash) {
+    const db = await openDatabase();
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('contentHash');
+    const entries = await requestToPromise(index.getAll(contentHash));
+    const saved = entries.find(entry => entry.status === HISTORY_STATUS.DOWNLOADED);
+    if (!saved) return null;
+    return { photoId: saved.photoId, path: saved.path || null, savedAt: saved.savedAt ? new Date(saved.savedAt).toISOString() : null };
+}
+
+/**
+ * Searches the history, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.text] - Matched case-insensitively against photo ID, path, URL and album.
+ * @param {string} [filters.album] - Exact album name.
+ * @param {string} [filters.albumId] - Only entries of this album; entries written before album IDs were kept have none.
+ * @param {string} [filters.status] - One of HISTORY_STATUS.
+ * @param {string} [filters.jobId] - Only entries written by this download job.
+ * @param {number} [filters.from] - Earliest savedAt (inclusive), in milliseconds.
+ * @param {number} [filters.to] - Latest savedAt (inclusive), in milliseconds.
+ * @param {number} [filters.offset] - Matching entries to skip, for paging.
+ * @param {number} [filters.limit] - Most entries to return; all when omitted.
+ * @returns {Promise<{entries: Array<object>, total: number}>} `total` counts every match, not just the returned page.
+ */
+export async function queryHistory({ text = '', album = '', albumId = '', status = '', jobId = '', from = null, to = null, offset = 0, limit = Infinity } = {}) {
+    const db = await openDatabase();
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('savedAt');
+    const range = from !== null || to !== null
+        ? IDBKeyRange.bound(from !== null ? from : 0, to !== null ? to : Number.MAX_SAFE_INTEGER)
+        : null;
+    const needle = text.trim().toLowerCase();
+    const entries = [];
+    let total = 0;
+
+    return new Promise((resolve, reject) => {
+        const request = index.openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ entries, total });
+                return;
+            }
+            const entry = cursor.value;
+            const matches = (!album || entry.album === album) &&
+                (!albumId || entry.albumId === albumId) &&
+                (!status || entry.status === status) &&
+                (!jobId || entry.jobId === jobId) &&
+                (!needle || [entry.photoId, entry.path, entry.url, entry.album].some(value => value && String(value).toLowerCase().includes(needle)));
+            if (matches) {
+                if (total >= offset && entries.length < limit) entries.push(entry);
+                total++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @returns {Promise<Array<string>>} Every album name in the history, sorted.
+ */
+export async function getHistoryAlbums() {
+    const db = await openDatabase();
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('album');
+    const albums = [];
+    return new Promise((resolve, reject) => {
+        const request = index.openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(albums);
+                return;
+            }
+            albums.push(cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Removes history entries, so their photos are downloaded again next time.
+ * @param {Array<[string, string]>} keys - [photoId, jobId] of each entry.
+ * @returns {Promise<Array<object>>} The entries that were removed.
+ */
+export async function deleteHistoryEntries(keys) {
+    const db = await openDatabase();
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    const removed = [];
+    for (const key of keys) {
+        const request = store.get(key);
+        request.onsuccess = () => {
+            if (!request.result) return;
+            removed.push(request.result);
+            store.delete(key);
+        };
+    }
+    await transactionDone(transaction);
+    return removed;
+}
+
+/**
+ * Imports photo IDs from the old downloadedFileIds list. Their path, album and date are unknown.
+ * @param {Array<string>} photoIds
+ * @returns {Promise<void>}
+ */
+export function importLegacyHistory(photoIds) {
+    return putHistoryEntries(photoIds.map(photoId => ({
+        photoId,
+        jobId: IMPORTED_JOB_ID,
+        status: HISTORY_STATUS.DOWNLOADED,
+        savedAt: 0,
+        url: null,
+        path: null,
+        album: ''
+    })));
+}
+
+/**
+ * Imports the old contentHashIndex from chrome.storage.local, for hashes the history doesn't hold yet.
+ * @param {Object<string, {photoId: string, path?: string, savedAt?: string}>} hashIndex - Content hash -> saved file.
+ * @returns {Promise<number>} How many hashes were added.
+ */
+export async function importLegacyContentHashes(hashIndex) {
+    const missing = [];
+    for (const [contentHash, saved] of Object.entries(hashIndex)) {
+        if (saved && saved.photoId && !(await findSavedContent(contentHash))) {
+            missing.push({
+                photoId: saved.photoId,
+                jobId: IMPORTED_JOB_ID,
+                status: HISTORY_STATUS.DOWNLOADED,
+                savedAt: saved.savedAt ? Date.parse(saved.savedAt) || 0 : 0,
+                url: null,
+                path: saved.path || null,
+                album: '',
+                contentHash
+            });
+        }
+    }
+    await putHistoryEntries(missing);
+    return missing.length;
+}
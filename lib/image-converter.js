@@ -0,0 +1,85 @@
+// Image format conversion and resizing for the "Image Format" option.
+// Uses createImageBitmap and OffscreenCanvas, both of which are available in the
+// MV3 service worker, so no offscreen document is needed.
+
+export const IMAGE_FORMATS = {
+    jpg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    png: { mimeType: 'image/png', extension: 'png' },
+    webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+/**
+ * Replaces (or adds) the extension of a file name.
+ * @param {string} fileName - e.g. "001_photo.jpg" or "001".
+ * @param {string} extension - The new extension without the dot.
+ * @returns {string}
+ */
+export function replaceExtension(fileName, extension) {
+    const lastSlash = fileName.lastIndexOf('/');
+    const lastDot = fileName.lastIndexOf('.');
+    const stem = lastDot > lastSlash + 1 ? fileName.substring(0, lastDot) : fileName;
+    return `${stem}.${extension}`;
+}
+
+/**
+ * Tells whether an item needs to go through convertImage for the given options.
+ * @param {{imageFormat?: string, maxLongEdge?: number}} options
+ * @returns {boolean}
+ */
+export function needsConversion(options) {
+    return Boolean(IMAGE_FORMATS[options.imageFormat]) || (options.maxLongEdge || 0) > 0;
+}
+
+/**
+ * Decodes an image and re-encodes it in the requested format, optionally shrinking it.
+ * @param {Uint8Array} bytes - The original image bytes.
+ * @param {object} settings
+ * @param {string} settings.format - "jpg", "png", "webp", or "original" to keep the source format (resize only).
+ * @param {string} settings.sourceMimeType - MIME type of the original, used when the format is "original".
+ * @param {number} [settings.quality] - Encoder quality between 0 and 1 (ignored for PNG).
+ * @param {number} [settings.maxLongEdge] - Longest side in pixels; 0 keeps the original size. Never upscales.
+ * @returns {Promise<{bytes: Uint8Array, mimeType: string}>}
+ * @throws {Error} If the image cannot be decoded or encoded.
+ */
+export async function convertImage(bytes, { format, sourceMimeType, quality = 0.92, maxLongEdge = 0 }) {
+    const target = IMAGE_FORMATS[format] || { mimeType: sourceMimeType };
+    const bitmap = await createImageBitmap(new Blob([bytes], { type: sourceMimeType }));
+
+    try {
+        const longEdge = Math.max(bitmap.width, bitmap.height);
+        const scale = maxLongEdge > 0 && longEdge > maxLongEdge ? maxLongEdge / longEdge : 1;
+        if (scale === 1 && target.mimeType === sourceMimeType) {
+            return { bytes, mimeType: sourceMimeType }; // Nothing to do
+        }
+
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+        const canvas = new OffscreenCanvas(width, height);
+        const context = canvas.getContext('2d');
+        if (target.mimeType === 'image/jpeg') {
+            // JPEG has no alpha channel; transparent areas would otherwise turn black
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, width, height);
+
+        const blob = await canvas.convertToBlob({ type: target.mimeType, quality });
+        if (blob.type !== target.mimeType) {
+            throw new Error(`Browser cannot encode ${target.mimeType}`);
+        }
+        return { bytes: new Uint8Array(await blob.arrayBuffer()), mimeType: target.mimeType };
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Maps an image MIME type to the file extension used for saving it.
+ * @param {string} mimeType
+ * @returns {string|null} The extension without the dot, or null for unknown types.
+ */
+export function extensionForMimeType(mimeType) {
+    const known = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+    return known[(mimeType || '').split(';')[0].trim().toLowerCase()] || null;
+}
@@ -0,0 +1,180 @@
+// IndexedDB persistence for download jobs, so a job survives Chrome suspending the service worker.
+// A job record holds what all of its files share (name, options, counters); every queued file is
+// its own record keyed by [jobId, seq], so progress is saved one item at a time and the items of a
+// job come back in queue order.
+
+const DB_NAME = 'fb-photo-downloader';
+const DB_VERSION = 1;
+const JOB_STORE = 'jobs';
+const ITEM_STORE = 'jobItems';
+
+export const ITEM_STATUS = {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(JOB_STORE)) {
+                    db.createObjectStore(JOB_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(ITEM_STORE)) {
+                    db.createObjectStore(ITEM_STORE, { keyPath: ['jobId', 'seq'] });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null; // Allow a later call to try again
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted."));
+    });
+}
+
+function itemRange(jobId) {
+    return IDBKeyRange.bound([jobId, 0], [jobId, Number.MAX_SAFE_INTEGER]);
+}
+
+/**
+ * Stores a new job together with its queue.
+ * @param {object} job - Must have an `id`; everything else is stored as given.
+ * @param {Array<object>} items - Queue items; each must already carry `jobId` and a numeric `seq`.
+ * @returns {Promise<void>}
+ */
+export async function createJob(job, items) {
+    const db = await openDatabase();
+    const transaction = db.transaction([JOB_STORE, ITEM_STORE], 'readwrite');
+    transaction.objectStore(JOB_STORE).put(job);
+    const itemStore = transaction.objectStore(ITEM_STORE);
+    for (const item of items) {
+        itemStore.put({ status: ITEM_STATUS.PENDING, ...item });
+    }
+    return transactionDone(transaction);
+}
+
+/**
+ * Merges changes into a stored job.
+ * @param {string} jobId
+ * @param {object} changes
+ * @returns {Promise<object|null>} The updated job, or null if it no longer exists.
+ */
+export async function updateJob(jobId, changes) {
+    const db = await openDatabase();
+    const transaction = db.transaction(JOB_STORE, 'readwrite');
+    const store = transaction.objectStore(JOB_STORE);
+    const job = await requestToPromise(store.get(jobId));
+    if (!job) return null;
+    const updated = { ...job, ...changes };
+    store.put(updated);
+    await transactionDone(transaction);
+    return updated;
+}
+
+/**
+ * @returns {Promise<Array<object>>} All stored jobs, oldest first.
+ */
+export async function getJobs() {
+    const db = await openDatabase();
+    const jobs = await requestToPromise(db.transaction(JOB_STORE).objectStore(JOB_STORE).getAll());
+    return jobs.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Returns the items of a job that have not finished yet (pending, or active when the worker stopped), in queue order.
+ * @param {string} jobId
+ * @returns {Promise<Array<object>>}
+ */
+export async function getUnfinishedItems(jobId) {
+    const db = await openDatabase();
+    const items = await requestToPromise(db.transaction(ITEM_STORE).objectStore(ITEM_STORE).getAll(itemRange(jobId)));
+    return items.filter(item => item.status === ITEM_STATUS.PENDING || item.status === ITEM_STATUS.ACTIVE);
+}
+
+/**
+ * Returns the items of a job with the given status, in queue order.
+ * @param {string} jobId
+ * @param {string} status - One of ITEM_STATUS.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getItemsWithStatus(jobId, status) {
+    const db = await openDatabase();
+    const items = await requestToPromise(db.transaction(ITEM_STORE).objectStore(ITEM_STORE).getAll(itemRange(jobId)));
+    return items.filter(item => item.status === status);
+}
+
+/**
+ * Removes the items of a job that have the given status.
+ * @param {string} jobId
+ * @param {string} status - One of ITEM_STATUS.
+ * @returns {Promise<void>}
+ */
+export async function deleteItemsWithStatus(jobId, status) {
+    const db = await openDatabase();
+    const transaction = db.transaction(ITEM_STORE, 'readwrite');
+    const request = transaction.objectStore(ITEM_STORE).openCursor(itemRange(jobId));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (cursor.value.status === status) cursor.delete();
+        cursor.continue();
+    };
+    return transactionDone(transaction);
+}
+
+/**
+ * Sets the status of one or more items of a job.
+ * @param {string} jobId
+ * @param {Array<number>} seqs - The `seq` of each item to update.
+ * @param {string} status - One of ITEM_STATUS.
+ * @param {object} [changes] - Extra fields to store with the items, e.g. `downloadId` or `error`.
+ * @returns {Promise<void>}
+ */
+export async function setItemStatus(jobId, seqs, status, changes = {}) {
+    const db = await openDatabase();
+    const transaction = db.transaction(ITEM_STORE, 'readwrite');
+    const store = transaction.objectStore(ITEM_STORE);
+    for (const seq of seqs) {
+        const request = store.get([jobId, seq]);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, ...changes, status });
+        };
+    }
+    return transactionDone(transaction);
+}
+
+/**
+ * Removes a job and all of its items.
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function deleteJob(jobId) {
+    const db = await openDatabase();
+    const transaction = db.transaction([JOB_STORE, ITEM_STORE], 'readwrite');
+    transaction.objectStore(JOB_STORE).delete(jobId);
+    transaction.objectStore(ITEM_STORE).delete(itemRange(jobId));
+    return transactionDone(transaction);
+}
@@ -0,0 +1,137 @@
+// Stable photo keys shared by the content script and the background scrapers.
+// A key has to come out the same on every run for the same photo, otherwise
+// "skip already downloaded" can never match. In order of preference a key is:
+//   "<fbid>"       the numeric Facebook photo/video ID, e.g. "10158012345678901"
+//   "cdn_<asset>"  the asset name from the fbcdn path, identical for every size variant and CDN host
+//   "url_<hash>"   a hash of the URL with host, query string and size segments removed
+// The content script loads this file with a dynamic import(), so it must not import anything else.
+
+export const PHOTO_KEY_VERSION = 2;
+
+const FBID_HREF_PATTERNS = [
+    /[?&]fbid=(\d+)/,                              // /photo/?fbid=123, photo.php?fbid=123
+    /\/photos\/(?:[a-z]+\.[\d.-]+\/)?(\d+)/,       // /photos/a.456/123/, /photos/pcb.456/123/
+    /\/(?:videos|reel|reels)\/(?:[\w.-]+\/)?(\d+)/, // /videos/123/, /reel/123
+    /\/watch\/?\?(?:.*&)?v=(\d+)/                  // /watch/?v=123
+];
+
+// Facebook asset file names look like 448012345_1234567890123456_987654321098765432_n.jpg
+const CDN_ASSET_PATTERN = /^\d+_\d+_\d+_[a-z]$/;
+
+/**
+ * Extracts a numeric fbid from a Facebook photo, video or reel link.
+ * @param {string} href The link to inspect.
+ * @returns {string|null} The fbid, or null if the link is not a media permalink.
+ */
+export function extractFbidFromHref(href) {
+    if (!href || typeof href !== 'string') return null;
+    for (const pattern of FBID_HREF_PATTERNS) {
+        const match = href.match(pattern);
+        if (match && match[1]) return match[1];
+    }
+    return null;
+}
+
+/**
+ * Returns the fbcdn asset name (file name without extension) if the URL follows Facebook's asset naming.
+ * @param {string} urlString An fbcdn image or video URL.
+ * @returns {string|null}
+ */
+export function extractCdnAssetName(urlString) {
+    try {
+        const url = new URL(urlString);
+        if (!url.hostname.endsWith('fbcdn.net')) return null;
+        const fileName = url.pathname.split('/').pop() || '';
+        const stem = fileName.replace(/\.[a-z0-9]+$/i, '');
+        return CDN_ASSET_PATTERN.test(stem) ? stem : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Normalises a media URL so size variants and CDN edge hosts of the same file compare equal.
+ * @param {string} urlString
+ * @returns {string}
+ */
+export function normalizeMediaUrl(urlString) {
+    try {
+        const url = new URL(urlString);
+        const path = url.pathname
+            .replace(/\/[sp]\d+x\d+\//g, '/')        // /s640x480/ size segments
+            .replace(/_[a-z]?\d+x\d+(?=[_.])/g, ''); // _s640x480 size suffixes
+        // fbcdn edge hosts differ per region (scontent.fakl1-1.fna.fbcdn.net), so they are dropped
+        return url.hostname.endsWith('fbcdn.net') ? path : `${url.hostname}${path}`;
+    } catch (e) {
+        return String(urlString || '');
+    }
+}
+
+// cyrb53: a small, fast 53-bit string hash. Not cryptographic, only needs to be stable and well spread.
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Tells whether an ID already follows the stable key scheme.
+ * Numeric IDs may carry a lowercase suffix for companion files (e.g. "123_audio").
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isStablePhotoKey(id) {
+    if (!id || typeof id !== 'string') return false;
+    return /^\d+(_[a-z]+)?$/.test(id) || /^cdn_\S+$/.test(id) || /^url_[0-9a-z]+$/.test(id);
+}
+
+/**
+ * Resolves the stable key for a photo (or video) from whatever the scraper found.
+ * @param {object} photo
+ * @param {string} [photo.id] An ID the scraper already found; used if it is stable.
+ * @param {string} [photo.href] The permalink the tile links to.
+ * @param {string} [photo.url] The media URL.
+ * @returns {string} The stable key; never empty as long as a URL is given.
+ */
+export function resolvePhotoKey({ id, href, url } = {}) {
+    if (id !== undefined && id !== null && isStablePhotoKey(String(id))) return String(id);
+
+    const fbid = extractFbidFromHref(href);
+    if (fbid) return fbid;
+
+    const asset = url ? extractCdnAssetName(url) : null;
+    if (asset) return `cdn_${asset}`;
+
+    if (url) return `url_${hashString(normalizeMediaUrl(url))}`;
+    return `url_${hashString(String(id || ''))}`;
+}
+
+/**
+ * Migrates a stored list of downloaded IDs to the current key scheme.
+ * Numeric fbids are already valid keys. The old time- and index-based fallbacks
+ * ("scraped_<album>_<time>_<n>", "alt_<album>_<n>", "photo_<time>_<n>") and other
+ * unstable IDs can never match a future scrape, so they are dropped.
+ * @param {Array<string>} ids
+ * @returns {{ids: Array<string>, dropped: number}}
+ */
+export function migrateDownloadedIds(ids) {
+    const migrated = new Set();
+    let dropped = 0;
+    for (const rawId of ids || []) {
+        const id = String(rawId);
+        const fbid = isStablePhotoKey(id) ? id : extractFbidFromHref(id);
+        if (fbid) {
+            migrated.add(fbid);
+        } else {
+            dropped++;
+        }
+    }
+    return { ids: Array.from(migrated), dropped };
+}
@@ -0,0 +1,160 @@
+// Adaptive token-bucket limiter for every request that reaches Facebook: album scrolling, GraphQL pages,
+// media-viewer visits and the download queue all take a token first. One instance serves the whole
+// service worker, so scraping and downloading slow down together when Facebook pushes back.
+// Throttling signals (HTTP 429, a checkpoint page, scrapes that come back empty) halve the rate and
+// pause all requests for a cooldown that grows with every signal in a row; afterwards the rate climbs
+// back a little with each successful request.
+
+const STORAGE_KEY = 'rateLimiter';
+const MIN_REQUESTS_PER_MINUTE = 2;
+const BASE_COOLDOWN = 30 * 1000;
+const MAX_COOLDOWN = 10 * 60 * 1000;
+const RAMP_UP_AFTER = 60 * 1000; // Quiet time after a signal before the rate starts climbing again
+const RAMP_UP_STEP = 0.02; // Share of the configured rate regained per successful request
+const POLL_INTERVAL = 1000; // Longest single wait, so cancelled callers are noticed quickly
+
+export const THROTTLE_SIGNALS = {
+    TOO_MANY_REQUESTS: 'http_429',
+    CHECKPOINT: 'checkpoint',
+    EMPTY_SCRAPE: 'empty_scrape'
+};
+
+const SIGNAL_LABELS = {
+    [THROTTLE_SIGNALS.TOO_MANY_REQUESTS]: "Facebook reported too many requests",
+    [THROTTLE_SIGNALS.CHECKPOINT]: "Facebook showed a security checkpoint",
+    [THROTTLE_SIGNALS.EMPTY_SCRAPE]: "Facebook returned an empty page"
+};
+
+let config = { requestsPerMinute: 120, burst: 3 };
+let tokens = config.burst;
+let lastRefill = Date.now();
+// The part that is persisted, so a restarted worker doesn't go straight back to full speed
+let state = { requestsPerMinute: config.requestsPerMinute, cooldownUntil: 0, strikes: 0, lastSignal: null, lastSignalAt: 0 };
+const listeners = new Set();
+
+const stateLoaded = chrome.storage.local.get({ [STORAGE_KEY]: null }).then((result) => {
+    const saved = result[STORAGE_KEY];
+    if (saved) state = { ...state, ...saved, requestsPerMinute: Math.min(saved.requestsPerMinute, config.requestsPerMinute) };
+}).catch(error => console.warn("[RateLimiter] Could not load saved state:", error));
+
+function saveState() {
+    chrome.storage.local.set({ [STORAGE_KEY]: state })
+        .catch(error => console.warn("[RateLimiter] Could not save state:", error));
+}
+
+function notifyListeners() {
+    const snapshot = getRateLimiterState();
+    listeners.forEach(listener => listener(snapshot));
+}
+
+function refill() {
+    const now = Date.now();
+    tokens = Math.min(config.burst, tokens + ((now - lastRefill) / 60000) * state.requestsPerMinute);
+    lastRefill = now;
+}
+
+/**
+ * Sets the ceiling the limiter ramps back up to.
+ * @param {object} settings
+ * @param {number} settings.requestsPerMinute - Highest sustained request rate.
+ * @param {number} [settings.burst] - Requests allowed back to back after an idle period.
+ */
+export function configureRateLimiter({ requestsPerMinute, burst }) {
+    refill();
+    const wasAtCeiling = state.requestsPerMinute >= config.requestsPerMinute;
+    config = {
+        requestsPerMinute: Math.max(MIN_REQUESTS_PER_MINUTE, requestsPerMinute || config.requestsPerMinute),
+        burst: Math.max(1, burst || config.burst)
+    };
+    if (wasAtCeiling || state.requestsPerMinute > config.requestsPerMinute) {
+        state.requestsPerMinute = config.requestsPerMinute;
+    }
+    tokens = Math.min(tokens, config.burst);
+    notifyListeners();
+}
+
+/**
+ * Waits until a request may be sent and takes a token for it.
+ * @param {function(): boolean} [isCancelled] - Polled while waiting; returning true gives up.
+ * @returns {Promise<boolean>} False if the caller cancelled while waiting.
+ */
+export async function acquireRequestSlot(isCancelled) {
+    await stateLoaded;
+    for (;;) {
+        if (isCancelled && isCancelled()) return false;
+        refill();
+        const now = Date.now();
+        if (now >= state.cooldownUntil && tokens >= 1) {
+            tokens -= 1;
+            return true;
+        }
+        const wait = now < state.cooldownUntil
+            ? state.cooldownUntil - now
+            : ((1 - tokens) / state.requestsPerMinute) * 60000;
+        await new Promise(resolve => setTimeout(resolve, Math.max(10, Math.min(wait, POLL_INTERVAL))));
+    }
+}
+
+/**
+ * Reports that Facebook is pushing back: halves the rate and pauses all requests for a while.
+ * @param {string} signal - One of THROTTLE_SIGNALS.
+ * @param {string} [detail] - Where it happened, for the log.
+ */
+export function reportThrottleSignal(signal, detail) {
+    const now = Date.now();
+    // Parallel requests usually fail together; count them as one signal
+    if (now < state.cooldownUntil && signal === state.lastSignal) return;
+    state.strikes++;
+    state.requestsPerMinute = Math.max(MIN_REQUESTS_PER_MINUTE, state.requestsPerMinute / 2);
+    state.cooldownUntil = now + Math.min(MAX_COOLDOWN, BASE_COOLDOWN * Math.pow(2, state.strikes - 1));
+    state.lastSignal = signal;
+    state.lastSignalAt = now;
+    tokens = 0;
+    console.warn(`[RateLimiter] ${SIGNAL_LABELS[signal] || signal}${detail ? ` (${detail})` : ''}; ` +
+        `slowing to ${Math.round(state.requestsPerMinute)} requests/min after a ${Math.round((state.cooldownUntil - now) / 1000)}s pause.`);
+    saveState();
+    notifyListeners();
+}
+
+/**
+ * Reports a request that went through. Once things have been quiet for a while the rate climbs back
+ * towards the configured ceiling, slowly enough that a recovering account isn't hit again at full speed.
+ */
+export function reportRequestSuccess() {
+    if (state.requestsPerMinute >= config.requestsPerMinute) return;
+    if (Date.now() - state.lastSignalAt < RAMP_UP_AFTER) return;
+    state.requestsPerMinute = Math.min(config.requestsPerMinute, state.requestsPerMinute + config.requestsPerMinute * RAMP_UP_STEP);
+    if (state.requestsPerMinute >= config.requestsPerMinute) {
+        state.strikes = 0;
+        console.log("[RateLimiter] Back at full speed.");
+        saveState();
+    }
+    notifyListeners();
+}
+
+/**
+ * @returns {{requestsPerMinute: number, maxRequestsPerMinute: number, coolingDown: boolean, cooldownUntil: number,
+ *   strikes: number, lastSignal: string|null, lastSignalLabel: string|null, lastSignalAt: number}}
+ */
+export function getRateLimiterState() {
+    return {
+        requestsPerMinute: Math.round(state.requestsPerMinute),
+        maxRequestsPerMinute: config.requestsPerMinute,
+        coolingDown: Date.now() < state.cooldownUntil,
+        cooldownUntil: state.cooldownUntil,
+        strikes: state.strikes,
+        lastSignal: state.lastSignal,
+        lastSignalLabel: state.lastSignal ? SIGNAL_LABELS[state.lastSignal] || state.lastSignal : null,
+        lastSignalAt: state.lastSignalAt
+    };
+}
+
+/**
+ * Calls the listener with the new state whenever the rate or cooldown changes.
+ * @param {function(object): void} listener - Receives the same object as getRateLimiterState().
+ * @returns {function(): void} Removes the listener.
+ */
+export function onRateLimiterChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,113 @@
+// Album subscriptions: albums that are synced on a schedule, so only photos added since the last
+// sync are downloaded, into the folder the album was saved to before. Stored in chrome.storage.local
+// under one key; writes are chained so concurrent updates from parallel syncs don't overwrite each other.
+
+const STORAGE_KEY = 'albumSubscriptions';
+
+export const SYNC_STATES = {
+    NEVER: 'never',         // Subscribed, not synced yet
+    QUEUED: 'queued',       // Waiting for a job slot
+    SYNCING: 'syncing',
+    OK: 'ok',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+let writeChain = Promise.resolve();
+
+async function readAll() {
+    const result = await chrome.storage.local.get({ [STORAGE_KEY]: {} });
+    return result[STORAGE_KEY];
+}
+
+function modify(change) {
+    const write = writeChain.then(async () => {
+        const subscriptions = await readAll();
+        const result = change(subscriptions);
+        await chrome.storage.local.set({ [STORAGE_KEY]: subscriptions });
+        return result;
+    });
+    writeChain = write.catch(() => {}); // One failed write must not block the next
+    return write;
+}
+
+/**
+ * @returns {Promise<Array<object>>} All subscriptions, oldest first.
+ */
+export async function getSubscriptions() {
+    await writeChain;
+    return Object.values(await readAll()).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * @param {string} albumId
+ * @returns {Promise<object|null>}
+ */
+export async function getSubscription(albumId) {
+    await writeChain;
+    return (await readAll())[albumId] || null;
+}
+
+/**
+ * Subscribes to an album, or updates the name and link of an existing subscription.
+ * @param {{albumId: string, albumName: string, albumUrl: string, folderName: string, groupName?: string, specialAlbum?: string}} album
+ *   `folderName` is where synced photos are saved; it is fixed at subscription time. `groupName` is set
+ *   for group albums, `specialAlbum` for albums such as Profile Pictures ('profile_pictures').
+ * @returns {Promise<object>} The stored subscription.
+ */
+export function addSubscription({ albumId, albumName, albumUrl, folderName, groupName = null, specialAlbum = null }) {
+    return modify((subscriptions) => {
+        const existing = subscriptions[albumId];
+        subscriptions[albumId] = existing
+            ? { ...existing, albumName, albumUrl, groupName, specialAlbum }
+            : {
+                albumId,
+                albumName,
+                albumUrl,
+                folderName,
+                groupName,
+                specialAlbum,
+                createdAt: Date.now(),
+                lastSyncAt: 0, // When the last sync finished, successful or not
+                lastStatus: { state: SYNC_STATES.NEVER, added: 0, failed: 0, message: null, at: 0 }
+            };
+        return subscriptions[albumId];
+    });
+}
+
+/**
+ * Merges changes into a subscription.
+ * @param {string} albumId
+ * @param {object} changes
+ * @returns {Promise<object|null>} The updated subscription, or null if it was removed meanwhile.
+ */
+export function updateSubscription(albumId, changes) {
+    return modify((subscriptions) => {
+        if (!subscriptions[albumId]) return null;
+        subscriptions[albumId] = { ...subscriptions[albumId], ...changes };
+        return subscriptions[albumId];
+    });
+}
+
+/**
+ * @param {string} albumId
+ * @returns {Promise<boolean>} Whether there was a subscription to remove.
+ */
+export function removeSubscription(albumId) {
+    return modify((subscriptions) => {
+        const existed = !!subscriptions[albumId];
+        delete subscriptions[albumId];
+        return existed;
+    });
+}
+
+/**
+ * @param {object} subscription
+ * @param {number} intervalMs - Time between syncs.
+ * @param {number} [now]
+ * @returns {boolean} Whether the last sync finished long enough ago. Whether one is running right now
+ *   is up to the caller, which knows the jobs.
+ */
+export function isSyncDue(subscription, intervalMs, now = Date.now()) {
+    return now - subscription.lastSyncAt >= intervalMs;
+}
@@ -1,3 +1,5 @@
+import { extractCdnAssetName } from './photo-id.js';
+
 /**
  * Sanitizes a filename by removing or replacing invalid characters.
  * @param {string} filename - The original filename.
@@ -84,11 +86,12 @@ export function getOriginalNameFromUrl(urlString) {
         // If filename is still generic or seems like a hash without extension
         if (filename.length > 70 || !filename.includes('.') || filename.startsWith('ATL') || /^[a-f0-9_]+$/.test(filename.split('.')[0])) {
             const searchParams = new URLSearchParams(url.search);
-            // Try to get a more descriptive name from 'oe' or '_nc_ht' hash if present
-            // These are often part of FB CDN urls and can be more unique than a generic "scontent.jpg"
-            let potentialName = searchParams.get('oe') ||
-                (searchParams.get('_nc_ht') ? searchParams.get('_nc_ht').split('-')[1] : null) || // e.g. _nc_ht=scontent.fsub6-1
-                searchParams.get('oh'); // Last resort CDN hash
+            // Try to get a more descriptive name from the '_nc_ht' hash if present
+            // These are often part of FB CDN urls and can be more unique than a generic "scontent.jpg".
+            // 'oe' and 'oh' are not used: they are the link's expiry time and signature, and change whenever
+            // the URL is refreshed. The CDN asset name stays the same for the file.
+            let potentialName = (searchParams.get('_nc_ht') ? searchParams.get('_nc_ht').split('-')[1] : null) || // e.g. _nc_ht=scontent.fsub6-1
+                extractCdnAssetName(urlString); // Last resort: e.g. 411111111_1111111111111111_1111111111111111111_n
 
             if (potentialName) {
                 // Attempt to determine extension from blob or mime type if possible, else default
@@ -111,4 +114,30 @@ export function getOriginalNameFromUrl(urlString) {
         console.warn("Could not parse URL for filename:", urlString, error);
         return `photo_${Date.now()}.jpg`; // Fallback
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Reads when a signed fbcdn URL stops working. The `oe` parameter is the expiry as a
+ * Unix timestamp in hex (e.g. oe=6650A3F4); `oh` is the signature over it.
+ * @param {string} urlString - A CDN URL.
+ * @returns {number|null} Expiry in milliseconds since the epoch, or null if the URL has none.
+ */
+export function getUrlExpiry(urlString) {
+    try {
+        const oe = new URL(urlString).searchParams.get('oe');
+        if (!oe || !/^[0-9a-f]{1,8}$/i.test(oe)) return null;
+        return parseInt(oe, 16) * 1000;
+    } catch (error) {
+        return null; // Not a URL (e.g. a data URL fragment); nothing expires
+    }
+}
+
+/**
+ * Computes the SHA-256 digest of some bytes.
+ * @param {Uint8Array} bytes - The data to hash.
+ * @returns {Promise<string>} The digest as a lowercase hex string.
+ */
+export async function sha256Hex(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
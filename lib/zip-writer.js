@@ -0,0 +1,166 @@
+// Minimal ZIP archive writer for the "archive" output mode.
+// Entries are stored as-is, or deflated with CompressionStream when that makes them smaller.
+// No ZIP64 support: callers split archives well below the 4 GB / 65535 entry limits.
+// File names are written as UTF-8 (general purpose flag bit 11).
+
+export const MAX_ZIP_ENTRIES = 65535;
+export const MAX_ZIP_BYTES = 0xFFFFFFFF;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 (IEEE) checksum ZIP uses for entry data.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2-second resolution, years from 1980).
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Appends " (n)" before the extension until the name is unused, like the browser does for downloads.
+function uniqueEntryName(name, usedNames) {
+    if (!usedNames.has(name)) return name;
+    const dot = name.lastIndexOf('.');
+    const slash = name.lastIndexOf('/');
+    const hasExtension = dot > slash + 1;
+    const stem = hasExtension ? name.substring(0, dot) : name;
+    const extension = hasExtension ? name.substring(dot) : '';
+    for (let n = 1; ; n++) {
+        const candidate = `${stem} (${n})${extension}`;
+        if (!usedNames.has(candidate)) return candidate;
+    }
+}
+
+/**
+ * Creates an in-memory ZIP writer. Entry data is kept as separate chunks, and finish() hands them
+ * to a Blob, so neither adding a file nor finishing copies the archive into one large array.
+ * @returns {{
+ *   addFile: function(string, Uint8Array, {date?: Date, deflate?: boolean}=): Promise<string>,
+ *   finish: function(): Blob,
+ *   readonly size: number,
+ *   readonly entryCount: number
+ * }} `addFile` resolves with the entry name actually used (made unique if needed);
+ *    `size` is the archive size if it were finished now.
+ */
+export function createZipWriter() {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const centralEntries = [];
+    const usedNames = new Set();
+    let offset = 0;
+    let centralDirectorySize = 0;
+
+    async function addFile(name, bytes, { date = new Date(), deflate = false } = {}) {
+        if (centralEntries.length >= MAX_ZIP_ENTRIES) throw new Error("ZIP entry limit reached.");
+
+        const entryName = uniqueEntryName(name, usedNames);
+        const nameBytes = encoder.encode(entryName);
+        const checksum = crc32(bytes);
+        let method = METHOD_STORE;
+        let data = bytes;
+        if (deflate && bytes.length > 0) {
+            const compressed = await deflateRaw(bytes);
+            // Photos and videos are already compressed; only keep deflate when it actually helps
+            if (compressed.length < bytes.length) {
+                method = METHOD_DEFLATE;
+                data = compressed;
+            }
+        }
+        if (offset + LOCAL_HEADER_SIZE + nameBytes.length + data.length > MAX_ZIP_BYTES) {
+            throw new Error("ZIP size limit reached.");
+        }
+
+        const { time, date: dosDate } = toDosDateTime(date);
+        const header = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true); // Version needed to extract: 2.0
+        header.setUint16(6, UTF8_FLAG, true);
+        header.setUint16(8, method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, checksum, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true); // Extra field length
+
+        chunks.push(new Uint8Array(header.buffer), nameBytes, data);
+        centralEntries.push({ nameBytes, method, time, dosDate, checksum, compressedSize: data.length, size: bytes.length, localOffset: offset });
+        usedNames.add(entryName);
+        offset += LOCAL_HEADER_SIZE + nameBytes.length + data.length;
+        centralDirectorySize += CENTRAL_HEADER_SIZE + nameBytes.length;
+        return entryName;
+    }
+
+    function finish() {
+        // Central directory and end record; the entries before them are already in `chunks`
+        const directory = new Uint8Array(centralDirectorySize + END_OF_CENTRAL_DIRECTORY_SIZE);
+        let position = 0;
+
+        const view = new DataView(directory.buffer);
+        for (const entry of centralEntries) {
+            view.setUint32(position, 0x02014B50, true);
+            view.setUint16(position + 4, 20, true); // Version made by
+            view.setUint16(position + 6, 20, true); // Version needed to extract
+            view.setUint16(position + 8, UTF8_FLAG, true);
+            view.setUint16(position + 10, entry.method, true);
+            view.setUint16(position + 12, entry.time, true);
+            view.setUint16(position + 14, entry.dosDate, true);
+            view.setUint32(position + 16, entry.checksum, true);
+            view.setUint32(position + 20, entry.compressedSize, true);
+            view.setUint32(position + 24, entry.size, true);
+            view.setUint16(position + 28, entry.nameBytes.length, true);
+            // Extra field, comment, disk number, internal and external attributes stay 0
+            view.setUint32(position + 42, entry.localOffset, true);
+            directory.set(entry.nameBytes, position + CENTRAL_HEADER_SIZE);
+            position += CENTRAL_HEADER_SIZE + entry.nameBytes.length;
+        }
+
+        view.setUint32(position, 0x06054B50, true);
+        view.setUint16(position + 8, centralEntries.length, true);
+        view.setUint16(position + 10, centralEntries.length, true);
+        view.setUint32(position + 12, centralDirectorySize, true);
+        view.setUint32(position + 16, offset, true);
+        return new Blob([...chunks, directory], { type: 'application/zip' });
+    }
+
+    return {
+        addFile,
+        finish,
+        get size() { return offset + centralDirectorySize + END_OF_CENTRAL_DIRECTORY_SIZE; },
+        get entryCount() { return centralEntries.length; }
+    };
+}
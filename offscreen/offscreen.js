@@ -0,0 +1,13 @@
+// Offscreen document that turns blobs from the service worker into blob: URLs for chrome.downloads.
+// Service workers have no URL.createObjectURL, and data URLs break down for large files, so the
+// worker posts the Blob here (structured clone, no base64 copy) and gets a URL back.
+// The URLs belong to this document and stay valid until the worker asks for them to be revoked.
+
+navigator.serviceWorker.onmessage = (event) => {
+    const { id, action, blob, url } = event.data || {};
+    if (action === 'createBlobUrl') {
+        event.source.postMessage({ id, url: URL.createObjectURL(blob) });
+    } else if (action === 'revokeBlobUrl') {
+        URL.revokeObjectURL(url);
+    }
+};
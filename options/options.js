@@ -1,10 +1,37 @@
+import { parseDownloadWindows } from '../lib/download-windows.js';
+
 const folderNameRuleInput = document.getElementById('folderNameRule');
+const profileFolderRuleInput = document.getElementById('profileFolderRule');
 const fileNameRuleInput = document.getElementById('fileNameRule');
 const fileNameIndexPaddingInput = document.getElementById('fileNameIndexPadding');
+const posterSubfoldersCheckbox = document.getElementById('posterSubfolders');
 const imageFormatSelect = document.getElementById('imageFormat');
+const imageQualityInput = document.getElementById('imageQuality');
+const imageQualityValueSpan = document.getElementById('imageQualityValue');
+const maxLongEdgeInput = document.getElementById('maxLongEdge');
+const outputModeSelect = document.getElementById('outputMode');
+const archiveDeflateCheckbox = document.getElementById('archiveDeflate');
+const archivePartSizeMbInput = document.getElementById('archivePartSizeMb');
 const skipDownloadedCheckbox = document.getElementById('skipDownloaded');
+const dedupeByContentCheckbox = document.getElementById('dedupeByContent');
+const duplicateActionSelect = document.getElementById('duplicateAction');
+const parallelJobsInput = document.getElementById('parallelJobs');
+const subscriptionSyncHoursInput = document.getElementById('subscriptionSyncHours');
+const downloadWindowsEnabledCheckbox = document.getElementById('downloadWindowsEnabled');
+const downloadWindowsInput = document.getElementById('downloadWindows');
+const downloadWindowsErrorsDiv = document.getElementById('downloadWindowsErrors');
 const concurrentDownloadsInput = document.getElementById('concurrentDownloads');
 const delayBetweenDownloadsInput = document.getElementById('delayBetweenDownloads');
+const requestsPerMinuteInput = document.getElementById('requestsPerMinute');
+const maxRetriesInput = document.getElementById('maxRetries');
+const retryBaseDelayInput = document.getElementById('retryBaseDelay');
+const autoScrollAlbumsCheckbox = document.getElementById('autoScrollAlbums');
+const albumScrollDelayInput = document.getElementById('albumScrollDelay');
+const useGraphQLAlbumApiCheckbox = document.getElementById('useGraphQLAlbumApi');
+const graphqlAlbumDocIdInput = document.getElementById('graphqlAlbumDocId');
+const maximumQualityCheckbox = document.getElementById('maximumQuality');
+const saveMetadataSidecarsCheckbox = document.getElementById('saveMetadataSidecars');
+const embedMetadataCheckbox = document.getElementById('embedMetadata');
 
 const saveOptionsBtn = document.getElementById('saveOptionsBtn');
 const resetOptionsBtn = document.getElementById('resetOptionsBtn');
@@ -12,29 +39,90 @@ const saveStatusDiv = document.getElementById('saveStatus');
 
 const defaultOptions = {
     folderNameRule: "{album_name}",
+    profileFolderRule: "{profile_name}",
     fileNameRule: "{index}_{original_name}",
     fileNameIndexPadding: 3,
+    posterSubfolders: false,
     imageFormat: "original",
+    imageQuality: 0.92,
+    maxLongEdge: 0,
     skipDownloaded: true,
     concurrentDownloads: 3,
-    delayBetweenDownloads: 500
+    delayBetweenDownloads: 500,
+    requestsPerMinute: 120,
+    maxRetries: 3,
+    retryBaseDelay: 2000,
+    autoScrollAlbums: true,
+    albumScrollDelay: 1200,
+    useGraphQLAlbumApi: true,
+    graphqlAlbumDocId: "",
+    maximumQuality: false,
+    saveMetadataSidecars: false,
+    embedMetadata: false,
+    outputMode: "files",
+    archiveDeflate: false,
+    archivePartSizeMb: 200,
+    dedupeByContent: false,
+    duplicateAction: "skip",
+    parallelJobs: 1,
+    subscriptionSyncHours: 24,
+    downloadWindowsEnabled: false,
+    downloadWindows: "Mon-Fri 22:00-06:00\nSat,Sun 00:00-24:00"
 };
 
+// Lists the window lines that can't be read; the service worker ignores them.
+function showDownloadWindowErrors() {
+    const { errors } = parseDownloadWindows(downloadWindowsInput.value);
+    downloadWindowsErrorsDiv.textContent = errors.length > 0 ? `Not understood, will be ignored: ${errors.join(' | ')}` : '';
+}
+
 function saveOptions() {
     const options = {
         folderNameRule: folderNameRuleInput.value.trim() || defaultOptions.folderNameRule,
+        profileFolderRule: profileFolderRuleInput.value.trim(),
         fileNameRule: fileNameRuleInput.value.trim() || defaultOptions.fileNameRule,
         fileNameIndexPadding: parseInt(fileNameIndexPaddingInput.value, 10) || defaultOptions.fileNameIndexPadding,
+        posterSubfolders: posterSubfoldersCheckbox.checked,
         imageFormat: imageFormatSelect.value,
+        imageQuality: (parseInt(imageQualityInput.value, 10) || 92) / 100,
+        maxLongEdge: parseInt(maxLongEdgeInput.value, 10) || 0,
         skipDownloaded: skipDownloadedCheckbox.checked,
         concurrentDownloads: parseInt(concurrentDownloadsInput.value, 10) || defaultOptions.concurrentDownloads,
         delayBetweenDownloads: parseInt(delayBetweenDownloadsInput.value, 10) || defaultOptions.delayBetweenDownloads,
+        requestsPerMinute: parseInt(requestsPerMinuteInput.value, 10) || defaultOptions.requestsPerMinute,
+        maxRetries: isNaN(parseInt(maxRetriesInput.value, 10)) ? defaultOptions.maxRetries : parseInt(maxRetriesInput.value, 10),
+        retryBaseDelay: parseInt(retryBaseDelayInput.value, 10) || defaultOptions.retryBaseDelay,
+        autoScrollAlbums: autoScrollAlbumsCheckbox.checked,
+        albumScrollDelay: parseInt(albumScrollDelayInput.value, 10) || defaultOptions.albumScrollDelay,
+        useGraphQLAlbumApi: useGraphQLAlbumApiCheckbox.checked,
+        graphqlAlbumDocId: graphqlAlbumDocIdInput.value.trim().replace(/\D/g, ''),
+        maximumQuality: maximumQualityCheckbox.checked,
+        saveMetadataSidecars: saveMetadataSidecarsCheckbox.checked,
+        embedMetadata: embedMetadataCheckbox.checked,
+        outputMode: outputModeSelect.value,
+        archiveDeflate: archiveDeflateCheckbox.checked,
+        archivePartSizeMb: parseInt(archivePartSizeMbInput.value, 10) || defaultOptions.archivePartSizeMb,
+        dedupeByContent: dedupeByContentCheckbox.checked,
+        duplicateAction: duplicateActionSelect.value,
+        parallelJobs: parseInt(parallelJobsInput.value, 10) || defaultOptions.parallelJobs,
+        subscriptionSyncHours: parseInt(subscriptionSyncHoursInput.value, 10) || defaultOptions.subscriptionSyncHours,
+        downloadWindowsEnabled: downloadWindowsEnabledCheckbox.checked,
+        downloadWindows: downloadWindowsInput.value.trim(),
     };
 
     // Clamp values
     options.fileNameIndexPadding = Math.max(0, Math.min(10, options.fileNameIndexPadding));
     options.concurrentDownloads = Math.max(1, Math.min(10, options.concurrentDownloads));
+    options.parallelJobs = Math.max(1, Math.min(4, options.parallelJobs));
+    options.subscriptionSyncHours = Math.max(1, Math.min(168, options.subscriptionSyncHours));
     options.delayBetweenDownloads = Math.max(0, Math.min(10000, options.delayBetweenDownloads));
+    options.requestsPerMinute = Math.max(10, Math.min(600, options.requestsPerMinute));
+    options.maxRetries = Math.max(0, Math.min(10, options.maxRetries));
+    options.retryBaseDelay = Math.max(500, Math.min(30000, options.retryBaseDelay));
+    options.albumScrollDelay = Math.max(300, Math.min(10000, options.albumScrollDelay));
+    options.imageQuality = Math.max(0.5, Math.min(1, options.imageQuality));
+    options.maxLongEdge = Math.max(0, Math.min(20000, options.maxLongEdge));
+    options.archivePartSizeMb = Math.max(10, Math.min(500, options.archivePartSizeMb));
 
 
     chrome.storage.local.set({ options }, () => {
@@ -50,12 +138,37 @@ function loadOptions() {
     chrome.storage.local.get({ options: defaultOptions }, (data) => {
         const opts = data.options;
         folderNameRuleInput.value = opts.folderNameRule;
+        profileFolderRuleInput.value = opts.profileFolderRule === undefined ? defaultOptions.profileFolderRule : opts.profileFolderRule;
         fileNameRuleInput.value = opts.fileNameRule;
         fileNameIndexPaddingInput.value = opts.fileNameIndexPadding === undefined ? defaultOptions.fileNameIndexPadding : opts.fileNameIndexPadding;
+        posterSubfoldersCheckbox.checked = !!opts.posterSubfolders;
         imageFormatSelect.value = opts.imageFormat;
+        imageQualityInput.value = Math.round((opts.imageQuality || defaultOptions.imageQuality) * 100);
+        imageQualityValueSpan.textContent = imageQualityInput.value;
+        maxLongEdgeInput.value = opts.maxLongEdge || 0;
         skipDownloadedCheckbox.checked = opts.skipDownloaded;
         concurrentDownloadsInput.value = opts.concurrentDownloads;
         delayBetweenDownloadsInput.value = opts.delayBetweenDownloads;
+        requestsPerMinuteInput.value = opts.requestsPerMinute || defaultOptions.requestsPerMinute;
+        maxRetriesInput.value = opts.maxRetries === undefined ? defaultOptions.maxRetries : opts.maxRetries;
+        retryBaseDelayInput.value = opts.retryBaseDelay || defaultOptions.retryBaseDelay;
+        autoScrollAlbumsCheckbox.checked = opts.autoScrollAlbums !== false;
+        albumScrollDelayInput.value = opts.albumScrollDelay || defaultOptions.albumScrollDelay;
+        useGraphQLAlbumApiCheckbox.checked = opts.useGraphQLAlbumApi !== false;
+        graphqlAlbumDocIdInput.value = opts.graphqlAlbumDocId || '';
+        maximumQualityCheckbox.checked = !!opts.maximumQuality;
+        saveMetadataSidecarsCheckbox.checked = !!opts.saveMetadataSidecars;
+        embedMetadataCheckbox.checked = !!opts.embedMetadata;
+        outputModeSelect.value = opts.outputMode || defaultOptions.outputMode;
+        archiveDeflateCheckbox.checked = !!opts.archiveDeflate;
+        archivePartSizeMbInput.value = opts.archivePartSizeMb || defaultOptions.archivePartSizeMb;
+        dedupeByContentCheckbox.checked = !!opts.dedupeByContent;
+        duplicateActionSelect.value = opts.duplicateAction || defaultOptions.duplicateAction;
+        parallelJobsInput.value = opts.parallelJobs || defaultOptions.parallelJobs;
+        subscriptionSyncHoursInput.value = opts.subscriptionSyncHours || defaultOptions.subscriptionSyncHours;
+        downloadWindowsEnabledCheckbox.checked = !!opts.downloadWindowsEnabled;
+        downloadWindowsInput.value = opts.downloadWindows === undefined ? defaultOptions.downloadWindows : opts.downloadWindows;
+        showDownloadWindowErrors();
     });
 }
 
@@ -74,4 +187,8 @@ function resetOptions() {
 
 document.addEventListener('DOMContentLoaded', loadOptions);
 saveOptionsBtn.addEventListener('click', saveOptions);
-resetOptionsBtn.addEventListener('click', resetOptions);
\ No newline at end of file
+imageQualityInput.addEventListener('input', () => {
+    imageQualityValueSpan.textContent = imageQualityInput.value;
+});
+resetOptionsBtn.addEventListener('click', resetOptions);
+downloadWindowsInput.addEventListener('input', showDownloadWindowErrors);
\ No newline at end of file
@@ -1,22 +1,55 @@
 const statusDiv = document.getElementById('status');
 const albumInfoDiv = document.getElementById('albumInfo');
+const albumLabel = document.getElementById('albumLabel');
 const albumNameSpan = document.getElementById('albumName');
 const photoCountSpan = document.getElementById('photoCount');
+const photoCountLine = document.getElementById('photoCountLine');
+const groupMediaNote = document.getElementById('groupMediaNote');
+const subscriptionStatus = document.getElementById('subscriptionStatus');
+const subscribeBtn = document.getElementById('subscribeBtn');
+const albumsTabInfoDiv = document.getElementById('albumsTabInfo');
+const profileNameSpan = document.getElementById('profileName');
+const albumsFoundCountSpan = document.getElementById('albumsFoundCount');
+const selectAllAlbumsCheckbox = document.getElementById('selectAllAlbums');
+const albumList = document.getElementById('albumList');
+const albumsLoadedNote = document.getElementById('albumsLoadedNote');
+const listAllAlbumsBtn = document.getElementById('listAllAlbumsBtn');
+const listingInfoDiv = document.getElementById('listingInfo');
+const listingTitleSpan = document.getElementById('listingTitle');
+const listingDetails = document.getElementById('listingDetails');
+const listingPhotoCountSpan = document.getElementById('listingPhotoCount');
+const conversationInfoDiv = document.getElementById('conversationInfo');
+const conversationNameSpan = document.getElementById('conversationName');
 const postInfoDiv = document.getElementById('postInfo');
 const postPhotoCountSpan = document.getElementById('postPhotoCount');
+const videoInfoDiv = document.getElementById('videoInfo');
+const videoCountSpan = document.getElementById('videoCount');
 
 const downloadBtn = document.getElementById('downloadBtn');
+const pauseBtn = document.getElementById('pauseBtn');
 const cancelBtn = document.getElementById('cancelBtn');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
 const openOptionsBtn = document.getElementById('openOptionsBtn');
+const openHistoryBtn = document.getElementById('openHistoryBtn');
 
 const progressContainer = document.getElementById('progressContainer');
 const progressStatusSpan = document.getElementById('progressStatus');
 const progressText = document.getElementById('progressText');
 const progressBar = document.getElementById('progressBar');
 const errorMessagesDiv = document.getElementById('errorMessages');
+const rateLimiterStatus = document.getElementById('rateLimiterStatus');
+const windowStatus = document.getElementById('windowStatus');
 
 let currentTabId = null;
+let currentTabUrl = null;
+let followedJobIds = new Set(); // The download jobs this popup follows (one per album on an albums tab); messages of other jobs are ignored
+let isJobPaused = false;
 let pageContextCache = null;
+let failureMessages = []; // Files of the followed job that failed after all retries
+let retryJobId = null; // Finished job whose failed files the "Retry Failed" button re-queues
+const deselectedAlbumIds = new Set(); // Albums unticked on an albums tab; kept when the checklist is redrawn
+
+const MAX_SHOWN_FAILURES = 5;
 
 async function getCurrentTab() {
     let queryOptions = { active: true, currentWindow: true };
@@ -27,18 +60,46 @@ async function getCurrentTab() {
 function showProgress(processed, total, albumName = "photos") {
     progressContainer.style.display = 'block';
     cancelBtn.style.display = 'block';
+    pauseBtn.style.display = 'block';
     downloadBtn.disabled = true;
     openOptionsBtn.disabled = true;
 
-    progressStatusSpan.textContent = `Downloading ${albumName}...`;
+    progressStatusSpan.textContent = isJobPaused ? `Paused: ${albumName}` : `Downloading ${albumName}...`;
     progressText.textContent = `${processed}/${total}`;
     progressBar.value = total > 0 ? (processed / total) * 100 : 0;
-    errorMessagesDiv.textContent = '';
+    showFailures();
+}
+
+// Lists the latest failures; the rest are summarised in one line.
+function showFailures() {
+    const shown = failureMessages.slice(-MAX_SHOWN_FAILURES);
+    const hiddenCount = failureMessages.length - shown.length;
+    errorMessagesDiv.textContent = (hiddenCount > 0 ? [`...and ${hiddenCount} more failed`] : []).concat(shown).join('\n');
+}
+
+function showRetryButton(jobId, failedCount) {
+    retryJobId = jobId;
+    retryFailedBtn.textContent = `Retry Failed (${failedCount})`;
+    retryFailedBtn.style.display = 'block';
+    retryFailedBtn.disabled = false;
+}
+
+function hideRetryButton() {
+    retryJobId = null;
+    retryFailedBtn.style.display = 'none';
+}
+
+function setPaused(paused) {
+    isJobPaused = paused;
+    pauseBtn.textContent = paused ? "Resume" : "Pause";
+    pauseBtn.disabled = false;
 }
 
 function hideProgress() {
     progressContainer.style.display = 'none';
     cancelBtn.style.display = 'none';
+    pauseBtn.style.display = 'none';
+    setPaused(false);
     downloadBtn.disabled = false;
     openOptionsBtn.disabled = false;
 }
@@ -63,6 +124,7 @@ async function detectPageContext() {
         return null;
     }
     currentTabId = tab.id;
+    currentTabUrl = tab.url;
     statusDiv.textContent = "Analyzing Facebook page...";
 
     try {
@@ -73,6 +135,12 @@ async function detectPageContext() {
             pageContextCache = null;
             return null;
         }
+        if (response && response.error) {
+            console.error("Page detection failed:", response.error);
+            showError("Could not detect page context. Please refresh the page and try again.");
+            pageContextCache = null;
+            return null;
+        }
         pageContextCache = response; // Cache the context
         return response;
     } catch (error) {
@@ -89,9 +157,13 @@ async function detectPageContext() {
 
 function updateUIForContext(context) {
     albumInfoDiv.style.display = 'none';
+    albumsTabInfoDiv.style.display = 'none';
+    listingInfoDiv.style.display = 'none';
+    conversationInfoDiv.style.display = 'none';
     postInfoDiv.style.display = 'none';
+    videoInfoDiv.style.display = 'none';
     downloadBtn.style.display = 'none';
-    errorMessagesDiv.textContent = ''; // Clear previous errors
+    showFailures(); // Clear previous errors, but keep the failed files of the last job listed
 
     if (!context) {
         statusDiv.textContent = "Could not determine Facebook page context.";
@@ -100,15 +172,45 @@ function updateUIForContext(context) {
 
     downloadBtn.disabled = false; // Ensure enabled if context is found
 
-    if (context.isAlbum && context.albumId) {
+    if (context.isConversation && context.threadId) {
+        conversationNameSpan.textContent = context.conversationName || 'This chat';
+        conversationInfoDiv.style.display = 'block';
+        downloadBtn.textContent = "Download Shared Photos";
+        downloadBtn.style.display = 'block';
+        downloadBtn.dataset.type = 'conversation';
+        statusDiv.textContent = "Messenger conversation detected.";
+    } else if (context.isMarketplaceListing && context.listing) {
+        const { listing } = context;
+        listingTitleSpan.textContent = listing.title;
+        listingDetails.textContent = [listing.price, listing.location].filter(Boolean).join(' · ');
+        listingPhotoCountSpan.textContent = context.photos.length;
+        listingInfoDiv.style.display = 'block';
+        // The carousel may hold more photos than its thumbnails show, so the button doesn't promise a count
+        downloadBtn.textContent = "Download Listing Photos";
+        downloadBtn.style.display = 'block';
+        downloadBtn.dataset.type = 'listing';
+        statusDiv.textContent = "Marketplace listing detected.";
+    } else if (context.isAlbumsTab && context.albums && context.albums.length > 0) {
+        showAlbumChecklist(context);
+        statusDiv.textContent = "Albums tab detected.";
+    } else if (context.isAlbum && context.albumId) {
         albumNameSpan.textContent = context.albumName || 'Unnamed Album';
         photoCountSpan.textContent = context.photoCount !== undefined ? context.photoCount : "Loading...";
+        // A group's Media tab and a profile's tagged photos have no photo count until they have been scrolled through
+        const isTaggedPhotos = context.specialAlbum === 'photos_of';
+        const countUnknown = (context.isGroupMedia || isTaggedPhotos) && !(context.photoCount > 0);
+        albumLabel.textContent = context.isGroupMedia ? "Group media:" : isTaggedPhotos ? "Tagged photos:" : "Album:";
+        photoCountLine.style.display = countUnknown ? 'none' : 'block';
+        groupMediaNote.style.display = context.isGroupMedia ? 'block' : 'none';
         albumInfoDiv.style.display = 'block';
-        downloadBtn.textContent = `Download Album (${context.photoCount > 0 ? context.photoCount : '...'})`;
+        downloadBtn.textContent = countUnknown
+            ? (isTaggedPhotos ? "Download Tagged Photos" : "Download Group Media")
+            : `Download Album (${context.photoCount > 0 ? context.photoCount : '...'})`;
         downloadBtn.style.display = 'block';
         downloadBtn.dataset.type = 'album';
         downloadBtn.dataset.albumId = context.albumId;
-        statusDiv.textContent = "Album detected.";
+        statusDiv.textContent = context.isGroupMedia ? "Group media tab detected." : "Album detected.";
+        showSubscription(context.albumId);
     } else if (context.isPostWithPhotos && context.photoIds && context.photoIds.length > 0) {
         postPhotoCountSpan.textContent = context.photoIds.length;
         postInfoDiv.style.display = 'block';
@@ -125,35 +227,130 @@ function updateUIForContext(context) {
         downloadBtn.dataset.type = 'single';
         downloadBtn.dataset.photoUrl = context.photoUrl;
         downloadBtn.dataset.photoId = context.photoId;
+    } else if (context.isVideoPage && context.videos && context.videos.length > 0) {
+        videoCountSpan.textContent = context.videos.length;
+        videoInfoDiv.style.display = 'block';
+        downloadBtn.textContent = context.videos.length === 1 ? "Download Video" : `Download ${context.videos.length} Video Files`;
+        downloadBtn.style.display = 'block';
+        downloadBtn.dataset.type = 'video';
+        downloadBtn.dataset.postId = context.postId;
+        statusDiv.textContent = "Video detected.";
     } else {
-        statusDiv.textContent = "No downloadable photos/album found here.";
+        statusDiv.textContent = "No downloadable photos/album/video found here.";
     }
 }
 
+function selectedAlbums() {
+    if (!pageContextCache || !pageContextCache.isAlbumsTab) return [];
+    return pageContextCache.albums.filter(album => !deselectedAlbumIds.has(album.albumId));
+}
+
+function updateAlbumsDownloadButton() {
+    const count = selectedAlbums().length;
+    downloadBtn.textContent = `Download ${count} Album${count === 1 ? '' : 's'}`;
+    downloadBtn.disabled = count === 0 || progressContainer.style.display === 'block';
+    selectAllAlbumsCheckbox.checked = count === pageContextCache.albums.length;
+}
+
+function showAlbumChecklist(context) {
+    profileNameSpan.textContent = context.profileName || 'this profile';
+    albumsFoundCountSpan.textContent = context.albums.length;
+    albumsLoadedNote.textContent = context.allAlbumsListed
+        ? "Every album on the tab is listed."
+        : `${context.albums.length} album${context.albums.length === 1 ? '' : 's'} loaded so far; scroll the page or find all albums to list the rest.`;
+    listAllAlbumsBtn.style.display = context.allAlbumsListed ? 'none' : 'inline-block';
+    albumList.textContent = '';
+    context.albums.forEach((album) => {
+        const label = document.createElement('label');
+        label.className = 'album-choice';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !deselectedAlbumIds.has(album.albumId);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                deselectedAlbumIds.delete(album.albumId);
+            } else {
+                deselectedAlbumIds.add(album.albumId);
+            }
+            updateAlbumsDownloadButton();
+        });
+        const count = document.createElement('small');
+        count.textContent = album.photoCount > 0 ? album.photoCount : '?';
+        label.append(checkbox, album.albumName, count);
+        const item = document.createElement('li');
+        item.appendChild(label);
+        albumList.appendChild(item);
+    });
+    albumsTabInfoDiv.style.display = 'block';
+    downloadBtn.style.display = 'block';
+    downloadBtn.dataset.type = 'albums';
+    updateAlbumsDownloadButton();
+}
+
 downloadBtn.addEventListener('click', async () => {
     if (!currentTabId || !pageContextCache) return;
 
     downloadBtn.disabled = true;
     openOptionsBtn.disabled = true;
     cancelBtn.style.display = 'block';
+    setPaused(false);
+    failureMessages = [];
+    hideRetryButton();
     errorMessagesDiv.textContent = '';
 
     const type = downloadBtn.dataset.type;
+    let response;
 
     try {
         if (type === 'album') {
             statusDiv.textContent = "Fetching album details...";
             showProgress(0, parseInt(photoCountSpan.textContent) || 0, albumNameSpan.textContent);
-            await chrome.runtime.sendMessage({
+            response = await chrome.runtime.sendMessage({
                 action: "downloadAlbum",
                 tabId: currentTabId,
                 albumId: downloadBtn.dataset.albumId,
-                albumName: pageContextCache.albumName
+                albumName: pageContextCache.albumName,
+                photoCount: pageContextCache.photoCount || 0,
+                groupName: pageContextCache.groupName || null,
+                specialAlbum: pageContextCache.specialAlbum || null
+            });
+        } else if (type === 'albums') {
+            const albums = selectedAlbums();
+            statusDiv.textContent = `Queuing ${albums.length} album downloads...`;
+            showProgress(0, albums[0].photoCount || 0, albums[0].albumName);
+            response = await chrome.runtime.sendMessage({
+                action: "downloadAlbums",
+                tabId: currentTabId,
+                profileName: pageContextCache.profileName,
+                groupName: pageContextCache.groupName || null,
+                albums
+            });
+            if (response && response.jobIds) {
+                followedJobIds = new Set(response.jobIds);
+                statusDiv.textContent = `Queued ${response.jobIds.length} album downloads.`;
+            }
+        } else if (type === 'conversation') {
+            statusDiv.textContent = "Opening the shared media...";
+            showProgress(0, 0, pageContextCache.conversationName || "Conversation");
+            response = await chrome.runtime.sendMessage({
+                action: "downloadConversation",
+                tabId: currentTabId,
+                threadId: pageContextCache.threadId,
+                conversationName: pageContextCache.conversationName
+            });
+        } else if (type === 'listing') {
+            statusDiv.textContent = "Collecting listing photos...";
+            showProgress(0, pageContextCache.photos.length, pageContextCache.listing.title);
+            response = await chrome.runtime.sendMessage({
+                action: "downloadListing",
+                tabId: currentTabId,
+                listing: pageContextCache.listing,
+                photos: pageContextCache.photos
             });
         } else if (type === 'post') {
             statusDiv.textContent = "Starting post photos download...";
             showProgress(0, pageContextCache.photoIds.length, "Post Photos");
-            await chrome.runtime.sendMessage({
+            response = await chrome.runtime.sendMessage({
                 action: "downloadPhotosFromPost",
                 tabId: currentTabId,
                 postId: downloadBtn.dataset.postId,
@@ -162,13 +359,23 @@ downloadBtn.addEventListener('click', async () => {
         } else if (type === 'single') {
             statusDiv.textContent = "Downloading single photo...";
             showProgress(0, 1, "Single Photo");
-            await chrome.runtime.sendMessage({
+            response = await chrome.runtime.sendMessage({
                 action: "downloadSinglePhoto",
                 tabId: currentTabId,
                 photoUrl: downloadBtn.dataset.photoUrl,
                 photoId: downloadBtn.dataset.photoId
             });
+        } else if (type === 'video') {
+            statusDiv.textContent = "Starting video download...";
+            showProgress(0, pageContextCache.videos.length, "Video");
+            response = await chrome.runtime.sendMessage({
+                action: "downloadVideos",
+                tabId: currentTabId,
+                postId: downloadBtn.dataset.postId,
+                videos: pageContextCache.videos
+            });
         }
+        if (response && response.jobId) followedJobIds = new Set([response.jobId]);
     } catch (error) {
         console.error(`Error starting ${type} download:`, error);
         showError("Error: " + error.message);
@@ -177,34 +384,307 @@ downloadBtn.addEventListener('click', async () => {
 
 cancelBtn.addEventListener('click', async () => {
     if (currentTabId) {
-        chrome.runtime.sendMessage({ action: "cancelDownload", tabId: currentTabId });
-        statusDiv.textContent = "Cancelling download...";
+        // Without a followed job, the service worker cancels every job of the tab
+        const jobIds = followedJobIds.size > 0 ? Array.from(followedJobIds) : [null];
+        jobIds.forEach(jobId => chrome.runtime.sendMessage({ action: "cancelDownload", jobId, tabId: currentTabId }));
+        statusDiv.textContent = jobIds.length > 1 ? `Cancelling ${jobIds.length} downloads...` : "Cancelling download...";
         cancelBtn.disabled = true;
     }
 });
 
 
+pauseBtn.addEventListener('click', async () => {
+    if (followedJobIds.size === 0) return;
+    pauseBtn.disabled = true; // Re-enabled when the service worker confirms
+    const action = isJobPaused ? "resumeDownload" : "pauseDownload";
+    const responses = await Promise.all(Array.from(followedJobIds, jobId => chrome.runtime.sendMessage({ action, jobId })));
+    if (!responses.some(response => response && response.success)) pauseBtn.disabled = false;
+});
+
+retryFailedBtn.addEventListener('click', async () => {
+    if (!retryJobId) return;
+    retryFailedBtn.disabled = true;
+    failureMessages = [];
+    errorMessagesDiv.textContent = '';
+    try {
+        const response = await chrome.runtime.sendMessage({ action: "retryFailed", jobId: retryJobId });
+        if (!response || !response.success) {
+            showError((response && response.error) || "Nothing left to retry.");
+            hideRetryButton();
+            return;
+        }
+        followedJobIds = new Set([response.jobId]);
+        setPaused(false);
+        hideRetryButton();
+        statusDiv.textContent = "Retrying failed files...";
+        showProgress(0, 0, "failed files");
+    } catch (error) {
+        console.error("Error retrying failed files:", error);
+        showError("Error: " + error.message);
+    }
+});
+
+listAllAlbumsBtn.addEventListener('click', async () => {
+    if (!currentTabId || !pageContextCache || !pageContextCache.isAlbumsTab) return;
+    listAllAlbumsBtn.disabled = true;
+    downloadBtn.disabled = true;
+    statusDiv.textContent = "Scrolling through the albums tab...";
+    try {
+        const response = await chrome.runtime.sendMessage({ action: "listAllAlbums", tabId: currentTabId });
+        if (!response || !response.success) {
+            showError((response && response.error) || "Could not list the albums.");
+            return;
+        }
+        // Albums the scroll didn't see (e.g. unloaded again) stay listed after the ones it found
+        const foundIds = new Set(response.albums.map(album => album.albumId));
+        pageContextCache.albums = [...response.albums, ...pageContextCache.albums.filter(album => !foundIds.has(album.albumId))];
+        pageContextCache.allAlbumsListed = true;
+        statusDiv.textContent = `Found ${pageContextCache.albums.length} albums.`;
+        showAlbumChecklist(pageContextCache);
+    } catch (error) {
+        console.error("Error listing albums:", error);
+        showError("Error: " + error.message);
+    } finally {
+        listAllAlbumsBtn.disabled = false;
+    }
+});
+
+selectAllAlbumsCheckbox.addEventListener('change', () => {
+    if (!pageContextCache || !pageContextCache.isAlbumsTab) return;
+    pageContextCache.albums.forEach((album) => {
+        if (selectAllAlbumsCheckbox.checked) {
+            deselectedAlbumIds.delete(album.albumId);
+        } else {
+            deselectedAlbumIds.add(album.albumId);
+        }
+    });
+    showAlbumChecklist(pageContextCache);
+});
+
 openOptionsBtn.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
 });
 
+subscribeBtn.addEventListener('click', async () => {
+    const albumId = subscribeBtn.dataset.albumId;
+    if (!albumId) return;
+    subscribeBtn.disabled = true;
+    const response = subscribeBtn.dataset.subscribed === 'true'
+        ? await chrome.runtime.sendMessage({ action: "unsubscribeAlbum", albumId })
+        : await chrome.runtime.sendMessage({
+            action: "subscribeAlbum",
+            albumId,
+            albumName: pageContextCache ? pageContextCache.albumName : albumNameSpan.textContent,
+            albumUrl: currentTabUrl,
+            groupName: pageContextCache ? pageContextCache.groupName : null,
+            specialAlbum: pageContextCache ? pageContextCache.specialAlbum : null
+        });
+    if (!response || !response.success) {
+        errorMessagesDiv.textContent = (response && response.error) || "Could not change the subscription.";
+    }
+    showSubscription(albumId);
+});
+
+openHistoryBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+});
+
+// Follows the jobs started from this tab; a message that arrives before the start response adopts its job.
+function isForThisPopup(data) {
+    if (!data || !data.jobId) return true;
+    if (followedJobIds.size > 0) return followedJobIds.has(data.jobId);
+    if (data.tabId === currentTabId) {
+        followedJobIds.add(data.jobId);
+        return true;
+    }
+    return false;
+}
+
+// Stops following a job that ended. Returns how many of the followed jobs are still going.
+function endFollowedJob(jobId) {
+    followedJobIds.delete(jobId);
+    return followedJobIds.size;
+}
+
+function describeRemainingJobs(remaining) {
+    return ` ${remaining} more download${remaining === 1 ? '' : 's'} still running.`;
+}
+
+// Picks up the jobs still running or waiting for this tab when the popup is reopened; shows the latest one.
+async function restoreJobProgress() {
+    if (!currentTabId) return;
+    const response = await chrome.runtime.sendMessage({ action: "getJobs", tabId: currentTabId });
+    const tabJobs = (response && response.jobs) || [];
+    const job = tabJobs[tabJobs.length - 1];
+    if (!job) {
+        await restoreFailedJob();
+        return;
+    }
+    followedJobIds = new Set(tabJobs.map(tabJob => tabJob.jobId));
+    setPaused(!!job.paused);
+    showProgress(job.processed, job.total, job.albumName);
+    if (job.queuePosition > 0 && !job.paused) {
+        progressStatusSpan.textContent = `Waiting for ${job.queuePosition} earlier download${job.queuePosition === 1 ? '' : 's'}...`;
+    } else if (job.waitingForWindow && !job.paused) {
+        progressStatusSpan.textContent = describeWindowWait(job.opensAt);
+    }
+}
+
+function formatWindowTime(time) {
+    return new Date(time).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function describeWindowWait(opensAt) {
+    return opensAt ? `Waiting for the download window (opens ${formatWindowTime(opensAt)})...` : "Waiting for a download window...";
+}
+
+// Only shown when downloads are restricted to time windows (see Options).
+function showTransferWindowState(state) {
+    if (!state || !state.restricted) {
+        windowStatus.style.display = 'none';
+        return;
+    }
+    if (state.open) {
+        windowStatus.textContent = state.nextChange
+            ? `Download window open until ${formatWindowTime(state.nextChange)}.`
+            : "Download window open.";
+    } else {
+        windowStatus.textContent = `Outside the download window. New downloads are prepared now and saved from ${formatWindowTime(state.nextChange)}.`;
+    }
+    windowStatus.style.display = 'block';
+}
+
+async function restoreTransferWindowState() {
+    const response = await chrome.runtime.sendMessage({ action: "getTransferWindowState" });
+    showTransferWindowState(response && response.state);
+}
+
+function describeSubscription(subscription) {
+    if (subscription.syncing) return "Subscribed. Syncing now...";
+    const { lastStatus } = subscription;
+    if (!subscription.lastSyncAt) return "Subscribed. New photos are downloaded at the next sync.";
+    return `Subscribed. Last sync ${new Date(subscription.lastSyncAt).toLocaleString()}: ${lastStatus.message}`;
+}
+
+// Albums without a stable ID (generated by the page scan) can't be found again, so they can't be subscribed to.
+async function showSubscription(albumId) {
+    subscriptionStatus.style.display = 'none';
+    subscribeBtn.style.display = 'none';
+    if (!albumId || albumId.startsWith('scraped_album_')) return;
+    const response = await chrome.runtime.sendMessage({ action: "getSubscriptions" });
+    const subscription = ((response && response.subscriptions) || []).find(candidate => candidate.albumId === albumId);
+    subscribeBtn.dataset.albumId = albumId;
+    subscribeBtn.dataset.subscribed = subscription ? 'true' : 'false';
+    subscribeBtn.textContent = subscription ? "Unsubscribe" : "Subscribe to new photos";
+    subscribeBtn.disabled = false;
+    subscribeBtn.style.display = 'inline-block';
+    if (subscription) {
+        subscriptionStatus.textContent = describeSubscription(subscription);
+        subscriptionStatus.style.display = 'block';
+    }
+}
+
+// Only shown while the shared rate limiter is below full speed.
+function showRateLimiterState(state) {
+    if (!state || (!state.coolingDown && state.requestsPerMinute >= state.maxRequestsPerMinute)) {
+        rateLimiterStatus.style.display = 'none';
+        return;
+    }
+    const reason = state.lastSignalLabel ? `${state.lastSignalLabel}. ` : '';
+    rateLimiterStatus.textContent = state.coolingDown
+        ? `${reason}Pausing requests until ${new Date(state.cooldownUntil).toLocaleTimeString()}, then ${state.requestsPerMinute}/min.`
+        : `${reason}Slowed down to ${state.requestsPerMinute} of ${state.maxRequestsPerMinute} requests/min.`;
+    rateLimiterStatus.style.display = 'block';
+}
+
+async function restoreRateLimiterState() {
+    const response = await chrome.runtime.sendMessage({ action: "getRateLimiterState" });
+    showRateLimiterState(response && response.state);
+}
+
+// Offers "Retry Failed" for the latest finished job of this tab that still has failed files.
+async function restoreFailedJob() {
+    const response = await chrome.runtime.sendMessage({ action: "getFailedJobs", tabId: currentTabId });
+    const job = response && response.jobs && response.jobs[0];
+    if (job) showRetryButton(job.jobId, job.failedCount);
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.to === "popup" && !isForThisPopup(request.data)) return;
+
     if (request.action === "downloadProgress") {
         const { processed, total, albumName } = request.data;
         showProgress(processed, total, albumName);
+    } else if (request.action === "jobQueued") {
+        const { position, albumName } = request.data;
+        showProgress(0, 0, albumName);
+        progressStatusSpan.textContent = `Waiting for ${position} earlier download${position === 1 ? '' : 's'}...`;
+    } else if (request.action === "downloadPaused" || request.action === "downloadResumed") {
+        const { processed, total, albumName } = request.data;
+        setPaused(request.action === "downloadPaused");
+        statusDiv.textContent = isJobPaused ? "Download paused. Files already downloading will finish." : "Download resumed.";
+        showProgress(processed, total, albumName);
+    } else if (request.action === "rateLimiterState") {
+        showRateLimiterState(request.data);
+    } else if (request.action === "transferWindowState") {
+        showTransferWindowState(request.data);
+    } else if (request.action === "waitingForWindow") {
+        const { processed, total, albumName, opensAt } = request.data;
+        showProgress(processed, total, albumName);
+        progressStatusSpan.textContent = describeWindowWait(opensAt);
+    } else if (request.action === "itemRefreshingUrl") {
+        progressStatusSpan.textContent = `Refreshing the expired link of ${request.data.name}...`;
+    } else if (request.action === "itemRetrying") {
+        const { name, attempt, maxRetries } = request.data;
+        progressStatusSpan.textContent = `Retrying ${name} (${attempt}/${maxRetries})...`;
+    } else if (request.action === "itemFailed") {
+        failureMessages.push(`${request.data.name}: ${request.data.error}`);
+        showFailures();
     } else if (request.action === "downloadComplete") {
-        statusDiv.textContent = `Download complete: ${request.data.albumName || 'Photos'}!`;
+        const remaining = endFollowedJob(request.data.jobId);
+        const skipped = (request.data.skippedDuplicates || []).length;
+        const failed = request.data.failedCount || 0;
+        statusDiv.textContent = `${remaining > 0 ? 'Finished' : 'Download complete'}: ${request.data.albumName || 'Photos'}!` +
+            (skipped > 0 ? ` Skipped ${skipped} duplicate${skipped === 1 ? '' : 's'}.` : '') +
+            (failed > 0 ? ` ${failed} file${failed === 1 ? '' : 's'} failed.` : '') +
+            (request.data.notice ? ` ${request.data.notice}` : '') +
+            (remaining > 0 ? describeRemainingJobs(remaining) : '');
+        if (failed > 0) showRetryButton(request.data.jobId, failed);
+        if (remaining > 0) return;
         progressBar.value = 100;
         hideProgress();
         detectPageContext().then(updateUIForContext);
     } else if (request.action === "downloadError") {
+        const remaining = endFollowedJob(request.data.jobId);
+        if (remaining > 0) {
+            failureMessages.push(`${request.data.albumName || 'Download'}: ${request.data.error}`);
+            showFailures();
+            statusDiv.textContent = `A download failed.${describeRemainingJobs(remaining)}`;
+            return;
+        }
         showError("Error: " + request.data.error);
         // Re-detect to re-enable appropriate buttons
         detectPageContext().then(updateUIForContext);
     } else if (request.action === "downloadCancelled") {
+        if (endFollowedJob(request.data.jobId) > 0) return;
         statusDiv.textContent = "Download cancelled.";
         hideProgress();
         detectPageContext().then(updateUIForContext);
+    } else if (request.action === "albumListProgress") {
+        if (request.data.tabId === currentTabId) statusDiv.textContent = `Scrolling through the albums tab... ${request.data.found} albums found.`;
+    } else if (request.action === "albumHarvestProgress") {
+        const { collected, expected, albumName } = request.data;
+        showProgress(0, expected || collected, albumName);
+        progressStatusSpan.textContent = `Loading album photos...`;
+        progressText.textContent = expected > 0 ? `${collected}/${expected} found` : `${collected} found`;
+        progressBar.value = expected > 0 ? Math.min(100, (collected / expected) * 100) : 0;
+    } else if (request.action === "fullResolutionProgress") {
+        const { done, total, albumName, detailsOnly } = request.data;
+        showProgress(done, total, albumName);
+        // Without maximum quality, only photos missing the poster name or date the file name rule uses are opened
+        progressStatusSpan.textContent = detailsOnly
+            ? `Opening ${total} photos for the poster names/dates in your file name rule...`
+            : `Opening photos at full size...`;
     } else if (request.action === "albumPhotoCountUpdated") {
         if (pageContextCache && pageContextCache.isAlbum) {
             pageContextCache.photoCount = request.data.count;
@@ -215,5 +695,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-    detectPageContext().then(updateUIForContext);
+    detectPageContext().then(updateUIForContext).then(restoreJobProgress);
+    restoreRateLimiterState();
+    restoreTransferWindowState();
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ERROR_CATEGORIES, classifyInterruptReason, classifyHttpStatus, classifyDownloadApiError,
+    isRetryable, backoffDelay, describeError
+} from '../lib/download-errors.js';
+
+describe('classifyInterruptReason', () => {
+    test('retries network and server failures', () => {
+        for (const reason of ['NETWORK_FAILED', 'NETWORK_TIMEOUT', 'SERVER_FAILED', 'SERVER_BAD_CONTENT']) {
+            assert.ok(isRetryable(classifyInterruptReason(reason)), reason);
+        }
+        assert.equal(classifyInterruptReason('NETWORK_DISCONNECTED').category, ERROR_CATEGORIES.NETWORK);
+    });
+
+    test('leaves expired links to a URL refresh instead of retrying them', () => {
+        const error = classifyInterruptReason('SERVER_FORBIDDEN');
+        assert.equal(error.category, ERROR_CATEGORIES.FORBIDDEN);
+        assert.equal(error.reason, 'SERVER_FORBIDDEN');
+        assert.equal(isRetryable(error), false);
+        assert.equal(isRetryable(classifyInterruptReason('SERVER_UNAUTHORIZED')), false);
+    });
+
+    test('retries transient file errors but not a full disk or a block', () => {
+        assert.ok(isRetryable(classifyInterruptReason('FILE_TRANSIENT_ERROR')));
+        assert.ok(isRetryable(classifyInterruptReason('FILE_FAILED')));
+        assert.ok(isRetryable(classifyInterruptReason('CRASH')));
+        assert.equal(isRetryable(classifyInterruptReason('FILE_NO_SPACE')), false);
+        assert.equal(isRetryable(classifyInterruptReason('FILE_VIRUS_INFECTED')), false);
+        assert.equal(isRetryable(classifyInterruptReason('USER_CANCELED')), false);
+    });
+
+    test('retries an over-long file name under a fallback name', () => {
+        const error = classifyInterruptReason('FILE_NAME_TOO_LONG');
+        assert.equal(error.category, ERROR_CATEGORIES.FILENAME);
+        assert.ok(isRetryable(error));
+    });
+
+    test('treats an unknown reason as a permanent failure', () => {
+        const error = classifyInterruptReason(undefined);
+        assert.equal(error.category, ERROR_CATEGORIES.UNKNOWN);
+        assert.equal(error.reason, 'UNKNOWN');
+        assert.equal(isRetryable(error), false);
+    });
+});
+
+describe('classifyHttpStatus', () => {
+    test('does not retry expired or missing links', () => {
+        for (const status of [401, 403, 410]) {
+            const error = classifyHttpStatus(status);
+            assert.equal(error.category, ERROR_CATEGORIES.FORBIDDEN, String(status));
+            assert.equal(isRetryable(error), false, String(status));
+        }
+        assert.equal(isRetryable(classifyHttpStatus(404)), false);
+    });
+
+    test('retries timeouts, rate limiting and server errors', () => {
+        for (const status of [408, 429, 500, 502, 503]) {
+            const error = classifyHttpStatus(status);
+            assert.ok(isRetryable(error), String(status));
+            assert.equal(error.reason, `HTTP ${status}`);
+        }
+    });
+});
+
+describe('classifyDownloadApiError', () => {
+    test('retries a rejected file name only', () => {
+        assert.ok(isRetryable(classifyDownloadApiError('Invalid filename')));
+        assert.equal(isRetryable(classifyDownloadApiError('Invalid URL')), false);
+    });
+});
+
+describe('backoffDelay', () => {
+    afterEach(() => mock.restoreAll());
+
+    test('doubles per retry around the base delay', () => {
+        mock.method(Math, 'random', () => 0.5); // Scale factor 1
+        assert.deepEqual([0, 1, 2, 3].map(retry => backoffDelay(retry, 1000)), [1000, 2000, 4000, 8000]);
+    });
+
+    test('jitters between half and one and a half times', () => {
+        mock.method(Math, 'random', () => 0);
+        assert.equal(backoffDelay(1, 1000), 1000);
+        mock.method(Math, 'random', () => 0.999);
+        assert.equal(backoffDelay(1, 1000), 2998);
+    });
+
+    test('never waits more than a minute', () => {
+        mock.method(Math, 'random', () => 0.999);
+        assert.equal(backoffDelay(10, 1000), 60000);
+        assert.equal(backoffDelay(50, 5000), 60000);
+    });
+});
+
+describe('describeError', () => {
+    test('keeps the category and reason of a classified error', () => {
+        assert.deepEqual(describeError(classifyHttpStatus(503)), { category: ERROR_CATEGORIES.SERVER, reason: 'HTTP 503', message: 'Server error (HTTP 503)' });
+        assert.deepEqual(describeError(new Error('boom')), { category: ERROR_CATEGORIES.UNKNOWN, reason: null, message: 'boom' });
+    });
+});
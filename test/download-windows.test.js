@@ -0,0 +1,67 @@
+// Dates are built in local time, in January so no daylight saving change falls in between.
+// 2024-01-05 is a Friday.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDownloadWindows, getDownloadWindowState } from '../lib/download-windows.js';
+
+const at = (day, hour, minute = 0) => new Date(2024, 0, day, hour, minute);
+
+describe('parseDownloadWindows', () => {
+    test('reads days, ranges and every-day windows', () => {
+        const { windows, errors } = parseDownloadWindows('Mon-Fri 22:00-06:00\nSat,Sun 00:00-24:00\n\n  23:30-07:15  ');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(windows, [
+            { days: [1, 2, 3, 4, 5], start: 22 * 60, end: 6 * 60 },
+            { days: [0, 6], start: 0, end: 24 * 60 },
+            { days: [0, 1, 2, 3, 4, 5, 6], start: 23 * 60 + 30, end: 7 * 60 + 15 }
+        ]);
+    });
+
+    test('wraps day ranges past Saturday', () => {
+        assert.deepEqual(parseDownloadWindows('Fri-Mon 22:00-06:00').windows[0].days, [0, 1, 5, 6]);
+        assert.deepEqual(parseDownloadWindows('daily 01:00-02:00').windows[0].days, [0, 1, 2, 3, 4, 5, 6]);
+    });
+
+    test('lists the lines it cannot read', () => {
+        const { windows, errors } = parseDownloadWindows('Mon 22:00\nFunday 01:00-02:00\n24:00-06:00\n10:60-11:00\nTue 01:00-25:00\nWed 08:00-09:00');
+        assert.deepEqual(errors, ['Mon 22:00', 'Funday 01:00-02:00', '24:00-06:00', '10:60-11:00', 'Tue 01:00-25:00']);
+        assert.equal(windows.length, 1);
+    });
+});
+
+describe('getDownloadWindowState', () => {
+    const windowsOf = text => parseDownloadWindows(text).windows;
+
+    test('is always open without windows', () => {
+        assert.deepEqual(getDownloadWindowState([], at(5, 12)), { open: true, nextChange: null });
+    });
+
+    test('runs an overnight window into the next day', () => {
+        const windows = windowsOf('Fri-Mon 22:00-06:00');
+        // Friday afternoon: closed until Friday night
+        assert.deepEqual(getDownloadWindowState(windows, at(5, 15)), { open: false, nextChange: at(5, 22).getTime() });
+        // Saturday morning belongs to Friday's window
+        assert.deepEqual(getDownloadWindowState(windows, at(6, 3)), { open: true, nextChange: at(6, 6).getTime() });
+        // Tuesday morning still belongs to Monday's window; Tuesday night has none
+        assert.deepEqual(getDownloadWindowState(windows, at(9, 5, 59)), { open: true, nextChange: at(9, 6).getTime() });
+        assert.deepEqual(getDownloadWindowState(windows, at(9, 6)), { open: false, nextChange: at(12, 22).getTime() });
+    });
+
+    test('ends a window at midnight with 24:00', () => {
+        const windows = windowsOf('Wed 18:00-24:00');
+        assert.deepEqual(getDownloadWindowState(windows, at(3, 23, 30)), { open: true, nextChange: at(4, 0).getTime() });
+        assert.deepEqual(getDownloadWindowState(windows, at(4, 0)), { open: false, nextChange: at(10, 18).getTime() });
+    });
+
+    test('merges back-to-back windows into one', () => {
+        // Friday evening runs straight into the weekend, which lasts until Monday 00:00
+        const windows = windowsOf('Sat,Sun 00:00-24:00\nFri 20:00-24:00');
+        assert.deepEqual(getDownloadWindowState(windows, at(5, 21)), { open: true, nextChange: at(8, 0).getTime() });
+        assert.deepEqual(getDownloadWindowState(windows, at(7, 12)), { open: true, nextChange: at(8, 0).getTime() });
+    });
+
+    test('reports the next opening a week ahead', () => {
+        const windows = windowsOf('Fri 01:00-02:00');
+        assert.deepEqual(getDownloadWindowState(windows, at(5, 2)), { open: false, nextChange: at(12, 1).getTime() });
+    });
+});
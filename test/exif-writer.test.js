@@ -0,0 +1,114 @@
+// Sample JPEGs in test/fixtures/jpeg: plain.jpg is a JFIF file without metadata,
+// exif-orientation.jpg a camera-style file with big-endian EXIF (Orientation 6) and an XMP packet.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { embedJpegMetadata, readExifOrientation } from '../lib/exif-writer.js';
+
+function fixture(name) {
+    return new Uint8Array(readFileSync(new URL(`./fixtures/jpeg/${name}`, import.meta.url)));
+}
+
+// Lists the segments before the scan as { marker, data } with data excluding marker and length
+function segments(bytes) {
+    const found = [];
+    let offset = 2;
+    while (offset < bytes.length && bytes[offset + 1] !== 0xDA) {
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        found.push({ marker: bytes[offset + 1], segment: bytes.subarray(offset, offset + 2 + length), data: bytes.subarray(offset + 4, offset + 2 + length) });
+        offset += 2 + length;
+    }
+    return found;
+}
+
+function text(data) {
+    return new TextDecoder().decode(data);
+}
+
+const exifSegments = bytes => segments(bytes).filter(s => s.marker === 0xE1 && text(s.data.subarray(0, 4)) === 'Exif');
+const xmpSegments = bytes => segments(bytes).filter(s => s.marker === 0xE1 && text(s.data).startsWith('http://ns.adobe.com/xap/1.0/'));
+
+// Image data from the start of scan onwards
+function scanData(bytes) {
+    for (let i = 2; i < bytes.length - 1; i++) {
+        if (bytes[i] === 0xFF && bytes[i + 1] === 0xDA) return bytes.subarray(i);
+    }
+    return null;
+}
+
+const fields = {
+    description: 'Sunset at the pier',
+    caption: 'Sunset at the pier',
+    dateTimeOriginal: new Date(2023, 10, 14, 22, 13, 20),
+    photoId: '10150000000000001',
+    permalink: 'https://www.facebook.com/photo/?fbid=10150000000000001',
+    taggedPeople: ['Jane Doe'],
+    software: 'Open Source Facebook Downloader 1.1.0'
+};
+
+describe('embedJpegMetadata', () => {
+    test('adds EXIF and XMP after the JFIF segment', () => {
+        const original = fixture('plain.jpg');
+        const output = embedJpegMetadata(original, fields);
+
+        assert.deepEqual(segments(output).map(s => s.marker).slice(0, 3), [0xE0, 0xE1, 0xE1]);
+        const exif = text(exifSegments(output)[0].data);
+        assert.ok(exif.includes('Sunset at the pier'));
+        assert.ok(exif.includes('2023:11:14 22:13:20'));
+        const xmp = text(xmpSegments(output)[0].data);
+        assert.ok(xmp.includes('<dc:identifier>10150000000000001</dc:identifier>'));
+        assert.ok(xmp.includes('<rdf:li>Jane Doe</rdf:li>'));
+        assert.deepEqual(scanData(output), scanData(original));
+        assert.equal(readExifOrientation(exifSegments(output)[0].segment), null);
+    });
+
+    test('replaces the existing EXIF and XMP segments', () => {
+        const original = fixture('exif-orientation.jpg');
+        const output = embedJpegMetadata(original, fields);
+
+        assert.equal(exifSegments(output).length, 1);
+        assert.equal(xmpSegments(output).length, 1);
+        const exif = text(exifSegments(output)[0].data);
+        assert.ok(!exif.includes('Old description'));
+        assert.ok(!exif.includes('PhoneCo'));
+        assert.ok(!text(xmpSegments(output)[0].data).includes('<old/>'));
+        assert.deepEqual(scanData(output), scanData(original));
+    });
+
+    test('keeps the original Orientation', () => {
+        const original = fixture('exif-orientation.jpg');
+        assert.equal(readExifOrientation(exifSegments(original)[0].segment), 6);
+
+        const output = embedJpegMetadata(original, fields);
+        assert.equal(readExifOrientation(exifSegments(output)[0].segment), 6);
+
+        // Even with nothing else to write, the EXIF segment survives for the orientation
+        const bare = embedJpegMetadata(original, {});
+        assert.equal(readExifOrientation(exifSegments(bare)[0].segment), 6);
+        assert.equal(xmpSegments(bare).length, 0);
+    });
+
+    test('re-embedding gives the same file', () => {
+        for (const name of ['plain.jpg', 'exif-orientation.jpg']) {
+            const once = embedJpegMetadata(fixture(name), fields);
+            const twice = embedJpegMetadata(once, fields);
+            assert.deepEqual(twice, once, name);
+        }
+    });
+
+    test('writes non-ASCII text to XMP only', () => {
+        const caption = 'Café am Meer 🌅';
+        const output = embedJpegMetadata(fixture('plain.jpg'), { description: caption, caption });
+        assert.equal(exifSegments(output).length, 0);
+        assert.ok(text(xmpSegments(output)[0].data).includes(caption));
+
+        // Alt text without a caption still ends up in the XMP description
+        const altOnly = embedJpegMetadata(fixture('plain.jpg'), { description: 'Peut-être une image', software: 'x' });
+        assert.ok(!text(exifSegments(altOnly)[0].data).includes('image'));
+        assert.ok(text(xmpSegments(altOnly)[0].data).includes('Peut-être une image'));
+    });
+
+    test('rejects files that are not JPEGs', () => {
+        assert.throws(() => embedJpegMetadata(new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D]), fields), /Not a JPEG/);
+    });
+});
@@ -0,0 +1,191 @@
+// Recorded album query responses (test/fixtures/graphql), parsed directly and served page by page
+// from a local HTTP stub that stands in for Facebook's GraphQL endpoint.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { parseAlbumQueryResponse, fetchAllAlbumPhotos, DEFAULT_ALBUM_DOC_ID, STOP_REASONS } from '../lib/graphql-album.js';
+
+function fixture(name) {
+    return readFileSync(new URL(`./fixtures/graphql/${name}`, import.meta.url), 'utf8');
+}
+
+describe('parseAlbumQueryResponse', () => {
+    test('reads the first page', () => {
+        const result = parseAlbumQueryResponse(fixture('album-page-1.json'));
+        assert.equal(result.hasNextPage, true);
+        assert.equal(result.nextCursor, 'AQHRa2');
+        assert.deepEqual(result.photos.map(photo => photo.id), ['10150000000000001', '10150000000000002']);
+        assert.deepEqual(result.photos[0], {
+            id: '10150000000000001',
+            url: 'https://scontent.xx.fbcdn.net/v/t39.30808-6/411111111_1111111111111111_1111111111111111111_n.jpg?_nc_cat=1&oh=00_AAA&oe=6650A3F4',
+            timestamp: 1700000000,
+            caption: 'Sunset at the pier',
+            altText: 'May be an image of the sea',
+            ownerName: 'Jane Doe',
+            permalink: 'https://www.facebook.com/photo/?fbid=10150000000000001&set=a.10150000000000000'
+        });
+        assert.equal(result.photos[1].caption, null);
+    });
+
+    test('reads a streamed page with a cursor', () => {
+        const result = parseAlbumQueryResponse(fixture('album-page-2.txt'));
+        assert.equal(result.hasNextPage, true);
+        assert.equal(result.nextCursor, 'AQHRa3');
+        // The node without any image is dropped
+        assert.deepEqual(result.photos.map(photo => photo.id), ['10150000000000002', '10150000000000003']);
+        const dinner = result.photos[1];
+        assert.match(dinner.url, /\/p2048x2048\//, 'the largest image wins');
+        assert.equal(dinner.timestamp, 1700001200);
+        assert.equal(dinner.ownerName, 'John Roe');
+    });
+
+    test('reads the last page', () => {
+        const result = parseAlbumQueryResponse(fixture('album-page-3.json'));
+        assert.equal(result.hasNextPage, false);
+        assert.equal(result.nextCursor, null);
+        assert.deepEqual(result.photos.map(photo => photo.id), ['10150000000000004']);
+    });
+
+    test('throws on GraphQL errors', () => {
+        assert.throws(() => parseAlbumQueryResponse(fixture('error.json')), /GraphQL error: Rate limit exceeded/);
+    });
+
+    test('throws when there is no photo connection', () => {
+        assert.throws(() => parseAlbumQueryResponse(fixture('empty.json')), /did not contain a photo connection/);
+        assert.throws(() => parseAlbumQueryResponse(''), /Empty GraphQL response/);
+    });
+});
+
+describe('fetchAllAlbumPhotos', () => {
+    // Pages keyed by the cursor they answer; the first page is requested without one
+    const pagesByCursor = {
+        null: 'album-page-1.json',
+        AQHRa2: 'album-page-2.txt',
+        AQHRa3: 'album-page-3.json'
+    };
+    let server;
+    let endpoint;
+    let requests;
+
+    before(async () => {
+        server = createServer((request, response) => {
+            let body = '';
+            request.on('data', (chunk) => { body += chunk; });
+            request.on('end', () => {
+                const params = new URLSearchParams(body);
+                const variables = JSON.parse(params.get('variables'));
+                requests.push({ params, variables });
+                const page = variables.id === 'missing' ? 'error.json'
+                    : variables.id === 'empty' ? 'album-no-photos.json'
+                        : pagesByCursor[variables.cursor];
+                response.writeHead(page ? 200 : 404, { 'Content-Type': 'text/javascript' });
+                response.end(page ? fixture(page) : '');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/api/graphql/`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    // Stands in for postGraphQLFromPage, which POSTs the same body from inside the Facebook tab
+    async function transport(body) {
+        const response = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body });
+        return response.text();
+    }
+
+    test('follows the cursor to the last page', async () => {
+        requests = [];
+        const counts = [];
+        const { photos, complete } = await fetchAllAlbumPhotos({
+            albumId: '10150000000000000',
+            fbDtsg: 'token',
+            transport,
+            onPage: count => counts.push(count)
+        });
+
+        assert.deepEqual(photos.map(photo => photo.id),
+            ['10150000000000001', '10150000000000002', '10150000000000003', '10150000000000004']);
+        assert.deepEqual(counts, [2, 3, 4], 'a photo repeated on the next page is counted once');
+        assert.equal(complete, true);
+        assert.deepEqual(requests.map(request => request.variables.cursor), [null, 'AQHRa2', 'AQHRa3']);
+        assert.equal(requests[0].variables.id, '10150000000000000');
+        assert.equal(requests[0].params.get('fb_dtsg'), 'token');
+        assert.equal(requests[0].params.get('doc_id'), DEFAULT_ALBUM_DOC_ID);
+    });
+
+    test('sends the doc_id override', async () => {
+        requests = [];
+        await fetchAllAlbumPhotos({ albumId: '10150000000000000', fbDtsg: 'token', docId: '123', transport });
+        assert.ok(requests.every(request => request.params.get('doc_id') === '123'));
+    });
+
+    test('stops when cancelled', async () => {
+        requests = [];
+        const result = await fetchAllAlbumPhotos({
+            albumId: '10150000000000000',
+            fbDtsg: 'token',
+            transport,
+            isCancelled: () => requests.length >= 1
+        });
+        assert.equal(requests.length, 1);
+        assert.equal(result.photos.length, 2);
+        assert.equal(result.complete, false);
+        assert.equal(result.stopReason, STOP_REASONS.CANCELLED);
+    });
+
+    test('stops when the cursor does not advance', async () => {
+        let calls = 0;
+        const { photos } = await fetchAllAlbumPhotos({
+            albumId: '10150000000000000',
+            fbDtsg: 'token',
+            transport: async () => {
+                calls++;
+                return fixture('album-page-1.json');
+            }
+        });
+        assert.equal(calls, 2);
+        assert.equal(photos.length, 2);
+    });
+
+    test('keeps the pages fetched before a later page fails', async () => {
+        const result = await fetchAllAlbumPhotos({
+            albumId: '10150000000000000',
+            fbDtsg: 'token',
+            transport: async (body) => {
+                const { cursor } = JSON.parse(new URLSearchParams(body).get('variables'));
+                if (cursor === 'AQHRa3') throw new Error('GraphQL request failed: 500');
+                return transport(body);
+            }
+        });
+        assert.deepEqual(result.photos.map(photo => photo.id), ['10150000000000001', '10150000000000002', '10150000000000003']);
+        assert.equal(result.complete, false);
+        assert.equal(result.stopReason, STOP_REASONS.ERROR);
+        assert.match(result.error.message, /500/);
+    });
+
+    test('stops at the page limit', async () => {
+        // Every page has one new photo and a cursor that keeps advancing
+        let page = 0;
+        const result = await fetchAllAlbumPhotos({
+            albumId: '10150000000000000',
+            fbDtsg: 'token',
+            transport: async () => {
+                page++;
+                return JSON.stringify({ data: { node: { media: {
+                    edges: [{ node: { id: String(page), image: { uri: `https://scontent.xx.fbcdn.net/${page}.jpg`, width: 1, height: 1 } } }],
+                    page_info: { has_next_page: true, end_cursor: `cursor${page}` }
+                } } } });
+            }
+        });
+        assert.equal(result.photos.length, 200);
+        assert.equal(result.complete, false);
+        assert.equal(result.stopReason, STOP_REASONS.PAGE_LIMIT);
+    });
+
+    test('rejects an album without photos and GraphQL errors', async () => {
+        await assert.rejects(fetchAllAlbumPhotos({ albumId: 'empty', fbDtsg: 'token', transport }), /returned no photos/);
+        await assert.rejects(fetchAllAlbumPhotos({ albumId: 'missing', fbDtsg: 'token', transport }), /Rate limit exceeded/);
+    });
+});
@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFbidFromHref, extractCdnAssetName, resolvePhotoKey, isStablePhotoKey, migrateDownloadedIds } from '../lib/photo-id.js';
+
+const ASSET = '411111111_1111111111111111_1111111111111111111_n';
+
+describe('extractFbidFromHref', () => {
+    test('reads photo, video and reel links', () => {
+        assert.equal(extractFbidFromHref('https://www.facebook.com/photo/?fbid=10150000000000001&set=a.1'), '10150000000000001');
+        assert.equal(extractFbidFromHref('https://www.facebook.com/photo.php?fbid=10150000000000001'), '10150000000000001');
+        assert.equal(extractFbidFromHref('https://www.facebook.com/jane/photos/a.456/10150000000000001/'), '10150000000000001');
+        assert.equal(extractFbidFromHref('https://www.facebook.com/jane/photos/pcb.456/10150000000000001/'), '10150000000000001');
+        assert.equal(extractFbidFromHref('https://www.facebook.com/jane/videos/10150000000000002/'), '10150000000000002');
+        assert.equal(extractFbidFromHref('https://www.facebook.com/reel/10150000000000003'), '10150000000000003');
+        assert.equal(extractFbidFromHref('https://www.facebook.com/watch/?v=10150000000000004'), '10150000000000004');
+    });
+
+    test('ignores links that are not media permalinks', () => {
+        assert.equal(extractFbidFromHref('https://www.facebook.com/jane'), null);
+        assert.equal(extractFbidFromHref(''), null);
+        assert.equal(extractFbidFromHref(null), null);
+    });
+});
+
+describe('resolvePhotoKey', () => {
+    test('keeps an ID that is already stable', () => {
+        assert.equal(resolvePhotoKey({ id: '10150000000000001', href: 'https://www.facebook.com/photo/?fbid=999' }), '10150000000000001');
+        assert.equal(resolvePhotoKey({ id: 123456789 }), '123456789');
+        assert.equal(resolvePhotoKey({ id: `cdn_${ASSET}` }), `cdn_${ASSET}`);
+    });
+
+    test('prefers the fbid of the permalink', () => {
+        const key = resolvePhotoKey({
+            id: 'scraped_album_1700000000000_3',
+            href: 'https://www.facebook.com/photo/?fbid=10150000000000001',
+            url: `https://scontent.xx.fbcdn.net/v/t39.30808-6/${ASSET}.jpg`
+        });
+        assert.equal(key, '10150000000000001');
+    });
+
+    test('falls back to the CDN asset name, the same for every size and host', () => {
+        const small = resolvePhotoKey({ url: `https://scontent.fakl1-1.fna.fbcdn.net/v/t39.30808-6/s640x640/${ASSET}.jpg?oh=00_AAA&oe=6650A3F4` });
+        const large = resolvePhotoKey({ url: `https://scontent.xx.fbcdn.net/v/t39.30808-6/${ASSET}.jpg?oh=00_BBB&oe=6650A3F5` });
+        assert.equal(small, `cdn_${ASSET}`);
+        assert.equal(large, small);
+        assert.equal(extractCdnAssetName('https://example.com/411111111_1_1_n.jpg'), null);
+    });
+
+    test('hashes other URLs without their query string and size segments', () => {
+        const key = resolvePhotoKey({ url: 'https://scontent.xx.fbcdn.net/v/t1.0-9/p720x720/photo.jpg?oh=00_AAA' });
+        assert.match(key, /^url_[0-9a-z]+$/);
+        assert.equal(resolvePhotoKey({ url: 'https://scontent.yy.fbcdn.net/v/t1.0-9/photo.jpg?oh=00_BBB' }), key);
+        assert.notEqual(resolvePhotoKey({ url: 'https://example.com/v/t1.0-9/photo.jpg' }), key);
+        assert.ok(isStablePhotoKey(key));
+    });
+});
+
+describe('isStablePhotoKey', () => {
+    test('accepts the three key forms and companion files', () => {
+        for (const id of ['10150000000000001', '10150000000000001_audio', `cdn_${ASSET}`, 'url_1a2b3c']) {
+            assert.ok(isStablePhotoKey(id), id);
+        }
+        for (const id of ['scraped_album_1700000000000_3', 'photo_1700000000000_1', '', null]) {
+            assert.ok(!isStablePhotoKey(id), String(id));
+        }
+    });
+});
+
+describe('migrateDownloadedIds', () => {
+    test('keeps stable IDs, converts permalinks and drops unstable v1 IDs', () => {
+        const { ids, dropped } = migrateDownloadedIds([
+            '10150000000000001',
+            123456789,
+            '10150000000000002_audio',
+            'https://www.facebook.com/photo/?fbid=10150000000000003',
+            'https://www.facebook.com/photo/?fbid=10150000000000001',
+            'scraped_album_1700000000000_3',
+            'alt_album_4',
+            'photo_1700000000000_5'
+        ]);
+        assert.deepEqual(ids, ['10150000000000001', '123456789', '10150000000000002_audio', '10150000000000003']);
+        assert.equal(dropped, 3);
+    });
+
+    test('copes with a missing list', () => {
+        assert.deepEqual(migrateDownloadedIds(undefined), { ids: [], dropped: 0 });
+    });
+});
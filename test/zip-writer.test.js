@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZipWriter, crc32 } from '../lib/zip-writer.js';
+
+// Reads the entries back through the central directory, the way unzip tools do
+function readEntries(bytes) {
+    const view = new DataView(bytes.buffer);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50, 'end of central directory record');
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014B50, 'central directory header');
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        assert.equal(view.getUint32(localOffset, true), 0x04034B50, 'local file header');
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+        entries.push({ name, checksum: view.getUint32(position + 16, true), data: bytes.subarray(dataStart, dataStart + compressedSize) });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+describe('createZipWriter', () => {
+    test('finishes into a Blob with every entry', async () => {
+        const zip = createZipWriter();
+        const photo = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+        const json = new TextEncoder().encode('{"photoId":"1"}');
+        await zip.addFile('photo.jpg', photo);
+        await zip.addFile('photo.jpg.json', json);
+
+        const archive = zip.finish();
+        assert.ok(archive instanceof Blob);
+        assert.equal(archive.type, 'application/zip');
+        assert.equal(archive.size, zip.size);
+
+        const entries = readEntries(new Uint8Array(await archive.arrayBuffer()));
+        assert.deepEqual(entries.map(entry => entry.name), ['photo.jpg', 'photo.jpg.json']);
+        assert.deepEqual(entries[0].data, photo);
+        assert.deepEqual(entries[1].data, json);
+        assert.equal(entries[1].checksum, crc32(json));
+    });
+
+    test('renames entries that already exist', async () => {
+        const zip = createZipWriter();
+        assert.equal(await zip.addFile('album/photo.jpg', new Uint8Array([1])), 'album/photo.jpg');
+        assert.equal(await zip.addFile('album/photo.jpg', new Uint8Array([2])), 'album/photo (1).jpg');
+        assert.equal(zip.entryCount, 2);
+    });
+
+    test('finishes an empty archive', async () => {
+        const archive = createZipWriter().finish();
+        assert.equal(archive.size, 22);
+        assert.deepEqual(readEntries(new Uint8Array(await archive.arrayBuffer())), []);
+    });
+});